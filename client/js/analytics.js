@@ -4,6 +4,7 @@ export class Analytics {
     this.api = api;
     this.ui = ui;
     this.charts = {};
+    this.palette = ["#667eea", "#764ba2", "#f093fb", "#f5576c", "#4facfe", "#43e97b", "#fa709a", "#fee140"];
   }
 
   async init() {
@@ -18,68 +19,147 @@ export class Analytics {
   }
 
   async load() {
-    try {
-      const container = document.getElementById("analytics-container");
-      if (!container) return;
+    const container = document.getElementById("analytics-container");
+    if (!container) return;
 
+    try {
       container.innerHTML = this.renderLoading();
 
       const timeframe = document.getElementById("analytics-timeframe")?.value || "30d";
-      const data = await this.api.getAnalyticsSummary();
+      const [studyTimeData, progressData] = await Promise.all([this.api.getStudyTimeAnalytics(timeframe), this.api.getProgressAnalytics(timeframe)]);
 
-      this.renderAnalytics(data);
+      this.renderAnalytics(studyTimeData.studyTime, progressData.progress);
     } catch (error) {
-      this.loadDemoAnalytics();
+      console.error("Analytics load error:", error);
+      this.renderError();
     }
   }
 
-  renderAnalytics(data) {
+  renderAnalytics(studyTime, progress) {
     const container = document.getElementById("analytics-container");
     if (!container) return;
 
+    const topTopic = studyTime.byTopic[0];
+
     container.innerHTML = `
       <div class="analytics-grid">
-        <div class="card">
+        <div class="card analytics-card-wide">
           <div class="card-header">
             <h3><i class="fas fa-chart-line"></i> Study Overview</h3>
           </div>
           <div class="card-content">
             <div class="stats-grid">
               <div class="stat-item">
-                <span class="stat-value">${data.summary?.sessions?.totalSessions || 0}</span>
-                <span class="stat-label">Total Sessions</span>
+                <span class="stat-value">${this.ui.formatTime(studyTime.totalMinutes)}</span>
+                <span class="stat-label">Total Time</span>
               </div>
               <div class="stat-item">
-                <span class="stat-value">${this.ui.formatTime(data.summary?.sessions?.totalTime || 0)}</span>
-                <span class="stat-label">Total Time</span>
+                <span class="stat-value">${studyTime.totalSessions}</span>
+                <span class="stat-label">Completed Sessions</span>
+              </div>
+              <div class="stat-item">
+                <span class="stat-value">${this.ui.formatTime(studyTime.averageMinutesPerDay)}</span>
+                <span class="stat-label">Daily Average</span>
+              </div>
+              <div class="stat-item">
+                <span class="stat-value">${topTopic?.title || "—"}</span>
+                <span class="stat-label">Most Studied Topic</span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div class="card analytics-card-wide">
+          <div class="card-header">
+            <h3><i class="fas fa-calendar-day"></i> Daily Study Time</h3>
+          </div>
+          <div class="card-content">
+            <canvas id="daily-chart" width="800" height="300"></canvas>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="card-header">
+            <h3><i class="fas fa-clock"></i> Time of Day</h3>
+          </div>
+          <div class="card-content">
+            <canvas id="hourly-chart" width="400" height="300"></canvas>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="card-header">
+            <h3><i class="fas fa-calendar-week"></i> Day of Week</h3>
+          </div>
+          <div class="card-content">
+            <canvas id="weekday-chart" width="400" height="300"></canvas>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="card-header">
+            <h3><i class="fas fa-chart-pie"></i> Time by Topic</h3>
+          </div>
+          <div class="card-content">
+            <canvas id="topic-chart" width="400" height="300"></canvas>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="card-header">
+            <h3><i class="fas fa-layer-group"></i> Time by Session Type</h3>
+          </div>
+          <div class="card-content">
+            <canvas id="type-chart" width="400" height="300"></canvas>
+          </div>
+        </div>
+
+        <div class="card analytics-card-wide">
+          <div class="card-header">
+            <h3><i class="fas fa-tasks"></i> Topic Progress</h3>
+          </div>
+          <div class="card-content">
+            <div class="stats-grid">
+              <div class="stat-item">
+                <span class="stat-value">${progress.totals.inProgress}</span>
+                <span class="stat-label">In Progress</span>
               </div>
               <div class="stat-item">
-                <span class="stat-value">${data.summary?.topics?.completed || 0}</span>
+                <span class="stat-value">${progress.totals.completed}</span>
                 <span class="stat-label">Completed Topics</span>
               </div>
               <div class="stat-item">
-                <span class="stat-value">${data.summary?.goals?.completed || 0}</span>
-                <span class="stat-label">Completed Goals</span>
+                <span class="stat-value">${progress.totals.onHold}</span>
+                <span class="stat-label">On Hold</span>
               </div>
             </div>
           </div>
         </div>
-        
+
         <div class="card">
           <div class="card-header">
-            <h3><i class="fas fa-chart-pie"></i> Category Breakdown</h3>
+            <h3><i class="fas fa-calendar-alt"></i> Weekly Topic Activity</h3>
           </div>
           <div class="card-content">
-            <canvas id="category-chart" width="400" height="300"></canvas>
+            <canvas id="weekly-progress-chart" width="400" height="300"></canvas>
           </div>
         </div>
-        
+
         <div class="card">
           <div class="card-header">
-            <h3><i class="fas fa-calendar-alt"></i> Weekly Progress</h3>
+            <h3><i class="fas fa-flag-checkered"></i> Milestones Completed</h3>
           </div>
           <div class="card-content">
-            <canvas id="weekly-chart" width="400" height="300"></canvas>
+            <canvas id="milestone-chart" width="400" height="300"></canvas>
+          </div>
+        </div>
+
+        <div class="card analytics-card-wide">
+          <div class="card-header">
+            <h3><i class="fas fa-chart-area"></i> Completed Topics by Category</h3>
+          </div>
+          <div class="card-content">
+            <canvas id="category-completion-chart" width="800" height="300"></canvas>
           </div>
         </div>
       </div>
@@ -87,71 +167,112 @@ export class Analytics {
 
     // Render charts if Chart.js is available
     if (typeof Chart !== "undefined") {
-      this.renderCharts(data);
+      this.renderCharts(studyTime, progress);
     }
   }
 
-  renderCharts(data) {
-    // Category chart
-    this.renderCategoryChart();
+  renderCharts(studyTime, progress) {
+    this.renderDailyChart(studyTime.byDay);
+    this.renderHourlyChart(studyTime.byHour);
+    this.renderWeekdayChart(studyTime.byWeekday);
+    this.renderTopicChart(studyTime.byTopic);
+    this.renderTypeChart(studyTime.byType);
+    this.renderWeeklyProgressChart(progress.weekly);
+    this.renderMilestoneChart(progress.weekly);
+    this.renderCategoryCompletionChart(progress.categoryCompletion);
+  }
 
-    // Weekly progress chart
-    this.renderWeeklyChart();
+  formatWeekLabel(week) {
+    return this.ui.formatDate(week, { year: undefined, month: "short", day: "numeric", timeZone: "UTC" });
   }
 
-  renderCategoryChart() {
-    const canvas = document.getElementById("category-chart");
+  renderChart(key, canvasId, config) {
+    const canvas = document.getElementById(canvasId);
     if (!canvas) return;
 
-    const ctx = canvas.getContext("2d");
-
-    if (this.charts.category) {
-      this.charts.category.destroy();
+    if (this.charts[key]) {
+      this.charts[key].destroy();
     }
 
-    this.charts.category = new Chart(ctx, {
-      type: "doughnut",
+    this.charts[key] = new Chart(canvas.getContext("2d"), {
+      ...config,
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        ...config.options,
+      },
+    });
+  }
+
+  renderDailyChart(byDay) {
+    this.renderChart("daily", "daily-chart", {
+      type: "bar",
       data: {
-        labels: ["Backend", "Frontend", "Data Structures & Algorithms", "System Design"],
+        labels: byDay.map((d) => this.ui.formatDate(d.date, { month: "short", day: "numeric", timeZone: "UTC" })),
         datasets: [
           {
-            data: [35, 25, 25, 15],
-            backgroundColor: ["#667eea", "#764ba2", "#f093fb", "#f5576c"],
+            label: "Minutes",
+            data: byDay.map((d) => d.minutes),
+            backgroundColor: "#667eea",
+          },
+          {
+            label: "7-day average",
+            type: "line",
+            data: byDay.map((d) => d.movingAverage),
+            borderColor: "#f5576c",
+            backgroundColor: "transparent",
+            tension: 0.3,
+            pointRadius: 0,
           },
         ],
       },
       options: {
-        responsive: true,
-        maintainAspectRatio: false,
+        scales: {
+          y: {
+            beginAtZero: true,
+          },
+        },
       },
     });
   }
 
-  renderWeeklyChart() {
-    const canvas = document.getElementById("weekly-chart");
-    if (!canvas) return;
-
-    const ctx = canvas.getContext("2d");
-
-    if (this.charts.weekly) {
-      this.charts.weekly.destroy();
-    }
+  renderHourlyChart(byHour) {
+    this.renderChart("hourly", "hourly-chart", {
+      type: "bar",
+      data: {
+        labels: byHour.map((h) => `${String(h.hour).padStart(2, "0")}:00`),
+        datasets: [
+          {
+            label: "Minutes",
+            data: byHour.map((h) => h.minutes),
+            backgroundColor: "#764ba2",
+          },
+        ],
+      },
+      options: {
+        scales: {
+          y: {
+            beginAtZero: true,
+          },
+        },
+      },
+    });
+  }
 
-    this.charts.weekly = new Chart(ctx, {
+  renderWeekdayChart(byWeekday) {
+    this.renderChart("weekday", "weekday-chart", {
       type: "bar",
       data: {
-        labels: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+        labels: byWeekday.map((d) => d.day.slice(0, 3)),
         datasets: [
           {
             label: "Study Hours",
-            data: [2, 3, 2.5, 4, 3.5, 1.5, 2],
+            data: byWeekday.map((d) => Math.round((d.minutes / 60) * 10) / 10),
             backgroundColor: "#667eea",
           },
         ],
       },
       options: {
-        responsive: true,
-        maintainAspectRatio: false,
         scales: {
           y: {
             beginAtZero: true,
@@ -161,20 +282,138 @@ export class Analytics {
     });
   }
 
+  renderTopicChart(byTopic) {
+    this.renderChart("topic", "topic-chart", {
+      type: "doughnut",
+      data: {
+        labels: byTopic.map((t) => t.title || "Unknown topic"),
+        datasets: [
+          {
+            data: byTopic.map((t) => t.minutes),
+            backgroundColor: byTopic.map((_, i) => this.palette[i % this.palette.length]),
+          },
+        ],
+      },
+    });
+  }
+
+  renderTypeChart(byType) {
+    this.renderChart("type", "type-chart", {
+      type: "doughnut",
+      data: {
+        labels: byType.map((t) => t.type),
+        datasets: [
+          {
+            data: byType.map((t) => t.minutes),
+            backgroundColor: byType.map((_, i) => this.palette[i % this.palette.length]),
+          },
+        ],
+      },
+    });
+  }
+
+  renderWeeklyProgressChart(weekly) {
+    this.renderChart("weeklyProgress", "weekly-progress-chart", {
+      type: "bar",
+      data: {
+        labels: weekly.map((w) => this.formatWeekLabel(w.week)),
+        datasets: [
+          {
+            label: "Started",
+            data: weekly.map((w) => w.started),
+            backgroundColor: "#4facfe",
+          },
+          {
+            label: "Completed",
+            data: weekly.map((w) => w.completed),
+            backgroundColor: "#43e97b",
+          },
+          {
+            label: "On hold",
+            data: weekly.map((w) => w.onHold),
+            backgroundColor: "#fee140",
+          },
+        ],
+      },
+      options: {
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: { precision: 0 },
+          },
+        },
+      },
+    });
+  }
+
+  renderMilestoneChart(weekly) {
+    this.renderChart("milestones", "milestone-chart", {
+      type: "line",
+      data: {
+        labels: weekly.map((w) => this.formatWeekLabel(w.week)),
+        datasets: [
+          {
+            label: "Milestones",
+            data: weekly.map((w) => w.milestonesCompleted),
+            borderColor: "#764ba2",
+            backgroundColor: "rgba(118, 75, 162, 0.1)",
+            tension: 0.3,
+            fill: true,
+          },
+        ],
+      },
+      options: {
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: { precision: 0 },
+          },
+        },
+      },
+    });
+  }
+
+  renderCategoryCompletionChart(categoryCompletion) {
+    const labels = categoryCompletion[0]?.points.map((p) => this.formatWeekLabel(p.week)) || [];
+
+    this.renderChart("categoryCompletion", "category-completion-chart", {
+      type: "line",
+      data: {
+        labels,
+        datasets: categoryCompletion.map((category, i) => ({
+          label: category.category,
+          data: category.points.map((p) => p.completed),
+          borderColor: this.palette[i % this.palette.length],
+          backgroundColor: "transparent",
+          stepped: true,
+        })),
+      },
+      options: {
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: { precision: 0 },
+          },
+        },
+      },
+    });
+  }
+
   renderLoading() {
     return '<div class="skeleton skeleton-card"></div>'.repeat(3);
   }
 
-  loadDemoAnalytics() {
-    const demoData = {
-      summary: {
-        sessions: { totalSessions: 89, totalTime: 2400 },
-        topics: { completed: 23 },
-        goals: { completed: 5 },
-      },
-    };
+  renderError() {
+    const container = document.getElementById("analytics-container");
+    if (!container) return;
 
-    this.renderAnalytics(demoData);
+    container.innerHTML = `
+      <div class="no-data">
+        <i class="fas fa-chart-bar"></i>
+        <p>Unable to load analytics</p>
+        <p class="text-muted">Please try again in a moment</p>
+      </div>
+    `;
   }
 
   destroy() {
@@ -305,13 +305,67 @@ export class API {
     return this.get("/goals/templates");
   }
 
+  // Study plan methods
+  async getStudyPlans() {
+    return this.get("/study-plans");
+  }
+
+  async getStudyPlanToday() {
+    return this.get("/study-plans/today");
+  }
+
+  async startStudyPlan(id, startDate = null) {
+    return this.post(`/study-plans/${id}/start`, startDate ? { startDate } : {});
+  }
+
+  async updateStudyPlanTask(id, taskId, completed) {
+    return this.put(`/study-plans/${id}/tasks/${encodeURIComponent(taskId)}`, { completed });
+  }
+
+  // Calendar methods
+  async getCalendar(params = {}) {
+    return this.get("/calendar", params);
+  }
+
+  async scheduleCalendar(weeks) {
+    return this.post("/calendar/schedule", { weeks });
+  }
+
+  async updateCalendarSession(id, sessionData) {
+    return this.put(`/calendar/sessions/${id}`, sessionData);
+  }
+
+  async rescheduleMissedSessions() {
+    return this.post("/calendar/reschedule-missed");
+  }
+
+  async getCalendarFeed() {
+    return this.get("/calendar/feed");
+  }
+
+  async createCalendarFeed() {
+    return this.post("/calendar/feed");
+  }
+
+  async deleteCalendarFeed() {
+    return this.delete("/calendar/feed");
+  }
+
+  async importCalendar(ics, topicId = null) {
+    return this.post("/calendar/import", topicId ? { ics, topicId } : { ics });
+  }
+
   // Analytics methods
   async getDashboardAnalytics() {
     return this.get("/analytics/dashboard");
   }
 
-  async getProgressAnalytics(timeframe = "30d") {
-    return this.get("/analytics/progress", { timeframe });
+  async getProgressAnalytics(timeRange = "30d") {
+    return this.get("/analytics/progress", { timeRange });
+  }
+
+  async getStudyTimeAnalytics(timeRange = "30d") {
+    return this.get("/analytics/study-time", { timeRange });
   }
 
   async getTimeAnalytics(days = 30) {
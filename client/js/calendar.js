@@ -0,0 +1,350 @@
+// Calendar module: a week of planned and past study sessions laid over the user's study windows
+const WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+export class Calendar {
+  constructor(api, ui, socket) {
+    this.api = api;
+    this.ui = ui;
+    this.socket = socket;
+    this.from = null; // A day in the week on screen; null shows the current week
+    this.calendar = null;
+    this.editingSessionId = null;
+    this.topicsLoaded = false;
+  }
+
+  async init() {
+    this.setupEventListeners();
+    this.setupSocketListeners();
+  }
+
+  setupEventListeners() {
+    const container = document.getElementById("calendar-tab");
+    if (!container) return;
+
+    container.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-calendar-action]");
+      if (!action) return;
+
+      const { calendarAction, sessionId } = action.dataset;
+      if (calendarAction === "previous") this.showWeek(-7);
+      else if (calendarAction === "next") this.showWeek(7);
+      else if (calendarAction === "today") this.showWeek(0);
+      else if (calendarAction === "plan") this.planWeeks();
+      else if (calendarAction === "reschedule") this.rescheduleMissed();
+      else if (calendarAction === "edit") this.editSession(sessionId);
+      else if (calendarAction === "cancel-edit") this.editSession(null);
+      else if (calendarAction === "save") this.saveSession(sessionId, action.closest(".calendar-session-form"));
+      else if (calendarAction === "remove") this.removeSession(sessionId);
+      else if (calendarAction === "add-window") this.addStudyWindowRow();
+      else if (calendarAction === "remove-window") action.closest(".calendar-window-row")?.remove();
+      else if (calendarAction === "save-windows") this.saveStudyWindows();
+      else if (calendarAction === "create-feed") this.createFeed();
+      else if (calendarAction === "copy-feed") this.ui.copyToClipboard(document.getElementById("calendar-feed-url")?.value || "");
+      else if (calendarAction === "delete-feed") this.deleteFeed();
+      else if (calendarAction === "import") this.importCalendar();
+    });
+  }
+
+  setupSocketListeners() {
+    // Missed sessions were moved (or cancelled) by the server
+    this.socket.on("calendar_updated", (data) => {
+      const moved = (data?.changes || []).filter((change) => change.status === "rescheduled").length;
+      const cancelled = (data?.changes || []).length - moved;
+      if (moved > 0) this.ui.showToast("info", `${moved} missed session${moved === 1 ? " was" : "s were"} moved to your next free study time`);
+      if (cancelled > 0) this.ui.showToast("warning", `${cancelled} missed session${cancelled === 1 ? "" : "s"} could not be moved and ${cancelled === 1 ? "was" : "were"} cancelled`);
+
+      if (document.getElementById("calendar-tab")?.classList.contains("active")) this.load();
+    });
+  }
+
+  async load() {
+    const grid = document.getElementById("calendar-grid");
+    if (!grid) return;
+
+    try {
+      grid.innerHTML = '<div class="skeleton skeleton-card"></div>';
+      this.calendar = await this.api.getCalendar(this.from ? { from: this.from } : {});
+      this.render();
+      this.renderStudyWindows();
+      this.loadSync();
+    } catch (error) {
+      console.error("Failed to load calendar:", error);
+      grid.innerHTML = '<div class="no-data"><i class="fas fa-calendar-times"></i><p>Could not load the calendar</p></div>';
+    }
+  }
+
+  // Move the week on screen by a number of days; 0 returns to the current week
+  showWeek(days) {
+    if (days === 0 || !this.calendar) {
+      this.from = null;
+    } else {
+      const date = new Date(`${this.calendar.from}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() + days);
+      this.from = date.toISOString().slice(0, 10);
+    }
+    this.editingSessionId = null;
+    this.load();
+  }
+
+  render() {
+    const { from, to, days, windows, sessions, weeks } = this.calendar;
+    const week = weeks[0];
+    const missed = sessions.filter((session) => session.missed).length;
+
+    document.getElementById("calendar-range").textContent = `${this.formatDay(from)} – ${this.formatDay(to)}`;
+    document.getElementById("calendar-summary").innerHTML = `
+      <span><strong>${this.ui.formatTime(week.studiedMinutes)}</strong> studied</span>
+      <span><strong>${this.ui.formatTime(week.plannedMinutes)}</strong> planned</span>
+      <span>of <strong>${this.ui.formatTime(week.goalMinutes)}</strong> weekly goal</span>
+      ${missed > 0 ? `<button class="btn btn-outline" data-calendar-action="reschedule"><i class="fas fa-redo"></i> Move ${missed} missed</button>` : ""}
+    `;
+
+    document.getElementById("calendar-grid").innerHTML = days
+      .map((day) => {
+        const dayWindows = windows.filter((window) => window.dateKey === day.date);
+        const daySessions = sessions.filter((session) => session.date === day.date);
+
+        return `
+          <div class="calendar-day ${day.date === this.getToday() ? "today" : ""}">
+            <div class="calendar-day-header">
+              <strong>${day.weekday.slice(0, 3)}</strong>
+              <span>${this.formatDay(day.date)}</span>
+            </div>
+            ${dayWindows.map((window) => `<div class="calendar-window"><i class="far fa-clock"></i> ${this.formatTime(window.start)} – ${this.formatTime(window.end)}</div>`).join("")}
+            ${daySessions.map((session) => this.renderSession(session)).join("") || (dayWindows.length > 0 ? '<p class="calendar-empty">Nothing planned</p>' : "")}
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  renderSession(session) {
+    if (session._id === this.editingSessionId) return this.renderSessionForm(session);
+
+    const calendar = session.calendar || {};
+    const topic = session.topicId?.title || "Study session";
+    const editable = session.status === "planned";
+
+    return `
+      <div class="calendar-session status-${session.status} ${session.missed ? "missed" : ""}">
+        <div class="calendar-session-time">${this.formatTime(session.startTime)} · ${this.ui.formatTime(session.status === "completed" ? session.actualDuration || 0 : session.plannedDuration)}</div>
+        <div class="calendar-session-title">${this.ui.escapeHtml(topic)}</div>
+        ${calendar.reason ? `<small class="text-muted">${this.ui.escapeHtml(calendar.reason)}</small>` : ""}
+        <div class="calendar-session-meta">
+          ${session.missed ? this.ui.createBadge("missed", "warning").outerHTML : ""}
+          ${calendar.rescheduleCount ? this.ui.createBadge(`moved ${calendar.rescheduleCount}×`, "primary").outerHTML : ""}
+          ${calendar.locked ? '<i class="fas fa-thumbtack" title="Kept when the calendar is planned again"></i>' : ""}
+        </div>
+        ${
+          editable
+            ? `<div class="calendar-session-actions">
+                <button class="btn btn-outline" data-calendar-action="edit" data-session-id="${session._id}" title="Move"><i class="fas fa-pen"></i></button>
+                <button class="btn btn-outline" data-calendar-action="remove" data-session-id="${session._id}" title="Remove"><i class="fas fa-trash"></i></button>
+              </div>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  renderSessionForm(session) {
+    const start = new Date(session.startTime);
+    const local = new Date(start.getTime() - start.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+    return `
+      <div class="calendar-session calendar-session-form">
+        <input type="datetime-local" name="startTime" value="${local}">
+        <input type="number" name="plannedDuration" min="15" max="480" step="5" value="${session.plannedDuration}">
+        <div class="calendar-session-actions">
+          <button class="btn btn-primary" data-calendar-action="save" data-session-id="${session._id}">Save</button>
+          <button class="btn btn-outline" data-calendar-action="cancel-edit">Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderStudyWindows() {
+    const list = document.getElementById("calendar-windows");
+    if (!list) return;
+
+    const times = this.calendar.preferredStudyTimes || [];
+    list.innerHTML = times.map((time) => this.renderStudyWindowRow(time)).join("") || '<p class="calendar-empty">Add the times you can study each week, then plan your calendar.</p>';
+  }
+
+  renderStudyWindowRow(time = { day: "Monday", startTime: "18:00", endTime: "19:00" }) {
+    return `
+      <div class="calendar-window-row">
+        <select name="day">${WEEKDAYS.map((day) => `<option value="${day}" ${day === time.day ? "selected" : ""}>${day}</option>`).join("")}</select>
+        <input type="time" name="startTime" value="${time.startTime}">
+        <span>–</span>
+        <input type="time" name="endTime" value="${time.endTime}">
+        <button class="btn btn-outline" data-calendar-action="remove-window" title="Remove"><i class="fas fa-times"></i></button>
+      </div>
+    `;
+  }
+
+  addStudyWindowRow() {
+    const list = document.getElementById("calendar-windows");
+    if (!list) return;
+
+    list.querySelector(".calendar-empty")?.remove();
+    list.insertAdjacentHTML("beforeend", this.renderStudyWindowRow());
+  }
+
+  async saveStudyWindows() {
+    const rows = document.querySelectorAll("#calendar-windows .calendar-window-row");
+    const preferredStudyTimes = [...rows].map((row) => ({
+      day: row.querySelector("[name=day]").value,
+      startTime: row.querySelector("[name=startTime]").value,
+      endTime: row.querySelector("[name=endTime]").value,
+    }));
+
+    try {
+      await this.api.updateSettings({ preferredStudyTimes });
+      this.ui.showToast("success", "Study times saved");
+      this.load();
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to save study times");
+    }
+  }
+
+  // Feed URL and the topics offered for imported events
+  async loadSync() {
+    try {
+      const { url } = await this.api.getCalendarFeed();
+      this.renderFeed(url);
+
+      if (!this.topicsLoaded) {
+        const { topics = [] } = await this.api.getTopics({ limit: 200, sortBy: "title", sortOrder: 1 });
+        document.getElementById("calendar-import-topic")?.insertAdjacentHTML("beforeend", topics.map((topic) => `<option value="${topic._id}">${this.ui.escapeHtml(topic.title)}</option>`).join(""));
+        this.topicsLoaded = true;
+      }
+    } catch (error) {
+      console.error("Failed to load calendar sync:", error);
+    }
+  }
+
+  renderFeed(url) {
+    const container = document.getElementById("calendar-feed");
+    if (!container) return;
+
+    container.innerHTML = url
+      ? `
+        <div class="calendar-feed-row">
+          <input type="text" id="calendar-feed-url" value="${this.ui.escapeHtml(url)}" readonly>
+          <button class="btn btn-outline" data-calendar-action="copy-feed" title="Copy"><i class="fas fa-copy"></i></button>
+          <button class="btn btn-outline" data-calendar-action="create-feed" title="Replace the URL; the old one stops working"><i class="fas fa-redo"></i></button>
+          <button class="btn btn-outline" data-calendar-action="delete-feed" title="Turn the feed off"><i class="fas fa-times"></i></button>
+        </div>
+      `
+      : '<button class="btn btn-outline" data-calendar-action="create-feed"><i class="fas fa-link"></i> Create Feed URL</button>';
+  }
+
+  async createFeed() {
+    try {
+      const { url } = await this.api.createCalendarFeed();
+      this.renderFeed(url);
+      this.ui.showToast("success", "Calendar feed URL created");
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to create the feed URL");
+    }
+  }
+
+  async deleteFeed() {
+    try {
+      await this.api.deleteCalendarFeed();
+      this.renderFeed(null);
+      this.ui.showToast("success", "Calendar feed turned off");
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to turn the feed off");
+    }
+  }
+
+  async importCalendar() {
+    const file = document.getElementById("calendar-import-file")?.files[0];
+    if (!file) {
+      this.ui.showToast("warning", "Choose an .ics file to import");
+      return;
+    }
+
+    try {
+      const result = await this.api.importCalendar(await file.text(), document.getElementById("calendar-import-topic")?.value || null);
+      this.ui.showToast("success", result.message);
+      if (result.skipped.length > 0) {
+        this.ui.showToast("warning", `${result.skipped.length} event${result.skipped.length === 1 ? " was" : "s were"} skipped: ${result.skipped.slice(0, 3).map((event) => `${this.ui.escapeHtml(event.summary)} (${event.reason})`).join(", ")}`);
+      }
+      this.load();
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to import the calendar");
+    }
+  }
+
+  async planWeeks() {
+    const weeks = parseInt(document.getElementById("calendar-plan-weeks")?.value || "2", 10);
+
+    try {
+      const result = await this.api.scheduleCalendar(weeks);
+      this.ui.showToast("success", result.message);
+      if (result.unscheduledGoals?.length > 0) {
+        this.ui.showToast("warning", `Link a topic to plan time for: ${result.unscheduledGoals.map((title) => this.ui.escapeHtml(title)).join(", ")}`);
+      }
+      this.load();
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to plan the calendar");
+    }
+  }
+
+  async rescheduleMissed() {
+    try {
+      const result = await this.api.rescheduleMissedSessions();
+      this.ui.showToast("success", `${result.sessionsRescheduled} session${result.sessionsRescheduled === 1 ? "" : "s"} moved`);
+      this.load();
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to move missed sessions");
+    }
+  }
+
+  editSession(sessionId) {
+    this.editingSessionId = sessionId;
+    this.render();
+  }
+
+  async saveSession(sessionId, form) {
+    if (!form) return;
+
+    const startTime = new Date(form.querySelector("[name=startTime]").value);
+    const plannedDuration = parseInt(form.querySelector("[name=plannedDuration]").value, 10);
+
+    try {
+      await this.api.updateCalendarSession(sessionId, { startTime: startTime.toISOString(), plannedDuration });
+      this.editingSessionId = null;
+      this.ui.showToast("success", "Session moved");
+      this.load();
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to move the session");
+    }
+  }
+
+  async removeSession(sessionId) {
+    try {
+      await this.api.deleteSession(sessionId);
+      this.ui.showToast("success", "Session removed");
+      this.load();
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to remove the session");
+    }
+  }
+
+  getToday() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+  }
+
+  formatDay(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+  }
+
+  formatTime(date) {
+    return new Date(date).toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit" });
+  }
+}
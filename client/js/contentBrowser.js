@@ -65,9 +65,7 @@ class ContentBrowser {
     document.addEventListener("click", (e) => {
       const contentItem = e.target.closest(".content-item");
       if (contentItem) {
-        const topic = contentItem.dataset.topic;
-        const filename = contentItem.dataset.filename;
-        this.openContent(topic, filename);
+        this.openContent(contentItem.dataset.contentPath);
       }
     });
 
@@ -370,7 +368,7 @@ class ContentBrowser {
     const sizeKB = Math.round(file.size / 1024);
 
     return `
-      <div class="content-item" data-topic="${topicKey}" data-filename="${file.relativePath || file.filename}">
+      <div class="content-item" data-topic="${topicKey}" data-content-path="${file.contentPath}">
         <div class="content-item-icon">
           <i class="fas fa-file-alt"></i>
         </div>
@@ -378,6 +376,8 @@ class ContentBrowser {
           <div class="content-item-title">${file.title}</div>
           <div class="content-item-meta">
             <span class="file-size">${sizeKB} KB</span>
+            ${file.estimatedMinutes ? `<span class="file-duration">${file.estimatedMinutes} min</span>` : ""}
+            ${file.difficulty ? `<span class="file-difficulty">${file.difficulty}</span>` : ""}
             <span class="file-path">${file.path}</span>
           </div>
         </div>
@@ -401,7 +401,7 @@ class ContentBrowser {
         query: query.trim(),
       });
 
-      this.renderSearchResults(response.results, query);
+      this.renderSearchResults(response.results, query, response.terms || []);
       this.updateStats(0, 0, response.totalResults, `Search: "${query}"`);
     } catch (error) {
       console.error("Search error:", error);
@@ -409,7 +409,7 @@ class ContentBrowser {
     }
   }
 
-  renderSearchResults(results, query) {
+  renderSearchResults(results, query, terms = []) {
     const contentList = document.getElementById("content-browser-list");
 
     if (results.length === 0) {
@@ -417,7 +417,7 @@ class ContentBrowser {
         <div class="empty-content">
           <i class="fas fa-search"></i>
           <h3>No Results Found</h3>
-          <p>No content matches "${query}"</p>
+          <p>No content matches "${this.ui.escapeHtml(query)}"</p>
         </div>
       `;
       return;
@@ -426,7 +426,7 @@ class ContentBrowser {
     const html = results
       .map(
         (result) => `
-      <div class="content-item search-result" data-topic="${result.topic}" data-filename="${result.filename}">
+      <div class="content-item search-result" data-topic="${result.topic}" data-content-path="${result.contentPath}">
         <div class="content-item-icon">
           <i class="fas fa-search"></i>
         </div>
@@ -448,8 +448,9 @@ class ContentBrowser {
                 .map(
                   (match) => `
                 <div class="match-line">
+                  ${match.headingPath?.length ? `<div class="match-heading">${this.ui.escapeHtml(match.headingPath.join(" › "))}</div>` : ""}
                   <span class="line-number">Line ${match.lineNumber}:</span>
-                  <span class="match-text">${this.highlightSearchTerm(match.line, query)}</span>
+                  <span class="match-text">${this.highlightSearchTerms(match.context || match.line, terms)}</span>
                 </div>
               `
                 )
@@ -472,9 +473,17 @@ class ContentBrowser {
     contentList.innerHTML = html;
   }
 
-  highlightSearchTerm(text, query) {
-    const regex = new RegExp(`(${query})`, "gi");
-    return text.replace(regex, "<mark>$1</mark>");
+  highlightSearchTerms(text, terms) {
+    if (terms.length === 0) return this.ui.escapeHtml(text);
+
+    // Terms are lowercase alphanumerics from the search index, so they are safe inside a regex.
+    // Split the raw text (the captured terms land at odd indexes) and escape each piece, so
+    // a term never matches inside an entity such as "&amp;".
+    const regex = new RegExp(`\\b(${terms.join("|")})`, "gi");
+    return String(text ?? "")
+      .split(regex)
+      .map((piece, index) => (index % 2 === 1 ? `<mark>${this.ui.escapeHtml(piece)}</mark>` : this.ui.escapeHtml(piece)))
+      .join("");
   }
 
   setFilter(filter) {
@@ -512,26 +521,12 @@ class ContentBrowser {
     }
   }
 
-  async openContent(topic, filename) {
+  async openContent(contentPath) {
     this.closeContentBrowser();
 
     // Use the learning viewer to open the content
     if (window.app && window.app.modules.learningViewer) {
-      // Find the topic ID from the database (if available)
-      // For now, we'll construct a resource object
-
-      // Extract just the filename for the title
-      const actualFilename = filename.split("/").pop();
-      const resource = {
-        title: actualFilename.replace(".md", "").replace(/^\d+-/, "").replace(/-/g, " "),
-        url: `/api/content/file/${topic}/${filename}`, // Use API endpoint for file serving
-        type: "markdown",
-      };
-
-      window.app.modules.learningViewer.currentResources = [resource];
-      window.app.modules.learningViewer.currentResourceIndex = 0;
-      window.app.modules.learningViewer.openLearningViewer();
-      await window.app.modules.learningViewer.loadResourceContent(resource);
+      await window.app.modules.learningViewer.openContentFile(contentPath);
     }
   }
 
@@ -31,6 +31,24 @@ export class Dashboard {
     if (chartTimeframe) {
       chartTimeframe.addEventListener("change", () => this.updateChart());
     }
+
+    // Study plan: check off tasks, open linked files, start a plan
+    const studyPlanContainer = document.getElementById("study-plan-today");
+    if (studyPlanContainer) {
+      studyPlanContainer.addEventListener("change", (e) => {
+        const checkbox = e.target.closest("[data-plan-task]");
+        if (checkbox) this.toggleStudyPlanTask(checkbox.dataset.planId, checkbox.dataset.planTask, checkbox.checked, checkbox);
+      });
+
+      studyPlanContainer.addEventListener("click", (e) => {
+        const contentLink = e.target.closest("[data-content-path]");
+        if (contentLink) {
+          window.app?.modules.learningViewer?.openContentFile(contentLink.dataset.contentPath);
+        } else if (e.target.closest("#start-study-plan-btn")) {
+          this.startStudyPlan();
+        }
+      });
+    }
   }
 
   setupSocketListeners() {
@@ -38,6 +56,9 @@ export class Dashboard {
       this.socket.on("session_started", () => this.refreshDashboard());
       this.socket.on("session_completed", () => this.refreshDashboard());
       this.socket.on("progress_updated", () => this.refreshDashboard());
+      this.socket.on("achievement_unlocked", (achievement) => {
+        this.ui.showToast("success", achievement.description, `${achievement.icon || "🏆"} ${achievement.name}`);
+      });
     }
   }
 
@@ -46,6 +67,7 @@ export class Dashboard {
     try {
       await this.loadDashboardData();
       console.log("✅ Dashboard data loaded successfully");
+      await this.loadStudyPlanToday();
       this.startAutoRefresh();
       console.log("✅ Dashboard auto-refresh started");
     } catch (error) {
@@ -234,6 +256,125 @@ export class Dashboard {
     }
   }
 
+  // Study plan card: today's tasks from the user's started plans, or a plan picker when
+  // they have not started one
+  async loadStudyPlanToday() {
+    const container = document.getElementById("study-plan-today");
+    if (!container) return;
+
+    try {
+      const today = await this.api.getStudyPlanToday();
+
+      if (today.plans.length > 0) {
+        container.innerHTML = today.plans.map((plan) => this.renderStudyPlanDue(plan)).join("");
+        return;
+      }
+
+      const { plans } = await this.api.getStudyPlans();
+      const inProgress = plans.filter((plan) => plan.started && !plan.progress.completedAt);
+      container.innerHTML = inProgress.length > 0 ? this.renderNothingDue(inProgress) : this.renderStudyPlanPicker(plans);
+    } catch (error) {
+      console.error("Failed to load study plans:", error);
+      container.innerHTML = `
+        <div class="no-data">
+          <i class="fas fa-calendar-check"></i>
+          <p>Study plans unavailable</p>
+        </div>
+      `;
+    }
+  }
+
+  renderStudyPlanDue(plan) {
+    const renderTask = (task, overdue) => `
+      <div class="milestone-item">
+        <input type="checkbox" class="milestone-checkbox" data-plan-id="${plan.planId}" data-plan-task="${this.ui.escapeHtml(task.taskId)}" ${task.completed ? "checked" : ""}>
+        <span class="milestone-text ${task.completed ? "completed" : ""}">
+          ${this.ui.escapeHtml(task.text)}
+          <small class="text-muted">${overdue ? `· due ${task.dueDate}` : task.day ? `· ${this.ui.escapeHtml(task.day)}` : "· this week"}</small>
+        </span>
+        ${task.contentPaths.length > 0 ? `<button class="btn btn-outline study-plan-open" data-content-path="${this.ui.escapeHtml(task.contentPaths[0])}" title="${this.ui.escapeHtml(task.contentPaths[0])}"><i class="fas fa-book-open"></i></button>` : ""}
+      </div>
+    `;
+
+    return `
+      <div class="study-plan-due">
+        <div class="goal-header">
+          <div class="goal-title">${this.ui.escapeHtml(plan.title)}</div>
+          <div class="goal-value">${plan.progress.completed}/${plan.progress.total}</div>
+        </div>
+        <div class="goal-meta">
+          <span>📅 Week ${plan.currentWeek}</span>
+          <span>📊 ${plan.progress.percentage}% complete</span>
+          ${plan.overdue.length > 0 ? `<span>⚠️ ${plan.overdue.length} overdue</span>` : ""}
+        </div>
+        <div class="milestone-list">
+          ${plan.due.map((task) => renderTask(task, false)).join("")}
+          ${plan.overdue.map((task) => renderTask(task, true)).join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  renderNothingDue(plans) {
+    return `
+      <div class="no-data">
+        <i class="fas fa-calendar-check"></i>
+        <p>Nothing due today</p>
+        <p class="text-muted">${plans.map((plan) => `${this.ui.escapeHtml(plan.title)}: ${plan.progress.percentage}% complete`).join("<br>")}</p>
+      </div>
+    `;
+  }
+
+  renderStudyPlanPicker(plans) {
+    if (plans.length === 0) {
+      return `
+        <div class="no-data">
+          <i class="fas fa-calendar-check"></i>
+          <p>No study plans yet</p>
+          <p class="text-muted">Import the learning content to load the weekly plans</p>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="study-plan-picker">
+        <p class="text-muted">Pick a plan and a start date to get a daily task list</p>
+        <select id="study-plan-select">
+          ${plans.map((plan) => `<option value="${plan._id}">${this.ui.escapeHtml(plan.title)} (${plan.totalWeeks} ${plan.totalWeeks === 1 ? "week" : "weeks"})</option>`).join("")}
+        </select>
+        <input type="date" id="study-plan-start" value="${new Date().toLocaleDateString("en-CA")}">
+        <button class="btn btn-primary" id="start-study-plan-btn">
+          <i class="fas fa-play"></i>
+          Start Plan
+        </button>
+      </div>
+    `;
+  }
+
+  async startStudyPlan() {
+    const planId = document.getElementById("study-plan-select")?.value;
+    const startDate = document.getElementById("study-plan-start")?.value;
+    if (!planId) return;
+
+    try {
+      await this.api.startStudyPlan(planId, startDate);
+      this.ui.showToast("success", "Study plan started");
+      await this.loadStudyPlanToday();
+    } catch (error) {
+      this.ui.showToast("error", error.message || "Failed to start study plan");
+    }
+  }
+
+  async toggleStudyPlanTask(planId, taskId, completed, checkbox) {
+    try {
+      await this.api.updateStudyPlanTask(planId, taskId, completed);
+      checkbox.nextElementSibling?.classList.toggle("completed", completed);
+    } catch (error) {
+      checkbox.checked = !completed;
+      this.ui.showToast("error", "Failed to update task");
+    }
+  }
+
   renderActivityItem(activity) {
     const iconClass =
       {
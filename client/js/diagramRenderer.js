@@ -0,0 +1,243 @@
+// Diagram Renderer - Turns ```mermaid code blocks into interactive SVG diagrams
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 0.2;
+const PNG_SCALE = 2;
+
+export class DiagramRenderer {
+  constructor(ui) {
+    this.ui = ui;
+    this.diagramCount = 0;
+    this.isInitialized = false;
+  }
+
+  initMermaid() {
+    if (this.isInitialized || !window.mermaid) return Boolean(window.mermaid);
+
+    window.mermaid.initialize({
+      startOnLoad: false,
+      securityLevel: "strict",
+      theme: "default",
+      // Plain SVG text labels keep PNG export working (foreignObject taints the canvas)
+      htmlLabels: false,
+      flowchart: { htmlLabels: false },
+    });
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  // Render every mermaid block inside a container
+  async renderAll(container) {
+    const blocks = Array.from(container.querySelectorAll("pre > code.language-mermaid"));
+    if (blocks.length === 0) return;
+
+    if (!this.initMermaid()) {
+      console.warn("Mermaid is not loaded; diagrams are shown as source");
+      return;
+    }
+
+    for (const code of blocks) {
+      await this.renderDiagram(code.parentElement, code.textContent);
+    }
+  }
+
+  async renderDiagram(pre, source) {
+    const id = `mermaid-diagram-${++this.diagramCount}`;
+    const wrapper = document.createElement("div");
+    wrapper.className = "mermaid-diagram";
+    wrapper.innerHTML = `
+      <div class="mermaid-toolbar">
+        <button class="btn btn-sm btn-outline" data-diagram-action="zoom-in" title="Zoom in"><i class="fas fa-search-plus"></i></button>
+        <button class="btn btn-sm btn-outline" data-diagram-action="zoom-out" title="Zoom out"><i class="fas fa-search-minus"></i></button>
+        <button class="btn btn-sm btn-outline" data-diagram-action="reset" title="Reset view"><i class="fas fa-compress"></i></button>
+        <button class="btn btn-sm btn-outline" data-diagram-action="source" title="Show source"><i class="fas fa-code"></i></button>
+        <button class="btn btn-sm btn-outline" data-diagram-action="export-svg" title="Download SVG"><i class="fas fa-download"></i> SVG</button>
+        <button class="btn btn-sm btn-outline" data-diagram-action="export-png" title="Download PNG"><i class="fas fa-image"></i> PNG</button>
+      </div>
+      <div class="mermaid-viewport">
+        <div class="mermaid-canvas"></div>
+      </div>
+      <div class="mermaid-error" style="display: none;"></div>
+    `;
+
+    // Keep the original code block as the source view
+    pre.replaceWith(wrapper);
+    pre.classList.add("mermaid-source");
+    pre.style.display = "none";
+    wrapper.appendChild(pre);
+
+    const canvas = wrapper.querySelector(".mermaid-canvas");
+
+    try {
+      const { svg } = await window.mermaid.render(id, source);
+      canvas.innerHTML = svg;
+      this.setupZoomPan(wrapper);
+    } catch (error) {
+      this.showError(wrapper, error);
+      // Mermaid leaves its error graphic in the body when rendering fails
+      document.getElementById(`d${id}`)?.remove();
+    }
+
+    wrapper.querySelector(".mermaid-toolbar").addEventListener("click", (e) => {
+      const action = e.target.closest("[data-diagram-action]")?.dataset.diagramAction;
+      if (action) this.handleAction(wrapper, action, id);
+    });
+  }
+
+  showError(wrapper, error) {
+    const errorElement = wrapper.querySelector(".mermaid-error");
+    const message = (error?.message || String(error)).split("\n").slice(0, 4).join("\n");
+
+    errorElement.innerHTML = `
+      <i class="fas fa-exclamation-triangle"></i>
+      <strong>This diagram could not be rendered.</strong>
+      <pre></pre>
+    `;
+    errorElement.querySelector("pre").textContent = message;
+    errorElement.style.display = "block";
+
+    wrapper.classList.add("has-error");
+    wrapper.querySelector(".mermaid-viewport").style.display = "none";
+    wrapper.querySelectorAll('[data-diagram-action]:not([data-diagram-action="source"])').forEach((button) => {
+      button.disabled = true;
+    });
+    wrapper.querySelector(".mermaid-source").style.display = "block";
+  }
+
+  setupZoomPan(wrapper) {
+    const viewport = wrapper.querySelector(".mermaid-viewport");
+    const state = { zoom: 1, x: 0, y: 0 };
+    wrapper.zoomState = state;
+
+    let dragStart = null;
+
+    viewport.addEventListener("wheel", (e) => {
+      // Plain scrolling keeps scrolling the page; Ctrl/Cmd + wheel zooms the diagram
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      this.setZoom(wrapper, state.zoom + (e.deltaY < 0 ? ZOOM_STEP : -ZOOM_STEP));
+    });
+
+    viewport.addEventListener("pointerdown", (e) => {
+      dragStart = { x: e.clientX - state.x, y: e.clientY - state.y };
+      viewport.setPointerCapture(e.pointerId);
+      viewport.classList.add("is-panning");
+    });
+
+    viewport.addEventListener("pointermove", (e) => {
+      if (!dragStart) return;
+      state.x = e.clientX - dragStart.x;
+      state.y = e.clientY - dragStart.y;
+      this.applyTransform(wrapper);
+    });
+
+    const endDrag = () => {
+      dragStart = null;
+      viewport.classList.remove("is-panning");
+    };
+    viewport.addEventListener("pointerup", endDrag);
+    viewport.addEventListener("pointercancel", endDrag);
+  }
+
+  setZoom(wrapper, zoom) {
+    wrapper.zoomState.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.round(zoom * 100) / 100));
+    this.applyTransform(wrapper);
+  }
+
+  applyTransform(wrapper) {
+    const { zoom, x, y } = wrapper.zoomState;
+    wrapper.querySelector(".mermaid-canvas").style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+  }
+
+  handleAction(wrapper, action, id) {
+    const state = wrapper.zoomState;
+
+    switch (action) {
+      case "zoom-in":
+        this.setZoom(wrapper, state.zoom + ZOOM_STEP);
+        break;
+      case "zoom-out":
+        this.setZoom(wrapper, state.zoom - ZOOM_STEP);
+        break;
+      case "reset":
+        Object.assign(state, { zoom: 1, x: 0, y: 0 });
+        this.applyTransform(wrapper);
+        break;
+      case "source": {
+        const source = wrapper.querySelector(".mermaid-source");
+        const showSource = source.style.display === "none";
+        source.style.display = showSource ? "block" : "none";
+        if (!wrapper.classList.contains("has-error")) {
+          wrapper.querySelector(".mermaid-viewport").style.display = showSource ? "none" : "block";
+        }
+        wrapper.querySelector('[data-diagram-action="source"]').classList.toggle("active", showSource);
+        break;
+      }
+      case "export-svg":
+        this.exportSvg(wrapper, id);
+        break;
+      case "export-png":
+        this.exportPng(wrapper, id);
+        break;
+    }
+  }
+
+  getSvgMarkup(wrapper) {
+    const svg = wrapper.querySelector(".mermaid-canvas svg");
+    if (!svg) return null;
+
+    const clone = svg.cloneNode(true);
+    clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+    return new XMLSerializer().serializeToString(clone);
+  }
+
+  exportSvg(wrapper, id) {
+    const markup = this.getSvgMarkup(wrapper);
+    if (!markup) return;
+
+    this.download(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }), `${id}.svg`);
+  }
+
+  exportPng(wrapper, id) {
+    const markup = this.getSvgMarkup(wrapper);
+    if (!markup) return;
+
+    const svg = wrapper.querySelector(".mermaid-canvas svg");
+    const viewBox = svg.viewBox.baseVal;
+    const width = viewBox?.width || svg.getBoundingClientRect().width;
+    const height = viewBox?.height || svg.getBoundingClientRect().height;
+
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(width * PNG_SCALE);
+      canvas.height = Math.ceil(height * PNG_SCALE);
+
+      const context = canvas.getContext("2d");
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      try {
+        canvas.toBlob((blob) => this.download(blob, `${id}.png`), "image/png");
+      } catch (error) {
+        console.error("PNG export failed:", error);
+        this.ui.showToast("error", "This diagram can only be exported as SVG");
+      }
+    };
+    image.onerror = () => this.ui.showToast("error", "Failed to export diagram");
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  }
+
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
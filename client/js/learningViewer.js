@@ -1,13 +1,30 @@
 // Learning Viewer - Integrated content reader and learning platform
+import { DiagramRenderer } from "./diagramRenderer.js";
+
+// Headings down to this level form the table of contents and are tracked as read sections
+// (matches SECTION_MAX_LEVEL on the server)
+const TOC_MAX_LEVEL = 3;
+// Distance from the top of the viewer at which a heading counts as the current section
+const SECTION_ACTIVE_OFFSET = 80;
+const READING_SAVE_DELAY = 2000;
+
 export class LearningViewer {
-  constructor(api, ui) {
+  constructor(api, ui, socket = null) {
     this.api = api;
     this.ui = ui;
+    this.socket = socket;
+    this.diagramRenderer = new DiagramRenderer(ui);
     this.currentTopic = null;
     this.currentResource = null;
     this.currentContent = null;
     this.readingProgress = 0;
+    this.sections = []; // Table of contents entries for current content
+    this.activeSectionId = null;
+    this.seenSectionIds = new Set(); // Headings scrolled into view during this visit
+    this.pendingReadSectionIds = new Set(); // Read sections not yet saved
+    this.readingSaveTimer = null;
     this.userNotes = [];
+    this.editingNoteId = null; // Note loaded into the detailed-note editor, if any
     this.bookmarks = [];
     this.contentBookmarks = []; // Bookmarks for current content
     this.studySession = null;
@@ -108,12 +125,24 @@ export class LearningViewer {
                   <option value="18">Large</option>
                   <option value="20">Extra Large</option>
                 </select>
+                <button class="btn btn-sm btn-outline active" id="toc-toggle-btn" title="Table of Contents">
+                  <i class="fas fa-list-ol"></i>
+                </button>
                 <button class="btn btn-sm btn-outline" id="focus-mode-btn" title="Focus Mode">
                   <i class="fas fa-eye"></i>
                 </button>
               </div>
             </div>
             
+            <div class="content-update-banner" id="content-update-banner" hidden>
+              <i class="fas fa-sync-alt"></i>
+              <span id="content-update-message"></span>
+              <button class="btn btn-sm btn-primary" id="content-reload-btn">Reload</button>
+              <button class="btn btn-sm btn-outline" id="content-update-dismiss-btn" title="Dismiss">
+                <i class="fas fa-times"></i>
+              </button>
+            </div>
+
             <div class="content-viewer" id="content-viewer">
               <div class="content-placeholder">
                 <i class="fas fa-book-open"></i>
@@ -136,6 +165,15 @@ export class LearningViewer {
               </div>
             </div>
           </div>
+
+          <!-- Table of contents with scroll-spy -->
+          <nav class="viewer-toc" id="viewer-toc">
+            <div class="toc-header">
+              <h4><i class="fas fa-list-ol"></i> Contents</h4>
+              <span class="toc-progress" id="toc-progress"></span>
+            </div>
+            <ul class="toc-list" id="toc-list"></ul>
+          </nav>
         </div>
         
         <!-- Notes Panel (hidden by default) -->
@@ -181,6 +219,28 @@ export class LearningViewer {
       }
     });
 
+    // Prerequisite links above the content
+    document.addEventListener("click", (e) => {
+      const prerequisitePath = e.target.closest("[data-prerequisite-path]")?.dataset.prerequisitePath;
+      if (prerequisitePath) {
+        e.preventDefault();
+        this.openPrerequisite(prerequisitePath);
+      }
+    });
+
+    // Files edited on disk while open
+    if (this.socket) {
+      this.socket.on("content_changed", (data) => this.handleContentChanged(data));
+    }
+
+    document.getElementById("content-reload-btn").addEventListener("click", () => {
+      this.reloadCurrentContent();
+    });
+
+    document.getElementById("content-update-dismiss-btn").addEventListener("click", () => {
+      this.hideContentUpdateBanner();
+    });
+
     // Handle copy to clipboard
     document.addEventListener("click", (e) => {
       const copyText = e.target.closest("[data-copy-text]")?.dataset.copyText;
@@ -189,14 +249,30 @@ export class LearningViewer {
       }
     });
 
-    // Handle note deletion
+    // Code block copy / collapse
     document.addEventListener("click", (e) => {
-      const noteId = e.target.closest("[data-note-id]")?.dataset.noteId;
-      if (noteId) {
-        this.deleteNote(parseInt(noteId));
+      const button = e.target.closest("[data-code-action]");
+      if (button) {
+        this.handleCodeBlockAction(button.closest(".code-block-container"), button.dataset.codeAction);
+      }
+    });
+
+    // Task-list checkboxes in rendered content
+    document.addEventListener("change", (e) => {
+      if (e.target.matches("#content-viewer .task-list-item-checkbox[data-task-id]")) {
+        this.toggleChecklistItem(e.target);
       }
     });
 
+    // Handle note editing and deletion
+    document.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-note-action]");
+      if (!action) return;
+
+      if (action.dataset.noteAction === "edit") this.editNote(action.dataset.noteId);
+      else if (action.dataset.noteAction === "delete") this.deleteNote(action.dataset.noteId);
+    });
+
     // Notes panel toggle
     const notesBtn = document.getElementById("viewer-notes-btn");
     if (notesBtn) {
@@ -223,6 +299,11 @@ export class LearningViewer {
       this.saveDetailedNote();
     });
 
+    // Clearing the editor also stops editing a saved note
+    document.getElementById("clear-note-btn").addEventListener("click", () => {
+      this.editNote(null);
+    });
+
     // Navigation
     document.getElementById("prev-resource-btn").addEventListener("click", () => {
       this.navigateResource(-1);
@@ -319,13 +400,26 @@ export class LearningViewer {
       }
     });
 
-    // Scroll tracking for progress
+    // Scroll tracking for section progress
     document.getElementById("content-viewer").addEventListener("scroll", () => {
-      this.updateReadingProgress();
+      this.handleViewerScroll();
+    });
+
+    // Table of contents navigation
+    document.getElementById("toc-list").addEventListener("click", (e) => {
+      const sectionId = e.target.closest("[data-toc-section]")?.dataset.tocSection;
+      if (sectionId) {
+        e.preventDefault();
+        this.scrollToSection(sectionId);
+      }
+    });
+
+    document.getElementById("toc-toggle-btn").addEventListener("click", () => {
+      this.toggleTableOfContents();
     });
   }
 
-  async openTopic(topicId) {
+  async openTopic(topicId, contentPath = null) {
     try {
       console.log("📖 Opening topic for reading:", topicId);
 
@@ -333,22 +427,18 @@ export class LearningViewer {
       const topicResponse = await this.api.get(`/topics/${topicId}`);
       this.currentTopic = topicResponse.topic;
 
-      console.log("🏷️ Database topic title:", this.currentTopic.title);
-      console.log("📊 Database topic data:", this.currentTopic);
-
-      // Show the modal
-      document.getElementById("learning-viewer-modal").classList.add("show");
-      document.body.style.overflow = "hidden";
-
-      // Update UI
-      document.getElementById("viewer-topic-title").textContent = this.currentTopic.title;
+      this.showViewerModal(this.currentTopic.title);
 
-      // Get the topic key from the title to match content API structure
-      const topicKey = this.getTopicKeyFromTitle(this.currentTopic.title);
-      console.log("🗝️ Mapped topic key:", topicKey);
+      // Resolve the topic's files from its resources and learning path
+      const resources = await this.resolveTopicResources(this.currentTopic);
+      if (resources.length === 0) {
+        this.showNoContentMessage(this.currentTopic.learningPath || this.currentTopic.title);
+        return;
+      }
 
-      // Load resources from content API
-      await this.loadResourcesFromContentAPI(topicKey);
+      this.currentTopic.resources = resources;
+      const startIndex = Math.max(0, resources.findIndex((resource) => resource.contentPath === contentPath));
+      this.loadResourcesList(startIndex);
 
       // Load user progress and notes
       await this.loadUserData();
@@ -361,93 +451,116 @@ export class LearningViewer {
     }
   }
 
-  getTopicKeyFromTitle(title) {
-    // Map topic titles to content API keys
-    const titleMap = {
-      "Data Structures & Algorithms": "dsa",
-      "Spring Boot & Backend Development": "springBoot",
-      "React & Frontend Development": "react",
-      "Database Design & Management": "databases",
-      "System Design & Architecture": "system-design-interviews",
-      "DevOps & Infrastructure": "devops-infrastructure-sde2",
-      "API Design & Testing": "api-design-testing",
-      "AI/ML Integration": "ai-ml-integration",
-      "Security & Authentication": "security-authentication",
-      "Design Patterns & Architecture": "patterns",
-      "Advanced Frontend Techniques": "frontend-advanced",
-      "Go Programming": "go-learning",
-      "Study Guides & Plans": "study-guides",
-    };
+  // Open a single learning file (e.g. from the content browser) outside of a topic
+  async openContentFile(contentPath, title = null) {
+    const resource = this.createContentResource(contentPath, title);
+    this.currentTopic = { title: resource.title, resources: [resource] };
 
-    return titleMap[title] || title.toLowerCase().replace(/\s+/g, "-").replace(/&/g, "");
+    this.showViewerModal(resource.title);
+    this.loadResourcesList(0);
+    await this.loadUserData();
+    this.startReadingTimer();
   }
 
-  async loadResourcesFromContentAPI(topicKey) {
-    try {
-      console.log(`📚 Loading resources for topic: ${topicKey}`);
-
-      // Get content from the content API
-      const contentResponse = await this.api.get("/content/list");
-      console.log("📡 Content API response received:", {
-        totalTopics: contentResponse.totalTopics,
-        totalFiles: contentResponse.totalFiles,
-        hasStructure: !!contentResponse.structure,
-        structureKeys: Object.keys(contentResponse.structure || {}),
-      });
+  showViewerModal(title) {
+    document.getElementById("learning-viewer-modal").classList.add("show");
+    document.body.style.overflow = "hidden";
+    document.getElementById("viewer-topic-title").textContent = title;
+  }
 
-      const topicContent = contentResponse.structure[topicKey];
-      console.log(`🔍 Looking for topic "${topicKey}" in content structure:`, {
-        found: !!topicContent,
-        fileCount: topicContent?.files?.length || 0,
-        title: topicContent?.title || "N/A",
-      });
+  // Path relative to learning/ for a topic resource (mirrors getResourceContentPath on the server)
+  getResourceContentPath(resource) {
+    if (resource.contentPath) return resource.contentPath;
 
-      if (!topicContent || !topicContent.files || topicContent.files.length === 0) {
-        console.warn(`❌ No content found for topic: ${topicKey}`);
-        console.log("📋 Available topics:", Object.keys(contentResponse.structure || {}));
-        this.showNoContentMessage(topicKey);
-        return;
-      }
+    const match = (resource.url || "").match(/^(?:\.\.\/learning|learning|\/api\/content\/file)\/(.+)$/);
+    return match ? match[1] : null;
+  }
 
-      console.log(`✅ Found content for ${topicKey}:`, {
-        title: topicContent.title,
-        fileCount: topicContent.files.length,
-        sampleFiles: topicContent.files.slice(0, 3).map((f) => f.title),
-      });
+  createContentResource(contentPath, title = null, extra = {}) {
+    const filename = contentPath.split("/").pop();
+    return {
+      title: title || filename.replace(".md", "").replace(/^\d+-/, "").replace(/-/g, " "),
+      type: "markdown",
+      ...extra,
+      contentPath,
+      url: `/api/content/file/${contentPath}`,
+    };
+  }
 
-      // Convert content files to resources format
-      this.currentTopic.resources = topicContent.files.map((file, index) => {
-        // The relativePath includes the topic directory (e.g., "ai-ml-integration/01-llm-api-integration.md")
-        // But the API route expects it without the topic prefix (e.g., "01-llm-api-integration.md")
-        // For DSA subdirectories: "dsa/01-easy/arrays.md" should become "01-easy/arrays.md"
-        let filePath = file.relativePath || file.filename;
+  // A topic's local resources come from its stored content paths; topics without any
+  // list every file under their learningPath
+  async resolveTopicResources(topic) {
+    const linkedResources = (topic.resources || [])
+      .map((resource) => ({ resource, contentPath: this.getResourceContentPath(resource) }))
+      .filter(({ contentPath }) => contentPath);
 
-        // Remove the topic prefix if it exists
-        if (filePath.startsWith(`${topicKey}/`)) {
-          filePath = filePath.substring(`${topicKey}/`.length);
-        }
+    if (linkedResources.length > 0) {
+      return linkedResources.map(({ resource, contentPath }, index) => this.createContentResource(contentPath, resource.title, { duration: resource.duration, index }));
+    }
 
-        return {
-          title: file.title,
-          url: `/api/content/file/${topicKey}/${filePath}`,
-          type: "markdown",
-          duration: this.estimateReadingTime(file.size),
-          index,
-          originalPath: file.relativePath || file.filename, // Keep original for debugging
-        };
-      });
+    if (!topic.learningPath) return [];
 
-      console.log(`✅ Created ${this.currentTopic.resources.length} resources for ${topicKey}`);
-      console.log(
-        "📄 Sample resource URLs:",
-        this.currentTopic.resources.slice(0, 3).map((r) => r.url)
-      );
+    try {
+      // Large topics come in pages
+      const files = [];
+      for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+        const topicContent = await this.api.get(`/content/topic/${topic.learningPath}`, { page });
+        files.push(...topicContent.files);
+        totalPages = topicContent.pagination?.totalPages || 1;
+      }
 
-      // Load resources list in UI
-      this.loadResourcesList();
+      return files.map((file, index) => this.createContentResource(file.contentPath, file.title, { duration: file.estimatedMinutes || this.estimateReadingTime(file.size), index }));
     } catch (error) {
       console.error("❌ Error loading resources from content API:", error);
       this.showContentErrorMessage(error);
+      return [];
+    }
+  }
+
+  // Title line details: front matter difficulty and tags, word count and reading time
+  // (the front matter estimate when the file declares one)
+  renderContentMetadata(metadata) {
+    const resourceTitle = document.getElementById("viewer-resource-title");
+    if (!resourceTitle) return;
+
+    const details = [`${metadata.wordCount} words`, `${metadata.estimatedReadingTime} min read`, metadata.difficulty].filter(Boolean).join(" • ");
+    const tags = (metadata.tags || []).map((tag) => `<span class="content-tag">#${this.ui.escapeHtml(tag)}</span>`).join("");
+
+    resourceTitle.innerHTML = `
+      ${this.ui.escapeHtml(metadata.title)}
+      <small>(${this.ui.escapeHtml(details)})</small>
+      ${tags}
+    `;
+  }
+
+  // Prerequisites from the front matter: files link to the file, learning paths are listed as is
+  renderPrerequisites(prerequisites) {
+    if (prerequisites.length === 0) return "";
+
+    const items = prerequisites.map((prerequisite) => {
+      if (!prerequisite.endsWith(".md")) return `<span class="prerequisite-path">${this.ui.escapeHtml(prerequisite)}</span>`;
+
+      const { title } = this.createContentResource(prerequisite);
+      return `<a href="#" class="prerequisite-link" data-prerequisite-path="${this.ui.escapeHtml(prerequisite)}">${this.ui.escapeHtml(title)}</a>`;
+    });
+
+    return `
+      <div class="content-prerequisites">
+        <i class="fas fa-route"></i>
+        <span>Prerequisites:</span>
+        ${items.join("")}
+      </div>
+    `;
+  }
+
+  // Prerequisites in the current topic open in place; others open on their own
+  openPrerequisite(contentPath) {
+    const index = this.currentTopic.resources.findIndex((resource) => resource.contentPath === contentPath);
+    if (index !== -1) {
+      this.loadResource(index);
+    } else {
+      clearInterval(this.readingTimer);
+      this.openContentFile(contentPath);
     }
   }
 
@@ -459,13 +572,13 @@ export class LearningViewer {
     return Math.max(1, minutes);
   }
 
-  showNoContentMessage(topicKey) {
+  showNoContentMessage(topicName) {
     const container = document.getElementById("viewer-resources-list");
     container.innerHTML = `
       <div class="no-content-message">
         <i class="fas fa-folder-open"></i>
         <h4>No Content Available</h4>
-        <p>No learning materials found for topic: <strong>${topicKey}</strong></p>
+        <p>No learning materials found for topic: <strong>${this.ui.escapeHtml(topicName)}</strong></p>
         <p>Content might be:</p>
         <ul>
           <li>Not yet uploaded to the learning directory</li>
@@ -506,7 +619,7 @@ export class LearningViewer {
     `;
   }
 
-  loadResourcesList() {
+  loadResourcesList(initialIndex = 0) {
     const container = document.getElementById("viewer-resources-list");
     if (!this.currentTopic.resources) {
       container.innerHTML = "<p>No resources available</p>";
@@ -516,7 +629,7 @@ export class LearningViewer {
     container.innerHTML = this.currentTopic.resources
       .map(
         (resource, index) => `
-      <div class="resource-nav-item ${index === 0 ? "active" : ""}" data-index="${index}">
+      <div class="resource-nav-item ${index === initialIndex ? "active" : ""}" data-index="${index}">
         <div class="resource-nav-content" data-resource-index="${index}">
           <div class="resource-nav-number">${index + 1}</div>
           <div class="resource-nav-info">
@@ -535,14 +648,16 @@ export class LearningViewer {
       )
       .join("");
 
-    // Load first resource by default
+    // Load the requested resource (the first one by default)
     if (this.currentTopic.resources.length > 0) {
-      this.loadResource(0);
+      this.loadResource(initialIndex);
     }
   }
 
   async loadResource(index) {
     try {
+      await this.saveReadingProgress();
+
       const resource = this.currentTopic.resources[index];
       this.currentResource = { ...resource, index };
 
@@ -565,27 +680,19 @@ export class LearningViewer {
     }
   }
 
-  async loadResourceContent(resource) {
+  // With a scroll anchor (see getScrollAnchor) the content is reloaded in place instead of
+  // resuming at the last section read
+  async loadResourceContent(resource, scrollAnchor = null) {
     const viewer = document.getElementById("content-viewer");
+    this.hideContentUpdateBanner();
     viewer.innerHTML = '<div class="loading-content"><i class="fas fa-spinner fa-spin"></i> Loading content...</div>';
 
     try {
       console.log("📄 Loading resource content:", resource.url);
 
-      // Extract the file path from URL more robustly
-      // URL format: /api/content/file/{topic}/{filePath...}
-      const match = resource.url.match(/\/api\/content\/file\/([^\/]+)\/(.+)$/);
-      if (match) {
-        const topic = match[1];
-        const filePath = match[2];
-
-        // Set current content path for bookmarks (use the original path structure if available)
-        this.currentContentPath = resource.originalPath || `${topic}/${filePath}`;
-        console.log("📁 Extracted paths - Topic:", topic, "FilePath:", filePath, "ContentPath:", this.currentContentPath);
-      } else {
-        console.warn("Could not parse URL structure:", resource.url);
-        this.currentContentPath = resource.originalPath || "unknown";
-      }
+      // Bookmarks, notes, checklists and reading progress are keyed by the content path
+      this.currentContentPath = resource.contentPath;
+      this.socket?.openContent(resource.contentPath);
 
       // Make the API call directly
       const response = await fetch(resource.url, {
@@ -602,20 +709,16 @@ export class LearningViewer {
       const data = await response.json();
 
       if (data.content) {
-        // Render real markdown content
-        viewer.innerHTML = this.renderMarkdownContent(data.content);
+        // Markdown is rendered and sanitized on the server
+        viewer.innerHTML = data.html;
+        this.enhanceCodeBlocks(viewer);
+        await this.diagramRenderer.renderAll(viewer);
+        this.buildTableOfContents(data.headings || []);
 
         // Update metadata
         if (data.metadata) {
-          const resourceTitle = document.getElementById("viewer-resource-title");
-          if (resourceTitle) {
-            const wordCount = data.content.split(/\s+/).length;
-            const readingTime = Math.ceil(wordCount / 200); // 200 words per minute
-            resourceTitle.innerHTML = `
-              ${data.metadata.title}
-              <small>(${wordCount} words • ${readingTime} min read)</small>
-            `;
-          }
+          this.renderContentMetadata(data.metadata);
+          viewer.insertAdjacentHTML("afterbegin", this.renderPrerequisites(data.metadata.prerequisites || []));
         }
 
         console.log("✅ Content loaded successfully");
@@ -623,12 +726,13 @@ export class LearningViewer {
         throw new Error("No content received from API");
       }
 
-      // Reset scroll and progress
+      // Reset scroll, then resume at the last section read
       viewer.scrollTop = 0;
-      this.updateReadingProgress();
+      if (scrollAnchor) this.restoreScrollAnchor(scrollAnchor);
+      await this.loadReadingProgress({ resume: !scrollAnchor });
 
-      // Load bookmarks for this content
-      await this.loadContentBookmarks();
+      // Load bookmarks and notes for this content
+      await Promise.all([this.loadContentBookmarks(), this.loadContentNotes(), this.loadChecklistState()]);
     } catch (error) {
       console.error("❌ Error loading content:", error);
 
@@ -838,69 +942,51 @@ Try implementing the concepts you learn in your own projects.
     );
   }
 
-  renderMarkdownContent(content) {
-    // Enhanced markdown renderer for better content display
-    let html = content
-      // Headers (order matters - h4 before h3, etc.)
-      .replace(/^#### (.*$)/gim, "<h4>$1</h4>")
-      .replace(/^### (.*$)/gim, "<h3>$1</h3>")
-      .replace(/^## (.*$)/gim, "<h2>$1</h2>")
-      .replace(/^# (.*$)/gim, "<h1>$1</h1>")
-
-      // Code blocks (must come before inline code)
-      .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre class="code-block"><code class="language-$1">$2</code></pre>')
-      .replace(/```([\s\S]*?)```/g, '<pre class="code-block"><code>$1</code></pre>')
-
-      // Inline code
-      .replace(/`([^`]+)`/g, '<code class="inline-code">$1</code>')
-
-      // Bold and italic (order matters)
-      .replace(/\*\*\*(.*?)\*\*\*/g, "<strong><em>$1</em></strong>")
-      .replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>")
-      .replace(/\*(.*?)\*/g, "<em>$1</em>")
-
-      // Links
-      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
-
-      // Images
-      .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1" style="max-width: 100%; height: auto;" />')
-
-      // Lists (improved handling)
-      .replace(/^(\s*)- (.+)$/gim, "$1<li>$2</li>")
-      .replace(/^(\s*)\d+\. (.+)$/gim, "$1<li>$2</li>")
-
-      // Blockquotes
-      .replace(/^> (.*$)/gim, "<blockquote>$1</blockquote>")
-
-      // Horizontal rules
-      .replace(/^---$/gim, "<hr>")
-      .replace(/^\*\*\*$/gim, "<hr>")
-
-      // Strikethrough
-      .replace(/~~(.*?)~~/g, "<del>$1</del>")
+  // Add a header (language, line count, copy, collapse) and a line-number gutter to each
+  // highlighted code block. Mermaid blocks carry no data-lines and are left to the diagram renderer.
+  enhanceCodeBlocks(container) {
+    container.querySelectorAll("pre.code-block[data-lines]").forEach((pre) => {
+      const lineCount = parseInt(pre.dataset.lines) || 1;
+      const wrapper = document.createElement("div");
+      wrapper.className = "code-block-container";
+      wrapper.innerHTML = `
+        <div class="code-block-header">
+          <span class="code-language">${this.ui.escapeHtml(pre.dataset.language || "text")}</span>
+          <span class="code-line-count">${lineCount} ${lineCount === 1 ? "line" : "lines"}</span>
+          <div class="code-block-actions">
+            <button class="code-action" data-code-action="copy" title="Copy code">
+              <i class="fas fa-copy"></i>
+            </button>
+            <button class="code-action" data-code-action="collapse" title="Collapse">
+              <i class="fas fa-chevron-up"></i>
+            </button>
+          </div>
+        </div>
+      `;
 
-      // Convert line breaks to proper paragraphs
-      .split("\n\n")
-      .map((paragraph) => {
-        if (paragraph.trim()) {
-          // Don't wrap headers, code blocks, lists, or other block elements in <p>
-          if (paragraph.match(/^<(h[1-6]|pre|blockquote|ul|ol|li|hr)/)) {
-            return paragraph;
-          }
-          return `<p>${paragraph.replace(/\n/g, "<br>")}</p>`;
-        }
-        return "";
-      })
-      .filter((p) => p)
-      .join("\n\n");
+      const gutter = document.createElement("span");
+      gutter.className = "code-line-numbers";
+      gutter.setAttribute("aria-hidden", "true");
+      gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join("\n");
 
-    // Wrap consecutive list items in proper list containers
-    html = html.replace(/(<li>.*?<\/li>(?:\s*<li>.*?<\/li>)*)/gs, (match) => {
-      if (match.includes("<ol>") || match.includes("<ul>")) return match;
-      return `<ul>${match}</ul>`;
+      pre.replaceWith(wrapper);
+      pre.classList.add("has-line-numbers");
+      pre.prepend(gutter);
+      wrapper.appendChild(pre);
     });
+  }
+
+  handleCodeBlockAction(container, action) {
+    if (!container) return;
 
-    return html;
+    if (action === "copy") {
+      this.copyToClipboard(container.querySelector("pre code").textContent, "Code copied to clipboard!");
+    } else if (action === "collapse") {
+      const isCollapsed = container.classList.toggle("is-collapsed");
+      const button = container.querySelector('[data-code-action="collapse"]');
+      button.title = isCollapsed ? "Expand" : "Collapse";
+      button.querySelector("i").className = isCollapsed ? "fas fa-chevron-down" : "fas fa-chevron-up";
+    }
   }
 
   updateNavigationButtons() {
@@ -918,16 +1004,242 @@ Try implementing the concepts you learn in your own projects.
     }
   }
 
-  updateReadingProgress() {
+  buildTableOfContents(headings) {
+    this.sections = headings.filter((heading) => heading.level <= TOC_MAX_LEVEL).map((heading) => ({ ...heading, read: false }));
+    this.activeSectionId = null;
+    this.seenSectionIds = new Set();
+    this.pendingReadSectionIds = new Set();
+
+    document.getElementById("viewer-toc").classList.toggle("empty", this.sections.length === 0);
+    this.renderTableOfContents();
+  }
+
+  renderTableOfContents() {
+    const list = document.getElementById("toc-list");
+    if (!list) return;
+
+    list.innerHTML = this.sections
+      .map(
+        (section) => `
+        <li class="toc-item toc-level-${section.level} ${section.read ? "read" : ""}" data-toc-item="${this.ui.escapeHtml(section.id)}">
+          <a href="#${this.ui.escapeHtml(section.id)}" data-toc-section="${this.ui.escapeHtml(section.id)}" title="${this.ui.escapeHtml(section.text)}">
+            <i class="fas ${section.read ? "fa-check-circle" : "fa-circle"} toc-status"></i>
+            <span>${this.ui.escapeHtml(section.text)}</span>
+          </a>
+        </li>
+      `
+      )
+      .join("");
+
+    this.updateActiveTocItem();
+    this.renderReadingProgress();
+  }
+
+  async loadReadingProgress({ resume = true } = {}) {
+    if (!this.currentContentPath || this.sections.length === 0) {
+      this.renderReadingProgress();
+      return;
+    }
+
+    try {
+      const progress = await this.api.get(`/reading/content/${this.currentContentPath}`);
+      const readIds = new Set(progress.sections.filter((section) => section.read).map((section) => section.id));
+      this.sections.forEach((section) => {
+        section.read = readIds.has(section.id);
+      });
+      this.renderTableOfContents();
+
+      // Resume where the reader left off, unless that is the top of the file
+      const resumeIndex = this.sections.findIndex((section) => section.id === progress.lastSectionId);
+      if (resume && resumeIndex > 0) {
+        this.scrollToSection(progress.lastSectionId, "auto");
+        this.ui.showToast("info", `Resumed at "${this.sections[resumeIndex].text}"`);
+      }
+    } catch (error) {
+      console.error("Error loading reading progress:", error);
+    }
+
+    this.updateSectionTracking();
+  }
+
+  getSectionElement(sectionId) {
+    return document.getElementById("content-viewer").querySelector(`[id="${CSS.escape(sectionId)}"]`);
+  }
+
+  // Offset of an element from the top of the viewer's scrollable content
+  getOffsetInViewer(element) {
     const viewer = document.getElementById("content-viewer");
-    const scrollTop = viewer.scrollTop;
-    const scrollHeight = viewer.scrollHeight - viewer.clientHeight;
-
-    if (scrollHeight > 0) {
-      this.readingProgress = Math.round((scrollTop / scrollHeight) * 100);
-      document.getElementById("viewer-progress-bar").style.width = `${this.readingProgress}%`;
-      document.getElementById("viewer-progress-text").textContent = `${this.readingProgress}% Complete`;
-      document.getElementById("reading-percentage").textContent = `${this.readingProgress}%`;
+    return element.getBoundingClientRect().top - viewer.getBoundingClientRect().top + viewer.scrollTop;
+  }
+
+  scrollToSection(sectionId, behavior = "smooth") {
+    const heading = this.getSectionElement(sectionId);
+    if (!heading) return;
+
+    const viewer = document.getElementById("content-viewer");
+    viewer.scrollTo({ top: Math.max(0, this.getOffsetInViewer(heading) - SECTION_ACTIVE_OFFSET / 2), behavior });
+  }
+
+  handleViewerScroll() {
+    if (this.scrollFrame) return;
+
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.updateSectionTracking();
+    });
+  }
+
+  // Scroll-spy: the current section is the last heading above the top of the viewer.
+  // A section counts as read once its heading has been on screen during this visit
+  // and the reader has scrolled to its end (the next heading, or the end of the file).
+  updateSectionTracking() {
+    const viewer = document.getElementById("content-viewer");
+    if (this.sections.length === 0) {
+      this.renderReadingProgress();
+      return;
+    }
+
+    const viewTop = viewer.scrollTop;
+    const viewBottom = viewTop + viewer.clientHeight;
+    const atBottom = viewBottom >= viewer.scrollHeight - 2;
+    const positions = this.sections.map((section) => {
+      const heading = this.getSectionElement(section.id);
+      return heading ? this.getOffsetInViewer(heading) : null;
+    });
+
+    let activeSectionId = this.sections[0].id;
+    let newlyRead = false;
+
+    this.sections.forEach((section, index) => {
+      const top = positions[index];
+      if (top === null) return;
+
+      if (top <= viewTop + SECTION_ACTIVE_OFFSET) activeSectionId = section.id;
+      if (top >= viewTop && top <= viewBottom) this.seenSectionIds.add(section.id);
+
+      const nextTop = positions.slice(index + 1).find((position) => position !== null);
+      const end = nextTop ?? viewer.scrollHeight;
+      if (!section.read && this.seenSectionIds.has(section.id) && (end <= viewBottom || atBottom)) {
+        section.read = true;
+        this.pendingReadSectionIds.add(section.id);
+        newlyRead = true;
+      }
+    });
+
+    const sectionChanged = activeSectionId !== this.activeSectionId;
+    this.activeSectionId = activeSectionId;
+
+    if (newlyRead) {
+      this.renderTableOfContents();
+    } else if (sectionChanged) {
+      this.updateActiveTocItem();
+    }
+
+    if (newlyRead || sectionChanged) {
+      this.scheduleReadingSave();
+    }
+  }
+
+  updateActiveTocItem() {
+    document.querySelectorAll("#toc-list [data-toc-item]").forEach((item) => {
+      const isActive = item.dataset.tocItem === this.activeSectionId;
+      item.classList.toggle("active", isActive);
+      if (isActive) item.scrollIntoView({ block: "nearest" });
+    });
+  }
+
+  renderReadingProgress() {
+    if (this.sections.length > 0) {
+      const readCount = this.sections.filter((section) => section.read).length;
+      this.readingProgress = Math.round((readCount / this.sections.length) * 100);
+      document.getElementById("toc-progress").textContent = `${readCount}/${this.sections.length}`;
+    } else {
+      // Files without headings have no sections; fall back to scroll position
+      const viewer = document.getElementById("content-viewer");
+      const scrollHeight = viewer.scrollHeight - viewer.clientHeight;
+      this.readingProgress = scrollHeight > 0 ? Math.round((viewer.scrollTop / scrollHeight) * 100) : 0;
+    }
+
+    document.getElementById("viewer-progress-bar").style.width = `${this.readingProgress}%`;
+    document.getElementById("viewer-progress-text").textContent = `${this.readingProgress}% Complete`;
+    document.getElementById("reading-percentage").textContent = `${this.readingProgress}%`;
+  }
+
+  scheduleReadingSave() {
+    clearTimeout(this.readingSaveTimer);
+    this.readingSaveTimer = setTimeout(() => this.saveReadingProgress(), READING_SAVE_DELAY);
+  }
+
+  async saveReadingProgress() {
+    clearTimeout(this.readingSaveTimer);
+    this.readingSaveTimer = null;
+    if (!this.currentContentPath || !this.activeSectionId) return;
+
+    const readSectionIds = Array.from(this.pendingReadSectionIds);
+    this.pendingReadSectionIds.clear();
+
+    try {
+      await this.api.put(`/reading/content/${this.currentContentPath}`, {
+        readSectionIds,
+        currentSectionId: this.activeSectionId,
+      });
+    } catch (error) {
+      console.error("Error saving reading progress:", error);
+      readSectionIds.forEach((sectionId) => this.pendingReadSectionIds.add(sectionId));
+    }
+  }
+
+  toggleTableOfContents() {
+    const toc = document.getElementById("viewer-toc");
+    const isHidden = toc.classList.toggle("hidden");
+    document.getElementById("toc-toggle-btn").classList.toggle("active", !isHidden);
+  }
+
+  async loadChecklistState() {
+    const checkboxes = document.querySelectorAll("#content-viewer .task-list-item-checkbox[data-task-id]");
+    if (!this.currentContentPath || checkboxes.length === 0) return;
+
+    try {
+      const checklist = await this.api.get(`/checklists/content/${this.currentContentPath}`);
+      const checkedById = new Map(checklist.items.map((item) => [item.id, item.checked]));
+
+      checkboxes.forEach((checkbox) => {
+        if (checkedById.has(checkbox.dataset.taskId)) {
+          checkbox.checked = checkedById.get(checkbox.dataset.taskId);
+        }
+      });
+    } catch (error) {
+      console.error("Error loading checklist state:", error);
+    }
+  }
+
+  async toggleChecklistItem(checkbox) {
+    const checked = checkbox.checked;
+    checkbox.disabled = true;
+
+    try {
+      const response = await this.api.put(`/checklists/content/${this.currentContentPath}`, {
+        itemId: checkbox.dataset.taskId,
+        checked,
+      });
+
+      const { completed, total } = response.checklist;
+      if (checked && completed === total) {
+        this.ui.showToast("success", `Checklist complete: ${completed}/${total} items done`);
+      }
+
+      // Keep the resource list in sync with topic progress derived from checklists
+      const topicProgress = response.topics?.find((topic) => topic.topicId === this.currentTopic?._id);
+      if (topicProgress && this.currentTopic.userProgress) {
+        this.currentTopic.userProgress.progress = topicProgress.progress;
+        this.currentTopic.userProgress.status = topicProgress.status;
+      }
+    } catch (error) {
+      console.error("Error updating checklist item:", error);
+      checkbox.checked = !checked;
+      this.ui.showToast("error", "Failed to save checklist item");
+    } finally {
+      checkbox.disabled = false;
     }
   }
 
@@ -937,59 +1249,124 @@ Try implementing the concepts you learn in your own projects.
     panel.style.display = isVisible ? "none" : "block";
   }
 
-  saveQuickNote() {
-    const noteText = document.getElementById("quick-notes").value.trim();
-    if (noteText) {
-      const note = {
-        id: Date.now(),
-        content: noteText,
-        resourceTitle: this.currentResource?.title || "General",
-        timestamp: new Date().toLocaleString(),
-        type: "quick",
-      };
-      this.userNotes.push(note);
-      document.getElementById("quick-notes").value = "";
-      this.ui.showToast("success", "Quick note saved!");
+  async loadContentNotes() {
+    if (!this.currentContentPath) return;
+
+    try {
+      const response = await this.api.get(`/notes/content/${this.currentContentPath}`);
+      this.userNotes = response.notes || [];
+    } catch (error) {
+      console.error("Error loading notes:", error);
+      this.userNotes = [];
     }
+
+    // A note of the previous file can no longer be edited here
+    if (this.editingNoteId) this.editNote(null);
+    this.renderNotesList();
   }
 
-  saveDetailedNote() {
-    const noteText = document.getElementById("note-editor").value.trim();
-    if (noteText) {
-      const note = {
-        id: Date.now(),
-        content: noteText,
-        resourceTitle: this.currentResource?.title || "General",
-        timestamp: new Date().toLocaleString(),
-        type: "detailed",
-      };
-      this.userNotes.push(note);
+  async saveNote(body, type) {
+    if (!this.currentContentPath) {
+      this.ui.showToast("error", "No content selected for note");
+      return false;
+    }
+
+    try {
+      const response = await this.api.post("/notes", {
+        contentPath: this.currentContentPath,
+        sectionHeading: this.getCurrentLocation()?.sectionHeading || "",
+        body,
+        type,
+      });
+      this.userNotes.push(response.note);
       this.renderNotesList();
-      document.getElementById("note-editor").value = "";
+      return true;
+    } catch (error) {
+      console.error("Error saving note:", error);
+      this.ui.showToast("error", "Failed to save note");
+      return false;
+    }
+  }
+
+  async saveQuickNote() {
+    const input = document.getElementById("quick-notes");
+    const noteText = input.value.trim();
+    if (noteText && (await this.saveNote(noteText, "quick"))) {
+      input.value = "";
+      this.ui.showToast("success", "Quick note saved!");
+    }
+  }
+
+  async saveDetailedNote() {
+    const editor = document.getElementById("note-editor");
+    const noteText = editor.value.trim();
+    if (!noteText) return;
+
+    if (this.editingNoteId) {
+      if (await this.updateNote(this.editingNoteId, noteText)) {
+        this.editNote(null);
+        this.ui.showToast("success", "Note updated!");
+      }
+    } else if (await this.saveNote(noteText, "detailed")) {
+      editor.value = "";
       this.ui.showToast("success", "Note saved!");
     }
   }
 
+  // Load a note into the editor to change it; null goes back to writing a new note
+  editNote(noteId) {
+    const note = noteId ? this.userNotes.find((n) => n._id === noteId) : null;
+    const editor = document.getElementById("note-editor");
+    const saveButton = document.getElementById("save-note-btn");
+
+    this.editingNoteId = note?._id || null;
+    editor.value = note?.body || "";
+    saveButton.textContent = note ? "Update Note" : "Save Note";
+    this.renderNotesList();
+
+    if (note) {
+      document.getElementById("notes-panel").style.display = "block";
+      editor.focus();
+    }
+  }
+
+  async updateNote(noteId, body) {
+    try {
+      const response = await this.api.put(`/notes/${noteId}`, { body });
+      this.userNotes = this.userNotes.map((note) => (note._id === noteId ? response.note : note));
+      this.renderNotesList();
+      return true;
+    } catch (error) {
+      console.error("Error updating note:", error);
+      this.ui.showToast("error", "Failed to update note");
+      return false;
+    }
+  }
+
   renderNotesList() {
     const container = document.getElementById("notes-list");
-    const resourceNotes = this.userNotes.filter((note) => note.resourceTitle === this.currentResource?.title);
+    if (!container) return;
 
-    if (resourceNotes.length === 0) {
+    if (this.userNotes.length === 0) {
       container.innerHTML = '<p class="no-notes">No notes for this resource yet.</p>';
       return;
     }
 
-    container.innerHTML = resourceNotes
+    container.innerHTML = this.userNotes
       .map(
         (note) => `
-      <div class="note-item">
+      <div class="note-item ${note._id === this.editingNoteId ? "editing" : ""}">
         <div class="note-header">
-          <span class="note-timestamp">${note.timestamp}</span>
-          <button class="note-delete" data-note-id="${note.id}">
+          <span class="note-timestamp">${new Date(note.updatedAt || note.createdAt).toLocaleString()}</span>
+          ${note.sectionHeading ? `<span class="note-section">${this.ui.escapeHtml(note.sectionHeading)}</span>` : ""}
+          <button class="note-edit" data-note-action="edit" data-note-id="${note._id}" title="Edit note">
+            <i class="fas fa-pen"></i>
+          </button>
+          <button class="note-delete" data-note-action="delete" data-note-id="${note._id}" title="Delete note">
             <i class="fas fa-trash"></i>
           </button>
         </div>
-        <div class="note-content">${note.content}</div>
+        <div class="note-content">${note.bodyHtml ?? this.ui.escapeHtml(note.body)}</div>
       </div>
     `
       )
@@ -1059,8 +1436,7 @@ Try implementing the concepts you learn in your own projects.
   }
 
   async loadUserData() {
-    // Load user notes and bookmarks for this topic
-    // This would typically come from the API
+    // Notes and bookmarks are loaded per file in loadResourceContent()
     this.userNotes = [];
     this.bookmarks = [];
   }
@@ -1075,14 +1451,60 @@ Try implementing the concepts you learn in your own projects.
       if (this.readingTimer) {
         clearInterval(this.readingTimer);
       }
+
+      this.saveReadingProgress();
+      this.socket?.closeContent();
+      this.hideContentUpdateBanner();
     }
   }
 
-  copyToClipboard(text) {
+  // The open file changed on disk: offer a reload rather than replacing what is being read
+  handleContentChanged({ contentPath, change }) {
+    if (contentPath !== this.currentContentPath || !document.getElementById("learning-viewer-modal")?.classList.contains("show")) return;
+
+    const deleted = change === "deleted";
+    document.getElementById("content-update-message").textContent = deleted ? "This file was deleted from the learning directory." : "This file was updated.";
+    document.getElementById("content-reload-btn").hidden = deleted;
+    document.getElementById("content-update-banner").hidden = false;
+  }
+
+  hideContentUpdateBanner() {
+    const banner = document.getElementById("content-update-banner");
+    if (banner) banner.hidden = true;
+  }
+
+  async reloadCurrentContent() {
+    if (!this.currentResource) return;
+
+    await this.saveReadingProgress();
+    await this.loadResourceContent(this.currentResource, this.getScrollAnchor());
+  }
+
+  // Where the reader is: the section at the top of the viewer and how far into it they have
+  // scrolled, so the position survives edits above it
+  getScrollAnchor() {
+    const viewer = document.getElementById("content-viewer");
+    const heading = this.activeSectionId && this.getSectionElement(this.activeSectionId);
+
+    return {
+      scrollTop: viewer.scrollTop,
+      sectionId: heading ? this.activeSectionId : null,
+      offset: heading ? viewer.scrollTop - this.getOffsetInViewer(heading) : 0,
+    };
+  }
+
+  restoreScrollAnchor({ scrollTop, sectionId, offset }) {
+    const viewer = document.getElementById("content-viewer");
+    const heading = sectionId && this.getSectionElement(sectionId);
+
+    viewer.scrollTop = heading ? this.getOffsetInViewer(heading) + offset : scrollTop;
+  }
+
+  copyToClipboard(text, message = "Path copied to clipboard!") {
     navigator.clipboard
       .writeText(text)
       .then(() => {
-        window.app.ui.showToast("success", "Path copied to clipboard!");
+        window.app.ui.showToast("success", message);
       })
       .catch(() => {
         // Fallback for older browsers
@@ -1092,14 +1514,21 @@ Try implementing the concepts you learn in your own projects.
         textArea.select();
         document.execCommand("copy");
         document.body.removeChild(textArea);
-        window.app.ui.showToast("success", "Path copied to clipboard!");
+        window.app.ui.showToast("success", message);
       });
   }
 
-  deleteNote(noteId) {
-    this.userNotes = this.userNotes.filter((note) => note.id !== noteId);
-    this.renderNotesList();
-    window.app.ui.showToast("success", "Note deleted");
+  async deleteNote(noteId) {
+    try {
+      await this.api.delete(`/notes/${noteId}`);
+      this.userNotes = this.userNotes.filter((note) => note._id !== noteId);
+      if (this.editingNoteId === noteId) this.editNote(null);
+      this.renderNotesList();
+      this.ui.showToast("success", "Note deleted");
+    } catch (error) {
+      console.error("Error deleting note:", error);
+      this.ui.showToast("error", "Failed to delete note");
+    }
   }
 
   toggleStudySession() {
@@ -1138,7 +1567,7 @@ Try implementing the concepts you learn in your own projects.
       let nearestHeading = "";
       for (let heading of headings) {
         if (heading.offsetTop <= location.scrollPercentage) {
-          nearestHeading = heading.textContent;
+          nearestHeading = this.getHeadingText(heading);
         }
       }
       title = nearestHeading || `Bookmark at ${Math.round(location.scrollPercentage)}%`;
@@ -1204,7 +1633,7 @@ Try implementing the concepts you learn in your own projects.
       const scrollTop = (bookmark.location.scrollPercentage / 100) * viewer.scrollHeight;
       viewer.scrollTo({ top: scrollTop, behavior: "smooth" });
     } else if (bookmark.location.sectionHeading) {
-      const heading = Array.from(viewer.querySelectorAll("h1, h2, h3, h4")).find((h) => h.textContent.includes(bookmark.location.sectionHeading));
+      const heading = Array.from(viewer.querySelectorAll("h1, h2, h3, h4")).find((h) => this.getHeadingText(h).includes(bookmark.location.sectionHeading));
       if (heading) {
         heading.scrollIntoView({ behavior: "smooth", block: "start" });
       }
@@ -1383,7 +1812,7 @@ Try implementing the concepts you learn in your own projects.
 
     for (let heading of headings) {
       if (heading.offsetTop <= viewer.scrollTop + 100) {
-        currentSection = heading.textContent;
+        currentSection = this.getHeadingText(heading);
       }
     }
 
@@ -1399,6 +1828,13 @@ Try implementing the concepts you learn in your own projects.
     };
   }
 
+  // A heading's text without the "#" permalink the renderer adds inside it
+  getHeadingText(heading) {
+    const copy = heading.cloneNode(true);
+    copy.querySelectorAll(".heading-anchor").forEach((anchor) => anchor.remove());
+    return copy.textContent.trim();
+  }
+
   handleTextSelection() {
     const selection = window.getSelection();
     if (selection.rangeCount > 0 && !selection.isCollapsed) {
@@ -5,6 +5,7 @@ import { Dashboard } from "./dashboard.js";
 import { Topics } from "./topics.js";
 import { Sessions } from "./sessions.js";
 import { Goals } from "./goals.js";
+import { Calendar } from "./calendar.js";
 import { Analytics } from "./analytics.js";
 import { UI } from "./ui.js";
 import { Socket } from "./socket.js";
@@ -215,8 +216,9 @@ class StudyTrackerApp {
       this.modules.topics = new Topics(this.api, this.ui);
       this.modules.sessions = new Sessions(this.api, this.ui, this.socket);
       this.modules.goals = new Goals(this.api, this.ui);
+      this.modules.calendar = new Calendar(this.api, this.ui, this.socket);
       this.modules.analytics = new Analytics(this.api, this.ui);
-      this.modules.learningViewer = new LearningViewer(this.api, this.ui);
+      this.modules.learningViewer = new LearningViewer(this.api, this.ui, this.socket);
       this.modules.contentBrowser = new ContentBrowser(this.api, this.ui);
 
       console.log("✅ All modules created successfully");
@@ -224,7 +226,7 @@ class StudyTrackerApp {
 
       // Initialize each module
       console.log("🔧 Initializing modules...");
-      await Promise.all([this.modules.dashboard.init(), this.modules.topics.init(), this.modules.sessions.init(), this.modules.goals.init(), this.modules.analytics.init(), this.modules.learningViewer.init(), this.modules.contentBrowser.init()]);
+      await Promise.all([this.modules.dashboard.init(), this.modules.topics.init(), this.modules.sessions.init(), this.modules.goals.init(), this.modules.calendar.init(), this.modules.analytics.init(), this.modules.learningViewer.init(), this.modules.contentBrowser.init()]);
 
       console.log("✅ All modules initialized successfully");
 
@@ -6,6 +6,7 @@ export class Socket {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.eventHandlers = new Map();
+    this.openContentPath = null; // Learning file open in the viewer, re-announced on reconnect
   }
 
   connect(authToken) {
@@ -34,6 +35,7 @@ export class Socket {
       console.log("✅ Socket.IO connected");
       this.isConnected = true;
       this.reconnectAttempts = 0;
+      if (this.openContentPath) this.socket.emit("content_open", { contentPath: this.openContentPath });
       this.emit("connected");
     });
 
@@ -69,6 +71,18 @@ export class Socket {
     this.socket.on("notification", (data) => {
       this.emit("notification", data);
     });
+
+    this.socket.on("achievement_unlocked", (data) => {
+      this.emit("achievement_unlocked", data);
+    });
+
+    this.socket.on("content_changed", (data) => {
+      this.emit("content_changed", data);
+    });
+
+    this.socket.on("calendar_updated", (data) => {
+      this.emit("calendar_updated", data);
+    });
   }
 
   // Event emitter functionality
@@ -123,6 +137,17 @@ export class Socket {
     this.send("progress_update", progressData);
   }
 
+  // Learning viewer events: the server sends content_changed while a file is open
+  openContent(contentPath) {
+    this.openContentPath = contentPath;
+    if (this.socket && this.isConnected) this.socket.emit("content_open", { contentPath });
+  }
+
+  closeContent() {
+    this.openContentPath = null;
+    if (this.socket && this.isConnected) this.socket.emit("content_close");
+  }
+
   // Disconnect
   disconnect() {
     if (this.socket) {
@@ -1,3 +1,10 @@
+// Prerequisite graph layout (px): one column per depth, prerequisites to the left
+const GRAPH_NODE_WIDTH = 200;
+const GRAPH_NODE_HEIGHT = 56;
+const GRAPH_COLUMN_GAP = 80;
+const GRAPH_ROW_GAP = 16;
+const GRAPH_TITLE_LENGTH = 26;
+
 // Topics module for managing learning topics
 export class Topics {
   constructor(api, ui) {
@@ -7,6 +14,8 @@ export class Topics {
     this.userProgress = [];
     this.currentFilter = "all";
     this.currentSort = "title";
+    this.currentView = "cards";
+    this.graph = null;
   }
 
   async init() {
@@ -38,6 +47,11 @@ export class Topics {
       difficultyFilter.addEventListener("change", () => this.load());
     }
 
+    // Cards / prerequisite graph
+    document.querySelectorAll("[data-topics-view]").forEach((button) => {
+      button.addEventListener("click", () => this.setView(button.dataset.topicsView));
+    });
+
     // Sort change
     const sortSelect = document.getElementById("topic-sort");
     if (sortSelect) {
@@ -94,19 +108,161 @@ export class Topics {
             this.startStudySession(topicId);
           }
           break;
+        case "graph-node":
+          e.stopPropagation();
+          if (topicId) this.openGraphNode(topicId);
+          break;
         case "open-resource":
           e.stopPropagation();
-          const resourceUrl = e.target.closest("[data-resource-url]")?.dataset.resourceUrl;
-          const resourceTitle = e.target.closest("[data-resource-title]")?.dataset.resourceTitle;
+          const resourceItem = e.target.closest("[data-resource-url]");
+          const resourceUrl = resourceItem?.dataset.resourceUrl;
+          const resourceTitle = resourceItem?.dataset.resourceTitle;
           if (resourceUrl && resourceTitle) {
             console.log("📖 Opening resource:", resourceTitle);
-            this.openResource(resourceUrl, resourceTitle);
+            this.openResource(resourceUrl, resourceTitle, topicId, resourceItem.dataset.contentPath);
           }
           break;
       }
     });
   }
 
+  setView(view) {
+    this.currentView = view;
+    document.querySelectorAll("[data-topics-view]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.topicsView === view);
+    });
+
+    const isGraph = view === "graph";
+    document.getElementById("topics-container").hidden = isGraph;
+    document.getElementById("topics-pagination").hidden = isGraph;
+    document.getElementById("topics-graph").hidden = !isGraph;
+
+    if (isGraph) this.loadGraph();
+  }
+
+  async loadGraph() {
+    const container = document.getElementById("topics-graph");
+
+    try {
+      this.ui.setLoading(true, "topics-graph");
+      this.graph = await this.api.get("/topics/graph");
+      this.renderGraph();
+    } catch (error) {
+      console.error("Topic graph load error:", error);
+      this.ui.showToast("error", "Failed to load the prerequisite graph");
+      container.innerHTML = "";
+    } finally {
+      this.ui.setLoading(false, "topics-graph");
+    }
+  }
+
+  renderGraph() {
+    const container = document.getElementById("topics-graph");
+    const { nodes, edges, cyclic, readyToStart } = this.graph;
+
+    if (nodes.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-project-diagram"></i>
+          <h3>No topics yet</h3>
+          <p>Import the learning content to see how topics build on each other.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="graph-ready">
+        <h3><i class="fas fa-play-circle"></i> Ready to start</h3>
+        ${
+          readyToStart.length > 0
+            ? readyToStart.map((topic) => `<button class="graph-ready-item" data-action="learning-materials" data-topic-id="${topic._id}">${this.ui.escapeHtml(topic.title)}</button>`).join("")
+            : "<p>Nothing new is unlocked yet. Finish a topic in progress to unlock the next ones.</p>"
+        }
+      </div>
+      ${cyclic.length > 0 ? `<div class="graph-warning"><i class="fas fa-exclamation-triangle"></i> Some topics require each other and cannot be ordered: ${cyclic.map((id) => this.ui.escapeHtml(nodes.find((node) => node._id === id).title)).join(", ")}</div>` : ""}
+      <div class="graph-legend">
+        <span class="graph-legend-item completed">Completed</span>
+        <span class="graph-legend-item unlocked">Unlocked</span>
+        <span class="graph-legend-item locked">Locked</span>
+      </div>
+      <div class="graph-canvas">${this.renderGraphSvg(nodes, edges)}</div>
+    `;
+  }
+
+  // Columns by depth (topics in a cycle get a column of their own at the end), rows in learning order
+  renderGraphSvg(nodes, edges) {
+    const maxDepth = Math.max(0, ...nodes.map((node) => node.depth ?? 0));
+    const rowsPerColumn = [];
+    const positions = new Map();
+
+    nodes.forEach((node) => {
+      const column = node.depth ?? maxDepth + 1;
+      const row = rowsPerColumn[column] || 0;
+      rowsPerColumn[column] = row + 1;
+      positions.set(node._id, { x: column * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP), y: row * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP) });
+    });
+
+    const width = rowsPerColumn.length * (GRAPH_NODE_WIDTH + GRAPH_COLUMN_GAP) - GRAPH_COLUMN_GAP;
+    const height = Math.max(...rowsPerColumn.filter(Boolean)) * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP) - GRAPH_ROW_GAP;
+
+    const edgePaths = edges
+      .map(({ from, to }) => {
+        const start = positions.get(from);
+        const end = positions.get(to);
+        const x1 = start.x + GRAPH_NODE_WIDTH;
+        const y1 = start.y + GRAPH_NODE_HEIGHT / 2;
+        const x2 = end.x;
+        const y2 = end.y + GRAPH_NODE_HEIGHT / 2;
+        const bend = Math.max(GRAPH_COLUMN_GAP / 2, Math.abs(x2 - x1) / 2);
+        return `<path class="graph-edge" d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" marker-end="url(#graph-arrow)"></path>`;
+      })
+      .join("");
+
+    const nodeGroups = nodes
+      .map((node) => {
+        const { x, y } = positions.get(node._id);
+        const title = node.title.length > GRAPH_TITLE_LENGTH ? `${node.title.slice(0, GRAPH_TITLE_LENGTH - 1)}…` : node.title;
+        const detail = node.status === "locked" ? `${node.missingPrerequisites.length} prerequisite${node.missingPrerequisites.length === 1 ? "" : "s"} left` : node.status === "completed" ? "Completed" : node.progressStatus === "in-progress" ? `In progress · ${node.progress}%` : "Ready to start";
+
+        return `
+          <g class="graph-node ${node.status}" transform="translate(${x}, ${y})" data-action="graph-node" data-topic-id="${node._id}">
+            <title>${this.ui.escapeHtml(node.title)}</title>
+            <rect width="${GRAPH_NODE_WIDTH}" height="${GRAPH_NODE_HEIGHT}" rx="8"></rect>
+            <text class="graph-node-title" x="12" y="23">${this.ui.escapeHtml(title)}</text>
+            <text class="graph-node-detail" x="12" y="42">${this.ui.escapeHtml(detail)}</text>
+          </g>
+        `;
+      })
+      .join("");
+
+    return `
+      <svg width="${width}" height="${height}" viewBox="-2 -2 ${width + 4} ${height + 4}">
+        <defs>
+          <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z"></path>
+          </marker>
+        </defs>
+        ${edgePaths}
+        ${nodeGroups}
+      </svg>
+    `;
+  }
+
+  // Locked topics explain what is missing; the others open their learning materials
+  openGraphNode(topicId) {
+    const node = this.graph?.nodes.find((candidate) => candidate._id === topicId);
+    if (!node) return;
+
+    if (node.status === "locked") {
+      const missing = node.missingPrerequisites.map((id) => this.graph.nodes.find((candidate) => candidate._id === id)?.title).filter(Boolean);
+      this.ui.showToast("info", missing.length > 0 ? `Complete ${missing.join(", ")} first` : "This topic is part of a prerequisite cycle");
+      return;
+    }
+
+    this.openLearningMaterials(topicId);
+  }
+
   openTopicDetails(topicId) {
     console.log("Opening topic details for:", topicId);
     // Implementation for opening topic details modal
@@ -144,17 +300,19 @@ export class Topics {
     }
   }
 
-  openResource(url, title) {
+  openResource(url, title, topicId, contentPath) {
     // Open learning material
     console.log(`Opening resource: ${title} at ${url}`);
 
-    // For local markdown files, show helpful message
-    if (url.startsWith("../learning/")) {
-      window.app.ui.showToast("info", `📚 Opening: ${title}<br/>Location: ${url.replace("../learning/", "learning/")}`);
-      // Future: Could implement markdown viewer or file browser integration
-    } else {
+    // Local markdown files open in the learning viewer at that file
+    const localPath = contentPath || window.app.modules.learningViewer?.getResourceContentPath({ url });
+    if (localPath && topicId) {
+      window.app.modules.learningViewer.openTopic(topicId, localPath);
+    } else if (/^https?:\/\//.test(url)) {
       // For external URLs, open in new tab
       window.open(url, "_blank");
+    } else {
+      window.app.ui.showToast("error", `Could not open ${title}`);
     }
   }
 
@@ -256,7 +414,7 @@ export class Topics {
                 .slice(0, 3)
                 .map(
                   (resource) => `
-                <div class="resource-item" data-resource-url="${resource.url}" data-resource-title="${resource.title}" data-action="open-resource">
+                <div class="resource-item" data-resource-url="${resource.url}" data-resource-title="${resource.title}" data-content-path="${resource.contentPath || ""}" data-action="open-resource">
                   <i class="fas fa-file-text"></i>
                   <span>${resource.title}</span>
                 </div>
@@ -178,6 +178,16 @@ export class UI {
     return badge;
   }
 
+  // Text made safe to put in HTML, inside elements and quoted attribute values alike
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
   debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// A user's checked state for the task-list items ("- [ ]") of one learning file.
+// Items are identified by the stable ids assigned in services/markdown.js.
+const checklistProgressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    contentPath: {
+      type: String,
+      required: true,
+      trim: true, // e.g., "go-learning/progress-tracker.md"
+    },
+    items: [
+      {
+        itemId: {
+          type: String,
+          required: true,
+        },
+        checked: {
+          type: Boolean,
+          default: false,
+        },
+        updatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+checklistProgressSchema.index({ user: 1, contentPath: 1 }, { unique: true });
+
+// Static method to check or uncheck one item, creating the user's record for the file if
+// needed. Atomic, so concurrent toggles of the same file do not collide on the unique index.
+checklistProgressSchema.statics.setItem = async function (userId, contentPath, itemId, checked) {
+  const now = new Date();
+  const updated = await this.findOneAndUpdate({ user: userId, contentPath, "items.itemId": itemId }, { $set: { "items.$.checked": checked, "items.$.updatedAt": now } }, { new: true });
+  if (updated) return updated;
+
+  try {
+    return await this.findOneAndUpdate({ user: userId, contentPath, "items.itemId": { $ne: itemId } }, { $push: { items: { itemId, checked, updatedAt: now } } }, { upsert: true, new: true });
+  } catch (error) {
+    // Another request created the record first; it exists now, so the retry updates it
+    if (error.code === 11000) return this.setItem(userId, contentPath, itemId, checked);
+    throw error;
+  }
+};
+
+// Map of itemId -> checked for the items the user has touched
+checklistProgressSchema.methods.getStateMap = function () {
+  return this.items.reduce((acc, item) => {
+    acc[item.itemId] = item.checked;
+    return acc;
+  }, {});
+};
+
+const ChecklistProgress = mongoose.model("ChecklistProgress", checklistProgressSchema);
+
+module.exports = ChecklistProgress;
@@ -93,12 +93,22 @@ const goalSchema = new mongoose.Schema(
           enum: ["daily", "weekly", "custom"],
           default: "daily",
         },
-        time: String, // Time in HH:MM format
+        time: {
+          type: String, // Time in HH:MM format, in the user's timezone
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Reminder time must be in HH:MM format"],
+        },
+        daysOfWeek: [
+          {
+            type: String,
+            enum: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
+          },
+        ], // custom reminders only; empty means every day
         isEnabled: {
           type: Boolean,
           default: true,
         },
         message: String,
+        lastSentAt: Date,
       },
     ],
     rewards: [
@@ -149,12 +159,25 @@ const goalSchema = new mongoose.Schema(
       endAfterOccurrences: Number,
       endDate: Date,
     },
+    occurrence: {
+      type: Number,
+      default: 1, // which repetition of a recurring goal this is
+    },
+    nextOccurrenceCreated: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Aggregation expression mirroring the progressPercentage virtual, which $group cannot see
+const progressPercentageExpression = {
+  $cond: [{ $gt: ["$targetValue", 0] }, { $min: [100, { $multiply: [{ $divide: ["$currentValue", "$targetValue"] }, 100] }] }, 0],
+};
+
 // Indexes for better query performance
 goalSchema.index({ userId: 1, status: 1 });
 goalSchema.index({ userId: 1, type: 1 });
@@ -306,7 +329,7 @@ goalSchema.statics.getGoalStats = async function (userId, dateRange = {}) {
         overdueGoals: {
           $sum: { $cond: [{ $eq: ["$status", "overdue"] }, 1, 0] },
         },
-        averageProgress: { $avg: "$progressPercentage" },
+        averageProgress: { $avg: progressPercentageExpression },
       },
     },
   ]);
@@ -335,7 +358,7 @@ goalSchema.statics.getGoalsByCategory = async function (userId) {
         completedGoals: {
           $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
         },
-        averageProgress: { $avg: "$progressPercentage" },
+        averageProgress: { $avg: progressPercentageExpression },
       },
     },
     {
@@ -372,6 +395,7 @@ goalSchema.statics.createRecurringGoals = async function () {
   const completedRecurringGoals = await this.find({
     status: "completed",
     isRecurring: true,
+    nextOccurrenceCreated: { $ne: true },
     "recurrencePattern.frequency": { $exists: true },
   });
 
@@ -394,7 +418,7 @@ goalSchema.statics.createRecurringGoals = async function () {
 
     // Check if we've reached the end conditions
     if (endDate && nextStartDate > endDate) continue;
-    if (endAfterOccurrences && goal.completionCount >= endAfterOccurrences) continue;
+    if (endAfterOccurrences && goal.occurrence >= endAfterOccurrences) continue;
 
     // Create new goal instance
     const newGoal = new this({
@@ -405,6 +429,8 @@ goalSchema.statics.createRecurringGoals = async function () {
       startDate: nextStartDate,
       endDate: new Date(nextStartDate.getTime() + (goal.endDate.getTime() - goal.startDate.getTime())),
       completedAt: null,
+      occurrence: goal.occurrence + 1,
+      nextOccurrenceCreated: false,
       createdAt: now,
       updatedAt: now,
     });
@@ -428,6 +454,11 @@ goalSchema.statics.createRecurringGoals = async function () {
     await this.insertMany(newGoals);
   }
 
+  // Mark every processed goal so the next run doesn't spawn the same occurrence again
+  if (completedRecurringGoals.length > 0) {
+    await this.updateMany({ _id: { $in: completedRecurringGoals.map((g) => g._id) } }, { $set: { nextOccurrenceCreated: true } });
+  }
+
   return newGoals.length;
 };
 
@@ -0,0 +1,68 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// One document per job name. A lock is held while lockedUntil is in the future.
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // job name
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    // Random id of the run holding the lock, so a run only ever releases its own lock
+    token: {
+      type: String,
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: () => new Date(0),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to take the lock for a job. Resolves to the run's lock token, or null when
+// the lock is held (by another instance, or by another run on this one).
+jobLockSchema.statics.acquire = async function (jobName, instanceId, ttlMs) {
+  const now = new Date();
+  const token = crypto.randomBytes(12).toString("hex");
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: jobName,
+        lockedUntil: { $lte: now },
+      },
+      {
+        $set: {
+          lockedBy: instanceId,
+          token,
+          lockedAt: now,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    return lock.token === token ? token : null;
+  } catch (error) {
+    // The lock is held, so the upsert collided with the existing document
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Static method to release a lock, if the run holding the token still has it
+jobLockSchema.statics.release = async function (jobName, token) {
+  await this.updateOne({ _id: jobName, token }, { $set: { lockedBy: null, token: null, lockedUntil: new Date() } });
+};
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
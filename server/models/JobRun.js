@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    jobName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    instanceId: {
+      type: String,
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+      min: 0,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+
+// Keep history bounded: runs older than 90 days are removed automatically
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Method to mark run as finished
+jobRunSchema.methods.finish = function (status, { result, error } = {}) {
+  this.status = status;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  if (result !== undefined) this.result = result;
+  if (error) this.error = error;
+  return this.save();
+};
+
+// Static method to get the most recent run of every job
+jobRunSchema.statics.getLatestRuns = async function () {
+  return await this.aggregate([
+    { $sort: { startedAt: -1 } },
+    {
+      $group: {
+        _id: "$jobName",
+        lastRun: { $first: "$$ROOT" },
+        totalRuns: { $sum: 1 },
+        failedRuns: {
+          $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+};
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+// One step of a path: study a topic resource, or a whole topic when it has no resources
+const stepSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["topic", "resource"],
+    required: true,
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Topic",
+    required: true,
+  },
+  resourceId: mongoose.Schema.Types.ObjectId, // Topic resource subdocument, for resource steps
+  contentPath: String,
+  title: {
+    type: String,
+    required: true,
+  },
+  order: {
+    type: Number,
+    required: true,
+  },
+  estimatedMinutes: {
+    type: Number,
+    default: 0,
+  },
+  week: {
+    type: Number,
+    default: 1, // Week of the path the step is planned for, from the user's weekly hours
+  },
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  completedAt: Date,
+});
+
+// An ordered plan of topics and resources for one user, generated from their target role,
+// experience level, weekly hours and completed topics (see services/learningPaths.js)
+const learningPathSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Learning path title is required"],
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    targetRole: {
+      type: String,
+      required: true,
+    },
+    experienceLevel: {
+      type: String,
+      enum: ["Beginner", "Intermediate", "Advanced"],
+      required: true,
+    },
+    weeklyHours: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 100,
+    },
+    steps: [stepSchema],
+    estimatedWeeks: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["suggested", "active", "paused", "completed"],
+      default: "suggested",
+    },
+    enrolledAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+learningPathSchema.index({ userId: 1, status: 1 });
+
+// Completed and remaining steps, and the next step to study
+learningPathSchema.methods.getProgress = function () {
+  const totalSteps = this.steps.length;
+  const completedSteps = this.steps.filter((step) => step.completed).length;
+  const nextStep = this.steps.find((step) => !step.completed) || null;
+
+  return {
+    totalSteps,
+    completedSteps,
+    percentage: totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0,
+    remainingMinutes: this.steps.filter((step) => !step.completed).reduce((sum, step) => sum + step.estimatedMinutes, 0),
+    nextStep,
+    estimatedWeeks: this.estimatedWeeks,
+    currentWeek: nextStep ? nextStep.week : this.estimatedWeeks,
+  };
+};
+
+// Mark a step done or not done, completing the path with its last step
+learningPathSchema.methods.setStepCompleted = function (step, completed) {
+  if (completed && !step.completed) {
+    step.completed = true;
+    step.completedAt = new Date();
+  } else if (!completed && step.completed) {
+    step.completed = false;
+    step.completedAt = undefined;
+  }
+
+  const allCompleted = this.steps.length > 0 && this.steps.every((candidate) => candidate.completed);
+  if (allCompleted && this.status === "active") {
+    this.status = "completed";
+    this.completedAt = new Date();
+  } else if (!allCompleted && this.status === "completed") {
+    this.status = "active";
+    this.completedAt = undefined;
+  }
+};
+
+const LearningPath = mongoose.model("LearningPath", learningPathSchema);
+
+module.exports = LearningPath;
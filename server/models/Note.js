@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const noteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    contentPath: {
+      type: String,
+      required: true,
+      trim: true, // e.g., "springBoot/01-introduction.md"
+    },
+    sectionHeading: {
+      type: String,
+      trim: true,
+      maxlength: 200, // Heading the note was taken under, if any
+    },
+    body: {
+      type: String,
+      required: [true, "Note body is required"],
+      maxlength: [10000, "Note cannot exceed 10000 characters"], // Markdown
+    },
+    type: {
+      type: String,
+      enum: ["quick", "detailed"],
+      default: "detailed",
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 50,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound indexes for efficient queries
+noteSchema.index({ user: 1, contentPath: 1, createdAt: 1 });
+noteSchema.index({ user: 1, updatedAt: -1 });
+
+// Static methods
+noteSchema.statics.findByUserAndContent = function (userId, contentPath) {
+  return this.find({
+    user: userId,
+    contentPath: contentPath,
+  }).sort({ createdAt: 1 });
+};
+
+const Note = mongoose.model("Note", noteSchema);
+
+module.exports = Note;
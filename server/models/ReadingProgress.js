@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// Which sections (headings) of one learning file a user has read, and where they
+// left off. Sections are identified by the heading anchor ids from services/markdown.js.
+const readingProgressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    contentPath: {
+      type: String,
+      required: true,
+      trim: true, // e.g., "patterns/COMPLETE_DESIGN_PATTERNS_SDE2.md"
+    },
+    sections: [
+      {
+        sectionId: {
+          type: String,
+          required: true,
+        },
+        readAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    lastSectionId: {
+      type: String,
+      default: null,
+    },
+    lastReadAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+readingProgressSchema.index({ user: 1, contentPath: 1 }, { unique: true });
+
+// Static method to add newly read sections and move the reading position, creating the
+// user's record for the file if needed. One atomic update, so concurrent saves from a
+// scrolling reader neither collide on the unique index nor add a section twice.
+readingProgressSchema.statics.recordReading = function (userId, contentPath, sectionIds, currentSectionId = null) {
+  const now = new Date();
+  const newSections = [...new Set(sectionIds)].map((sectionId) => ({ sectionId, readAt: now }));
+  const readIds = { $ifNull: ["$sections.sectionId", []] };
+
+  return this.findOneAndUpdate(
+    { user: userId, contentPath },
+    [
+      {
+        $set: {
+          sections: { $concatArrays: [{ $ifNull: ["$sections", []] }, { $filter: { input: { $literal: newSections }, cond: { $not: [{ $in: ["$$this.sectionId", readIds] }] } } }] },
+          lastSectionId: currentSectionId ? { $literal: currentSectionId } : { $ifNull: ["$lastSectionId", null] },
+          lastReadAt: now,
+          createdAt: { $ifNull: ["$createdAt", now] },
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+};
+
+// Instance methods
+readingProgressSchema.methods.getReadSectionIds = function () {
+  return new Set(this.sections.map((s) => s.sectionId));
+};
+
+const ReadingProgress = mongoose.model("ReadingProgress", readingProgressSchema);
+
+module.exports = ReadingProgress;
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+// A checkable task. `taskId` is assigned by utils/studyPlanParser.js from the week and the
+// task text, so users' checked tasks survive re-imports.
+const taskSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    estimatedMinutes: Number,
+    details: [String],
+    contentPaths: [String], // Learning files the task links to, e.g. "springBoot/01-spring-framework-fundamentals.md"
+  },
+  { _id: false }
+);
+
+const daySchema = new mongoose.Schema(
+  {
+    number: Number,
+    offset: {
+      type: Number,
+      min: 0,
+      max: 6, // Days after the first day of the week; the weekend is 5
+    },
+    title: String,
+    hours: Number,
+    tasks: [taskSchema],
+  },
+  { _id: false }
+);
+
+const weekSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true, // First week of the plan this week covers
+    },
+    span: {
+      type: Number,
+      default: 1, // "WEEK 3-4" spans two weeks
+    },
+    title: String,
+    days: [daySchema],
+    tasks: [taskSchema], // Tasks for the week as a whole, due on its last day
+  },
+  { _id: false }
+);
+
+// A study plan parsed from one of the .txt plans in learning/ by the importer (see
+// services/studyPlans.js). Users start plans on a date with StudyPlanProgress.
+const studyPlanSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true, // e.g., "weekly-study-plans" or "learning-paths-backend-developer-path"
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sourcePath: {
+      type: String,
+      required: true, // e.g., "LEARNING_PATHS.txt"
+    },
+    totalWeeks: {
+      type: Number,
+      default: 1,
+    },
+    weeks: [weekSchema],
+    isActive: {
+      type: Boolean,
+      default: true, // False once the plan is no longer in its file
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Every task of the plan with the week and day it belongs to, in plan order
+studyPlanSchema.methods.getTasks = function () {
+  return this.weeks.flatMap((week) => [...week.days.flatMap((day) => day.tasks.map((task) => ({ task, week, day }))), ...week.tasks.map((task) => ({ task, week, day: null }))]);
+};
+
+const StudyPlan = mongoose.model("StudyPlan", studyPlanSchema);
+
+module.exports = StudyPlan;
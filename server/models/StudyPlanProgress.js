@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// A user following a study plan: the day they started it and the tasks they have checked
+const studyPlanProgressSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StudyPlan",
+      required: true,
+    },
+    startDate: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Start date must be YYYY-MM-DD"], // Calendar day in the user's timezone
+    },
+    completedTasks: [
+      {
+        taskId: {
+          type: String,
+          required: true,
+        },
+        completedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    completedAt: Date, // Set while every task of the plan is checked
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studyPlanProgressSchema.index({ userId: 1, planId: 1 }, { unique: true });
+
+// Instance methods
+studyPlanProgressSchema.methods.setTaskCompleted = function (taskId, completed) {
+  const index = this.completedTasks.findIndex((task) => task.taskId === taskId);
+
+  if (completed && index === -1) {
+    this.completedTasks.push({ taskId });
+  } else if (!completed && index !== -1) {
+    this.completedTasks.splice(index, 1);
+  }
+};
+
+// Map of taskId -> completedAt for the checked tasks
+studyPlanProgressSchema.methods.getCompletedMap = function () {
+  return new Map(this.completedTasks.map((task) => [task.taskId, task.completedAt]));
+};
+
+const StudyPlanProgress = mongoose.model("StudyPlanProgress", studyPlanProgressSchema);
+
+module.exports = StudyPlanProgress;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { resolveTimezone, getDateKey, addDays, daysBetween, getStartOfDay } = require("../utils/timezone");
 
 const studySessionSchema = new mongoose.Schema(
   {
@@ -124,6 +125,27 @@ const studySessionSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Planned sessions on the study calendar (see services/studyCalendar.js)
+    calendar: {
+      source: {
+        type: String,
+        enum: ["scheduler", "manual", "import"], // Filled in from the user's study windows, added by hand, or imported from an ICS file
+      },
+      goalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Goal",
+      },
+      learningPathId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LearningPath",
+      },
+      stepId: mongoose.Schema.Types.ObjectId, // Learning path step the session works on
+      reason: String, // e.g., "Goal: Study 10 hours this week"
+      locked: Boolean, // Added or edited by the user; re-planning keeps it
+      originalStartTime: Date, // First planned start, before any rescheduling
+      rescheduleCount: Number, // Times it moved after being missed
+      importUid: String, // UID of the imported calendar event; with originalStartTime it identifies the occurrence
+    },
   },
   {
     timestamps: true,
@@ -136,6 +158,7 @@ studySessionSchema.index({ userId: 1, topicId: 1 });
 studySessionSchema.index({ userId: 1, status: 1 });
 studySessionSchema.index({ startTime: 1 });
 studySessionSchema.index({ isCompleted: 1, userId: 1 });
+studySessionSchema.index({ status: 1, "calendar.source": 1, startTime: 1 });
 
 // Virtual for session efficiency (actual vs planned duration)
 studySessionSchema.virtual("efficiency").get(function () {
@@ -262,10 +285,10 @@ studySessionSchema.statics.getUserStats = async function (userId, dateRange = {}
   );
 };
 
-// Static method to get daily session data for charts
-studySessionSchema.statics.getDailyStats = async function (userId, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
+// Static method to get daily session data for charts, bucketed by the user's local day
+studySessionSchema.statics.getDailyStats = async function (userId, days = 30, timezone = "UTC") {
+  const tz = resolveTimezone(timezone);
+  const startDate = getStartOfDay(addDays(getDateKey(new Date(), tz), -days), tz);
 
   const dailyStats = await this.aggregate([
     {
@@ -278,9 +301,9 @@ studySessionSchema.statics.getDailyStats = async function (userId, days = 30) {
     {
       $group: {
         _id: {
-          year: { $year: "$startTime" },
-          month: { $month: "$startTime" },
-          day: { $dayOfMonth: "$startTime" },
+          year: { $year: { date: "$startTime", timezone: tz } },
+          month: { $month: { date: "$startTime", timezone: tz } },
+          day: { $dayOfMonth: { date: "$startTime", timezone: tz } },
         },
         sessions: { $sum: 1 },
         totalTime: { $sum: "$actualDuration" },
@@ -295,8 +318,9 @@ studySessionSchema.statics.getDailyStats = async function (userId, days = 30) {
   return dailyStats;
 };
 
-// Static method to get session streaks
-studySessionSchema.statics.getStudyStreaks = async function (userId) {
+// Static method to get session streaks, counting calendar days in the user's timezone
+studySessionSchema.statics.getStudyStreaks = async function (userId, timezone = "UTC") {
+  const tz = resolveTimezone(timezone);
   const sessions = await this.find({
     userId,
     isCompleted: true,
@@ -307,42 +331,21 @@ studySessionSchema.statics.getStudyStreaks = async function (userId) {
 
   if (sessions.length === 0) return { current: 0, longest: 0 };
 
-  let currentStreak = 0;
-  let longestStreak = 0;
-  let consecutiveDays = 1;
-
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  for (let i = 0; i < sessions.length; i++) {
-    const sessionDate = new Date(sessions[i].startTime);
-    sessionDate.setHours(0, 0, 0, 0);
+  // Several sessions on the same local day count once
+  const studyDays = [...new Set(sessions.map((session) => getDateKey(session.startTime, tz)))];
 
-    if (i > 0) {
-      const prevDate = new Date(sessions[i - 1].startTime);
-      prevDate.setHours(0, 0, 0, 0);
-
-      const daysDiff = (sessionDate - prevDate) / (1000 * 60 * 60 * 24);
-
-      if (daysDiff === 1) {
-        consecutiveDays++;
-      } else {
-        longestStreak = Math.max(longestStreak, consecutiveDays);
-        consecutiveDays = 1;
-      }
-    }
-  }
-
-  longestStreak = Math.max(longestStreak, consecutiveDays);
+  let longestStreak = 0;
+  let consecutiveDays = 0;
 
-  // Calculate current streak
-  const lastSessionDate = new Date(sessions[sessions.length - 1].startTime);
-  lastSessionDate.setHours(0, 0, 0, 0);
-  const daysSinceLastSession = (today - lastSessionDate) / (1000 * 60 * 60 * 24);
+  studyDays.forEach((day, i) => {
+    consecutiveDays = i > 0 && daysBetween(studyDays[i - 1], day) === 1 ? consecutiveDays + 1 : 1;
+    longestStreak = Math.max(longestStreak, consecutiveDays);
+  });
 
-  if (daysSinceLastSession <= 1) {
-    currentStreak = consecutiveDays;
-  }
+  // The current streak survives until the user's local day after the last study day ends
+  const today = getDateKey(new Date(), tz);
+  const daysSinceLastSession = daysBetween(studyDays[studyDays.length - 1], today);
+  const currentStreak = daysSinceLastSession <= 1 ? consecutiveDays : 0;
 
   return { current: currentStreak, longest: longestStreak };
 };
@@ -358,6 +361,7 @@ studySessionSchema.pre("save", async function (next) {
         user.updateStudyStats({
           duration: this.actualDuration,
           productivity: this.productivity?.rating,
+          studiedAt: this.startTime,
         });
         await user.save();
       }
@@ -1,5 +1,49 @@
 const mongoose = require("mongoose");
 
+const resourceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["Article", "Video", "Book", "Course", "Documentation", "Tutorial", "Practice", "Project"],
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  contentPath: {
+    type: String,
+    trim: true, // Path relative to learning/ for local files, e.g. "dsa/01-easy/01-arrays-strings.md"
+  },
+  description: String,
+  duration: Number, // in minutes
+  isRequired: {
+    type: Boolean,
+    default: false,
+  },
+  retiredAt: Date,
+});
+
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  description: String,
+  order: {
+    type: Number,
+    required: true,
+  },
+  contentPath: {
+    type: String,
+    trim: true, // Set for milestones generated from a learning file
+  },
+  retiredAt: Date,
+});
+
 const topicSchema = new mongoose.Schema(
   {
     title: {
@@ -60,42 +104,16 @@ const topicSchema = new mongoose.Schema(
         trim: true,
       },
     ],
-    resources: [
-      {
-        title: {
-          type: String,
-          required: true,
-        },
-        type: {
-          type: String,
-          enum: ["Article", "Video", "Book", "Course", "Documentation", "Tutorial", "Practice", "Project"],
-          required: true,
-        },
-        url: {
-          type: String,
-          required: true,
-        },
-        description: String,
-        duration: Number, // in minutes
-        isRequired: {
-          type: Boolean,
-          default: false,
-        },
-      },
-    ],
-    milestones: [
-      {
-        title: {
-          type: String,
-          required: true,
-        },
-        description: String,
-        order: {
-          type: Number,
-          required: true,
-        },
-      },
-    ],
+    learningPath: {
+      type: String,
+      trim: true, // Folder in learning/ (e.g., "dsa"), or "root-guides" for the top-level files
+    },
+    resources: [resourceSchema],
+    milestones: [milestoneSchema],
+    // Resources and milestones whose files were removed from learning/. They keep their ids
+    // (users' milestoneProgress refers to them) and are restored if the file comes back.
+    retiredResources: [resourceSchema],
+    retiredMilestones: [milestoneSchema],
     isActive: {
       type: Boolean,
       default: true,
@@ -149,6 +167,12 @@ const userProgressSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // The progress checklists last wrote; they only change progress nobody else has since
+    checklistProgress: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
     timeSpent: {
       type: Number,
       default: 0, // in minutes
@@ -194,6 +218,7 @@ const userProgressSchema = new mongoose.Schema(
           default: 0,
         },
         completedAt: Date,
+        completedByChecklist: Boolean, // Completed by checking every item, so unchecking one undoes it
       },
     ],
     isBookmarked: {
@@ -213,6 +238,8 @@ topicSchema.index({ averageRating: -1 });
 topicSchema.index({ completionCount: -1 });
 topicSchema.index({ createdAt: -1 });
 topicSchema.index({ tags: 1 });
+topicSchema.index({ learningPath: 1 });
+topicSchema.index({ "resources.contentPath": 1 });
 
 userProgressSchema.index({ userId: 1, topicId: 1 }, { unique: true });
 userProgressSchema.index({ userId: 1, status: 1 });
@@ -344,7 +371,9 @@ userProgressSchema.methods.calculateProgress = function () {
     return this.progress;
   }
 
-  const completedMilestones = this.milestoneProgress.filter((m) => m.completed).length;
+  // Progress on retired milestones is kept but no longer counts
+  const milestoneIds = new Set(topic.milestones.map((m) => m._id.toString()));
+  const completedMilestones = this.milestoneProgress.filter((m) => m.completed && milestoneIds.has(String(m.milestoneId))).length;
   return Math.round((completedMilestones / topic.milestones.length) * 100);
 };
 
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const validator = require("validator");
+const { resolveTimezone, getDateKey, daysBetween } = require("../utils/timezone");
 
 const userSchema = new mongoose.Schema(
   {
@@ -84,14 +85,21 @@ const userSchema = new mongoose.Schema(
         min: 1,
         max: 100,
       },
+      // Weekly study windows in the user's timezone; the calendar plans sessions inside them
       preferredStudyTimes: [
         {
           day: {
             type: String,
             enum: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
           },
-          startTime: String,
-          endTime: String,
+          startTime: {
+            type: String,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Start time must be in HH:MM format"],
+          },
+          endTime: {
+            type: String,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, "End time must be in HH:MM format"],
+          },
         },
       ],
     },
@@ -136,6 +144,11 @@ const userSchema = new mongoose.Schema(
         },
       },
     ],
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -148,6 +161,7 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    calendarFeedToken: String, // Secret in the user's ICS feed URL (see routes/calendar.js)
   },
   {
     timestamps: true,
@@ -159,6 +173,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ "statistics.totalStudyHours": -1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -210,24 +225,32 @@ userSchema.methods.getPublicProfile = function () {
 
 // Update study statistics
 userSchema.methods.updateStudyStats = function (sessionData) {
+  const studiedAt = sessionData.studiedAt ? new Date(sessionData.studiedAt) : new Date();
+  const previousStudyDate = this.statistics.lastStudyDate;
+
   this.statistics.totalStudyHours += sessionData.duration / 60; // Convert minutes to hours
   this.statistics.totalSessions += 1;
-  this.statistics.lastStudyDate = new Date();
 
   // Update average session length
   this.statistics.averageSessionLength = (this.statistics.totalStudyHours * 60) / this.statistics.totalSessions;
 
-  // Update streak logic (simplified)
-  const today = new Date();
-  const lastStudy = new Date(this.statistics.lastStudyDate);
-  const daysDiff = Math.floor((today - lastStudy) / (1000 * 60 * 60 * 24));
+  // Streaks are counted in calendar days of the user's own timezone
+  const timezone = resolveTimezone(this.profile?.timezone);
+  const daysDiff = previousStudyDate ? daysBetween(getDateKey(previousStudyDate, timezone), getDateKey(studiedAt, timezone)) : null;
 
-  if (daysDiff <= 1) {
+  if (daysDiff === null || daysDiff > 1) {
+    this.statistics.currentStreak = 1;
+  } else if (daysDiff === 1) {
     this.statistics.currentStreak += 1;
-  } else {
+  } else if (this.statistics.currentStreak === 0) {
+    // Same day (or an older, back-filled session): only start a streak if none is running
     this.statistics.currentStreak = 1;
   }
 
+  if (!previousStudyDate || studiedAt > previousStudyDate) {
+    this.statistics.lastStudyDate = studiedAt;
+  }
+
   if (this.statistics.currentStreak > this.statistics.longestStreak) {
     this.statistics.longestStreak = this.statistics.currentStreak;
   }
@@ -246,6 +269,7 @@ userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
   delete user.refreshToken;
+  delete user.calendarFeedToken;
   return user;
 };
 
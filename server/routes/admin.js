@@ -0,0 +1,102 @@
+const express = require("express");
+const JobRun = require("../models/JobRun");
+const { auth, requireAdmin } = require("../middleware/auth");
+const { JOBS, runJob, listJobs } = require("../services/scheduler");
+
+const router = express.Router();
+
+// @route   GET /api/admin/jobs
+// @desc    List scheduled jobs with their latest run
+// @access  Private (admin)
+router.get("/jobs", auth, requireAdmin, async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({ jobs });
+  } catch (error) {
+    console.error("List jobs error:", error);
+    res.status(500).json({
+      message: "Server error retrieving jobs",
+      code: "LIST_JOBS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs/:name/history
+// @desc    Get run history for a job
+// @access  Private (admin)
+router.get("/jobs/:name/history", auth, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!JOBS[req.params.name]) {
+      return res.status(404).json({
+        message: "Job not found",
+        code: "JOB_NOT_FOUND",
+      });
+    }
+
+    const query = { jobName: req.params.name };
+
+    const runs = await JobRun.find(query)
+      .populate("triggeredBy", "username")
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalCount = await JobRun.countDocuments(query);
+
+    res.json({
+      runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+      },
+    });
+  } catch (error) {
+    console.error("Get job history error:", error);
+    res.status(500).json({
+      message: "Server error retrieving job history",
+      code: "GET_JOB_HISTORY_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Trigger a job immediately
+// @access  Private (admin)
+router.post("/jobs/:name/run", auth, requireAdmin, async (req, res) => {
+  try {
+    if (!JOBS[req.params.name]) {
+      return res.status(404).json({
+        message: "Job not found",
+        code: "JOB_NOT_FOUND",
+      });
+    }
+
+    const run = await runJob(req.params.name, { trigger: "manual", triggeredBy: req.userId });
+
+    if (!run) {
+      return res.status(409).json({
+        message: "Job is already running",
+        code: "JOB_LOCKED",
+      });
+    }
+
+    res.json({
+      message: run.status === "succeeded" ? "Job completed successfully" : "Job failed",
+      run,
+    });
+  } catch (error) {
+    console.error("Run job error:", error);
+    res.status(500).json({
+      message: "Server error running job",
+      code: "RUN_JOB_ERROR",
+    });
+  }
+});
+
+module.exports = router;
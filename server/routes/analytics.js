@@ -3,9 +3,81 @@ const { auth } = require("../middleware/auth");
 const StudySession = require("../models/StudySession");
 const { Topic, UserProgress } = require("../models/Topic");
 const Goal = require("../models/Goal");
+const { resolveTimezone, getDateKey, addDays, getDayBounds } = require("../utils/timezone");
 
 const router = express.Router();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_RANGE_DAYS = { "7d": 7, "30d": 30, "90d": 90, "1y": 365 };
+const PERIOD_DAYS = { day: 1, week: 7, month: 30, quarter: 90, year: 365 };
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Resolve the reporting window from ?timeRange=30d, ?period=month or ?days=30 (defaults to 30 days)
+const getDateRange = (query = {}) => {
+  let days;
+
+  if (query.period) {
+    days = PERIOD_DAYS[query.period];
+  } else if (query.days) {
+    days = parseInt(query.days);
+  } else {
+    days = TIME_RANGE_DAYS[query.timeRange];
+  }
+
+  if (!days || days < 1) {
+    days = TIME_RANGE_DAYS["30d"];
+  }
+
+  const endDate = new Date();
+  return { startDate: new Date(endDate.getTime() - days * DAY_MS), endDate, days };
+};
+
+// Fill gaps so every local day in the window has an entry, then attach a trailing 7-day average
+const buildDailySeries = (dailyTotals, startDate, endDate, timezone = "UTC") => {
+  const totalsByDate = dailyTotals.reduce((acc, day) => {
+    acc[day._id] = day;
+    return acc;
+  }, {});
+
+  const series = [];
+  const lastDate = getDateKey(endDate, timezone);
+
+  for (let date = getDateKey(startDate, timezone); date <= lastDate; date = addDays(date, 1)) {
+    series.push({
+      date,
+      minutes: totalsByDate[date]?.minutes || 0,
+      sessions: totalsByDate[date]?.sessions || 0,
+    });
+  }
+
+  series.forEach((day, index) => {
+    const window = series.slice(Math.max(0, index - 6), index + 1);
+    const windowTotal = window.reduce((sum, d) => sum + d.minutes, 0);
+    day.movingAverage = Math.round((windowTotal / window.length) * 10) / 10;
+  });
+
+  return series;
+};
+
+// Monday of the local week containing the date, as "YYYY-MM-DD"
+const getWeekStart = (date, timezone = "UTC") => {
+  const dateKey = getDateKey(date, timezone);
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return addDays(dateKey, -((weekday + 6) % 7));
+};
+
+// Every week start between two dates, inclusive
+const listWeeks = (startDate, endDate, timezone = "UTC") => {
+  const weeks = [];
+  const lastDate = getDateKey(endDate, timezone);
+
+  for (let week = getWeekStart(startDate, timezone); week <= lastDate; week = addDays(week, 7)) {
+    weeks.push(week);
+  }
+
+  return weeks;
+};
+
 // @route   GET /api/analytics/overview
 // @desc    Get user's analytics overview
 // @access  Private
@@ -13,42 +85,10 @@ router.get("/overview", auth, async (req, res) => {
   try {
     const userId = req.userId;
     const { timeRange = "30d" } = req.query;
-
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-
-    switch (timeRange) {
-      case "7d":
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case "30d":
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case "90d":
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    }
+    const { startDate, endDate } = getDateRange(req.query);
 
     // Get study sessions stats
-    const sessionsStats = await StudySession.aggregate([
-      {
-        $match: {
-          userId: userId,
-          createdAt: { $gte: startDate },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          totalSessions: { $sum: 1 },
-          totalStudyTime: { $sum: "$duration" },
-          averageSessionLength: { $avg: "$duration" },
-        },
-      },
-    ]);
+    const sessionsStats = await StudySession.getUserStats(userId, { startDate, endDate });
 
     // Get topics progress
     const topicsProgress = await UserProgress.countDocuments({
@@ -64,9 +104,9 @@ router.get("/overview", auth, async (req, res) => {
 
     res.json({
       overview: {
-        totalSessions: sessionsStats[0]?.totalSessions || 0,
-        totalStudyTime: sessionsStats[0]?.totalStudyTime || 0,
-        averageSessionLength: sessionsStats[0]?.averageSessionLength || 0,
+        totalSessions: sessionsStats.totalSessions,
+        totalStudyTime: sessionsStats.totalTime,
+        averageSessionLength: Math.round(sessionsStats.averageSessionTime || 0),
         topicsCompleted: topicsProgress,
         activeGoals: activeGoals,
       },
@@ -88,10 +128,123 @@ router.get("/study-time", auth, async (req, res) => {
   try {
     const userId = req.userId;
     const { timeRange = "30d" } = req.query;
+    const { startDate, endDate } = getDateRange(req.query);
+    const timezone = resolveTimezone(req.user.profile?.timezone);
+
+    const [breakdown] = await StudySession.aggregate([
+      {
+        $match: {
+          userId: userId,
+          isCompleted: true,
+          startTime: { $gte: startDate, $lte: endDate },
+        },
+      },
+      {
+        $facet: {
+          byDay: [
+            {
+              $group: {
+                _id: { $dateToString: { format: "%Y-%m-%d", date: "$startTime", timezone } },
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+          ],
+          byHour: [
+            {
+              $group: {
+                _id: { $hour: { date: "$startTime", timezone } },
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+          ],
+          byWeekday: [
+            {
+              $group: {
+                _id: { $dayOfWeek: { date: "$startTime", timezone } },
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+          ],
+          byTopic: [
+            {
+              $group: {
+                _id: "$topicId",
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+            {
+              $lookup: {
+                from: "topics",
+                localField: "_id",
+                foreignField: "_id",
+                as: "topic",
+              },
+            },
+            { $unwind: { path: "$topic", preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                topicId: "$_id",
+                title: "$topic.title",
+                category: "$topic.category",
+                minutes: 1,
+                sessions: 1,
+              },
+            },
+            { $sort: { minutes: -1 } },
+          ],
+          byType: [
+            {
+              $group: {
+                _id: "$type",
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+            { $sort: { minutes: -1 } },
+          ],
+          totals: [
+            {
+              $group: {
+                _id: null,
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    // Hours and weekdays are returned as full, zero-filled arrays so charts keep a stable axis
+    const byHour = Array.from({ length: 24 }, (_, hour) => {
+      const bucket = breakdown.byHour.find((h) => h._id === hour);
+      return { hour, minutes: bucket?.minutes || 0, sessions: bucket?.sessions || 0 };
+    });
+
+    const byWeekday = WEEKDAYS.map((day, index) => {
+      // $dayOfWeek is 1-based, starting on Sunday
+      const bucket = breakdown.byWeekday.find((d) => d._id === index + 1);
+      return { day, minutes: bucket?.minutes || 0, sessions: bucket?.sessions || 0 };
+    });
+
+    const byDay = buildDailySeries(breakdown.byDay, startDate, endDate, timezone);
+    const totalMinutes = breakdown.totals[0]?.minutes || 0;
 
-    // This would contain more detailed study time analytics
     res.json({
-      message: "Study time analytics endpoint",
+      studyTime: {
+        totalMinutes,
+        totalSessions: breakdown.totals[0]?.sessions || 0,
+        averageMinutesPerDay: byDay.length > 0 ? Math.round(totalMinutes / byDay.length) : 0,
+        byDay,
+        byHour,
+        byWeekday,
+        byTopic: breakdown.byTopic,
+        byType: breakdown.byType.map((t) => ({ type: t._id, minutes: t.minutes, sessions: t.sessions })),
+      },
       timeRange,
     });
   } catch (error) {
@@ -109,10 +262,84 @@ router.get("/study-time", auth, async (req, res) => {
 router.get("/progress", auth, async (req, res) => {
   try {
     const userId = req.userId;
+    const { timeRange = "30d" } = req.query;
+    const { startDate, endDate, days } = getDateRange(req.query);
+    const timezone = resolveTimezone(req.user.profile?.timezone);
+    const weeks = listWeeks(startDate, endDate, timezone);
+    const firstWeek = weeks[0];
+
+    const progressList = await UserProgress.find({ userId }).populate("topicId", "title category").lean();
+
+    const weekly = weeks.reduce((acc, week) => {
+      acc[week] = { week, started: 0, completed: 0, onHold: 0, milestonesCompleted: 0 };
+      return acc;
+    }, {});
+
+    // Increment a weekly counter when the event falls inside the window
+    const countInWeek = (date, field) => {
+      if (!date) return;
+      const bucket = weekly[getWeekStart(date, timezone)];
+      if (bucket) bucket[field] += 1;
+    };
+
+    const completionsByCategory = {};
+
+    progressList.forEach((progress) => {
+      countInWeek(progress.startedAt, "started");
+      countInWeek(progress.completedAt, "completed");
+
+      // On-hold has no dedicated timestamp, so the last update is when it was parked
+      if (progress.status === "on-hold") {
+        countInWeek(progress.updatedAt, "onHold");
+      }
+
+      (progress.milestoneProgress || []).forEach((milestone) => {
+        if (milestone.completed) countInWeek(milestone.completedAt, "milestonesCompleted");
+      });
+
+      if (progress.status === "completed" && progress.completedAt) {
+        const category = progress.topicId?.category || "Uncategorized";
+        completionsByCategory[category] = completionsByCategory[category] || [];
+        completionsByCategory[category].push(getWeekStart(progress.completedAt, timezone));
+      }
+    });
+
+    // Cumulative curves include completions from before the window as their starting point
+    const categoryCompletion = Object.entries(completionsByCategory).map(([category, completionWeeks]) => {
+      const points = weeks.map((week) => ({
+        week,
+        completed: completionWeeks.filter((completedWeek) => completedWeek <= week).length,
+      }));
+
+      return {
+        category,
+        completedBeforeRange: completionWeeks.filter((completedWeek) => completedWeek < firstWeek).length,
+        totalCompleted: completionWeeks.length,
+        points,
+      };
+    });
+
+    const statusCounts = progressList.reduce((acc, progress) => {
+      acc[progress.status] = (acc[progress.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    // Daily study time for the dashboard progress chart
+    const dailyProgress = await StudySession.getDailyStats(userId, days, timezone);
 
-    // This would contain progress analytics
     res.json({
-      message: "Progress analytics endpoint",
+      progress: {
+        totals: {
+          notStarted: statusCounts["not-started"] || 0,
+          inProgress: statusCounts["in-progress"] || 0,
+          completed: statusCounts.completed || 0,
+          onHold: statusCounts["on-hold"] || 0,
+        },
+        weekly: Object.values(weekly),
+        categoryCompletion,
+      },
+      dailyProgress,
+      timeRange,
     });
   } catch (error) {
     console.error("Progress analytics error:", error);
@@ -123,4 +350,281 @@ router.get("/progress", auth, async (req, res) => {
   }
 });
 
+// Goal virtuals flattened for JSON responses
+const withGoalProgress = (goal) => ({
+  ...goal.toObject(),
+  progressPercentage: goal.progressPercentage,
+  daysRemaining: goal.daysRemaining,
+  isOverdue: goal.isOverdue,
+});
+
+// @route   GET /api/analytics/dashboard
+// @desc    Get everything the dashboard needs in a single request
+// @access  Private
+router.get("/dashboard", auth, async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const { start: todayStart } = getDayBounds(new Date(), req.user.profile?.timezone);
+
+    const [todaySessions, activeSession, activeGoals, recentSessions, recentTopics, recentGoals] = await Promise.all([
+      StudySession.find({ userId, startTime: { $gte: todayStart } }).lean(),
+      StudySession.findOne({ userId, status: { $in: ["active", "paused"] } })
+        .populate("topicId", "title category")
+        .lean(),
+      Goal.getActiveGoals(userId),
+      StudySession.find({ userId, isCompleted: true }).populate("topicId", "title").sort({ endTime: -1 }).limit(10).lean(),
+      UserProgress.find({ userId, status: "completed" }).populate("topicId", "title").sort({ completedAt: -1 }).limit(10).lean(),
+      Goal.find({ userId, status: "completed" }).select("title completedAt").sort({ completedAt: -1 }).limit(10).lean(),
+    ]);
+
+    const recentActivity = [
+      ...recentSessions.map((session) => ({
+        type: "session",
+        title: `Completed ${session.actualDuration || 0} min session on ${session.topicId?.title || "a topic"}`,
+        timestamp: session.endTime || session.updatedAt,
+      })),
+      ...recentTopics.map((progress) => ({
+        type: "topic",
+        title: `Marked ${progress.topicId?.title || "a topic"} as completed`,
+        timestamp: progress.completedAt || progress.updatedAt,
+      })),
+      ...recentGoals.map((goal) => ({
+        type: "goal",
+        title: `Achieved goal: ${goal.title}`,
+        timestamp: goal.completedAt || goal.updatedAt,
+      })),
+    ]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 10);
+
+    res.json({
+      user: req.user.statistics,
+      today: {
+        sessions: todaySessions.length,
+        completedSessions: todaySessions.filter((s) => s.isCompleted).length,
+        studyTime: todaySessions.reduce((sum, s) => sum + (s.actualDuration || 0), 0),
+        activeSession: activeSession && {
+          ...activeSession,
+          topicTitle: activeSession.topicId?.title,
+          timeElapsed: Math.max(0, Math.round((Date.now() - new Date(activeSession.startTime)) / (1000 * 60)) - (activeSession.pausedTime || 0)),
+        },
+      },
+      goals: {
+        active: activeGoals.map(withGoalProgress),
+      },
+      recentActivity,
+    });
+  } catch (error) {
+    console.error("Dashboard analytics error:", error);
+    res.status(500).json({
+      message: "Server error retrieving dashboard analytics",
+      code: "DASHBOARD_ANALYTICS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/analytics/time
+// @desc    Get time usage analytics (daily totals, categories, productivity by hour)
+// @access  Private
+router.get("/time", auth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { startDate, endDate, days } = getDateRange(req.query);
+    const timezone = resolveTimezone(req.user.profile?.timezone);
+
+    const [breakdown] = await StudySession.aggregate([
+      {
+        $match: {
+          userId: userId,
+          isCompleted: true,
+          startTime: { $gte: startDate, $lte: endDate },
+        },
+      },
+      {
+        $facet: {
+          byDay: [
+            {
+              $group: {
+                _id: { $dateToString: { format: "%Y-%m-%d", date: "$startTime", timezone } },
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+          ],
+          byCategory: [
+            {
+              $lookup: {
+                from: "topics",
+                localField: "topicId",
+                foreignField: "_id",
+                as: "topic",
+              },
+            },
+            { $unwind: "$topic" },
+            {
+              $group: {
+                _id: "$topic.category",
+                minutes: { $sum: "$actualDuration" },
+                sessions: { $sum: 1 },
+              },
+            },
+            { $sort: { minutes: -1 } },
+          ],
+          productivityByHour: [
+            {
+              $group: {
+                _id: { $hour: { date: "$startTime", timezone } },
+                averageProductivity: { $avg: "$productivity.rating" },
+                averageFocus: { $avg: "$focusMetrics.averageFocusLevel" },
+                sessions: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          efficiency: [
+            {
+              $group: {
+                _id: null,
+                plannedMinutes: { $sum: "$plannedDuration" },
+                actualMinutes: { $sum: "$actualDuration" },
+                pausedMinutes: { $sum: "$pausedTime" },
+                averageSessionLength: { $avg: "$actualDuration" },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const efficiency = breakdown.efficiency[0] || { plannedMinutes: 0, actualMinutes: 0, pausedMinutes: 0, averageSessionLength: 0 };
+
+    res.json({
+      time: {
+        days,
+        daily: buildDailySeries(breakdown.byDay, startDate, endDate, timezone),
+        byCategory: breakdown.byCategory.map((c) => ({ category: c._id, minutes: c.minutes, sessions: c.sessions })),
+        productivityByHour: breakdown.productivityByHour.map((h) => ({
+          hour: h._id,
+          sessions: h.sessions,
+          averageProductivity: h.averageProductivity ? Math.round(h.averageProductivity * 100) / 100 : null,
+          averageFocus: h.averageFocus ? Math.round(h.averageFocus * 100) / 100 : null,
+        })),
+        plannedMinutes: efficiency.plannedMinutes,
+        actualMinutes: efficiency.actualMinutes,
+        pausedMinutes: efficiency.pausedMinutes,
+        averageSessionLength: Math.round(efficiency.averageSessionLength || 0),
+        efficiency: efficiency.plannedMinutes > 0 ? Math.round((efficiency.actualMinutes / efficiency.plannedMinutes) * 100) : 0,
+      },
+    });
+  } catch (error) {
+    console.error("Time analytics error:", error);
+    res.status(500).json({
+      message: "Server error retrieving time analytics",
+      code: "TIME_ANALYTICS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/analytics/goals
+// @desc    Get goal analytics
+// @access  Private
+router.get("/goals", auth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { startDate, endDate, days } = getDateRange(req.query);
+    const timezone = resolveTimezone(req.user.profile?.timezone);
+
+    const [overview, categoryStats, completedInRange, activeGoals] = await Promise.all([
+      Goal.getGoalStats(userId, { startDate, endDate }),
+      Goal.getGoalsByCategory(userId),
+      Goal.find({ userId, status: "completed", completedAt: { $gte: startDate, $lte: endDate } })
+        .select("completedAt")
+        .lean(),
+      Goal.getActiveGoals(userId),
+    ]);
+
+    const completionsByWeek = completedInRange.reduce((acc, goal) => {
+      const week = getWeekStart(goal.completedAt, timezone);
+      acc[week] = (acc[week] || 0) + 1;
+      return acc;
+    }, {});
+
+    // Flag active goals whose progress is behind the share of time already elapsed
+    const atRisk = activeGoals
+      .map(withGoalProgress)
+      .filter((goal) => {
+        const totalTime = new Date(goal.endDate) - new Date(goal.startDate);
+        if (totalTime <= 0) return false;
+        const elapsed = Math.min(100, ((Date.now() - new Date(goal.startDate)) / totalTime) * 100);
+        return goal.progressPercentage < elapsed;
+      });
+
+    res.json({
+      goals: {
+        days,
+        overview,
+        categoryStats,
+        weeklyCompletions: listWeeks(startDate, endDate, timezone).map((week) => ({ week, completed: completionsByWeek[week] || 0 })),
+        active: activeGoals.map(withGoalProgress),
+        atRisk,
+      },
+    });
+  } catch (error) {
+    console.error("Goal analytics error:", error);
+    res.status(500).json({
+      message: "Server error retrieving goal analytics",
+      code: "GOAL_ANALYTICS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/analytics/summary
+// @desc    Get a combined sessions/topics/goals summary for a period
+// @access  Private
+router.get("/summary", auth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { period = "month" } = req.query;
+    const { startDate, endDate } = getDateRange(req.query);
+
+    const [sessions, streaks, topicsStarted, topicsCompleted, topicsInProgress, goals] = await Promise.all([
+      StudySession.getUserStats(userId, { startDate, endDate }),
+      StudySession.getStudyStreaks(userId, req.user.profile?.timezone),
+      UserProgress.countDocuments({ userId, startedAt: { $gte: startDate, $lte: endDate } }),
+      UserProgress.countDocuments({ userId, status: "completed", completedAt: { $gte: startDate, $lte: endDate } }),
+      UserProgress.countDocuments({ userId, status: "in-progress" }),
+      Goal.getGoalStats(userId, { startDate, endDate }),
+    ]);
+
+    res.json({
+      summary: {
+        sessions,
+        streaks,
+        topics: {
+          started: topicsStarted,
+          completed: topicsCompleted,
+          inProgress: topicsInProgress,
+        },
+        goals: {
+          total: goals.totalGoals,
+          completed: goals.completedGoals,
+          active: goals.activeGoals,
+          overdue: goals.overdueGoals,
+          completionRate: goals.completionRate,
+        },
+      },
+      period,
+      startDate,
+      endDate,
+    });
+  } catch (error) {
+    console.error("Analytics summary error:", error);
+    res.status(500).json({
+      message: "Server error retrieving analytics summary",
+      code: "ANALYTICS_SUMMARY_ERROR",
+    });
+  }
+});
+
 module.exports = router;
@@ -3,12 +3,19 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const { auth, userRateLimit } = require("../middleware/auth");
+const { resolveTimezone } = require("../utils/timezone");
 
 const router = express.Router();
 
 // Rate limiting for auth routes
 const authRateLimit = userRateLimit(5, 15 * 60 * 1000); // 5 requests per 15 minutes
 
+const STUDY_DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Study windows need a weekday and an "HH:MM" start before their end (windows do not cross midnight)
+const isValidStudyTimes = (times) => Array.isArray(times) && times.every((time) => STUDY_DAYS.includes(time?.day) && TIME_PATTERN.test(time.startTime) && TIME_PATTERN.test(time.endTime) && time.startTime < time.endTime);
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -178,6 +185,14 @@ router.put("/profile", auth, async (req, res) => {
   try {
     const { firstName, lastName, bio, currentRole, targetRole, experienceLevel, timezone } = req.body;
 
+    // Daily stats and streaks are bucketed in this timezone, so it must be a real IANA zone
+    if (timezone !== undefined && resolveTimezone(timezone) !== timezone) {
+      return res.status(400).json({
+        message: "Timezone must be a valid IANA timezone, e.g. Asia/Kolkata",
+        code: "INVALID_TIMEZONE",
+      });
+    }
+
     const user = await User.findById(req.userId);
 
     if (!user) {
@@ -218,6 +233,13 @@ router.put("/settings", auth, async (req, res) => {
   try {
     const { studyReminders, emailNotifications, defaultSessionLength, weeklyGoalHours, preferredStudyTimes } = req.body;
 
+    if (preferredStudyTimes !== undefined && !isValidStudyTimes(preferredStudyTimes)) {
+      return res.status(400).json({
+        message: "Each preferred study time needs a weekday and an HH:MM start time before its end time",
+        code: "INVALID_STUDY_TIMES",
+      });
+    }
+
     const user = await User.findById(req.userId);
 
     if (!user) {
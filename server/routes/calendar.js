@@ -0,0 +1,404 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const StudySession = require("../models/StudySession");
+const User = require("../models/User");
+const { Topic } = require("../models/Topic");
+const { auth } = require("../middleware/auth");
+const { MIN_SESSION_MINUTES, MAX_PLAN_WEEKS, scheduleStudySessions, getCalendar, rescheduleMissedSessions } = require("../services/studyCalendar");
+const { generateFeedToken, buildUserFeed, importCalendarEvents } = require("../services/calendarFeed");
+const { resolveTimezone, getDateKey } = require("../utils/timezone");
+
+const router = express.Router();
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SESSION_MINUTES = 480;
+
+// A real "YYYY-MM-DD" calendar day (rejects 2026-02-31)
+const isDateKey = (value) => typeof value === "string" && DATE_KEY_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const parseWeeks = (value, fallback) => (value === undefined ? fallback : parseInt(value, 10));
+const isValidWeeks = (weeks) => Number.isInteger(weeks) && weeks >= 1 && weeks <= MAX_PLAN_WEEKS;
+const isValidDuration = (minutes) => Number.isInteger(minutes) && minutes >= MIN_SESSION_MINUTES && minutes <= MAX_SESSION_MINUTES;
+
+// Another planned or running session of the user that overlaps [startTime, startTime + minutes)
+const findOverlap = async (userId, startTime, minutes, excludeId = null) => {
+  const endTime = new Date(startTime.getTime() + minutes * 60 * 1000);
+  const candidates = await StudySession.find({ userId, _id: { $ne: excludeId }, status: { $in: ["planned", "active", "paused"] }, startTime: { $lt: endTime, $gte: new Date(startTime.getTime() - MAX_SESSION_MINUTES * 60 * 1000) } })
+    .select("startTime plannedDuration")
+    .lean();
+  return candidates.find((session) => session.startTime.getTime() + session.plannedDuration * 60 * 1000 > startTime.getTime()) || null;
+};
+
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+const MAX_IMPORT_LENGTH = 2 * 1024 * 1024;
+
+// Subscribable feed URL; CLIENT_URL is the public address of the app when it sits behind a proxy
+const getFeedUrl = (req, token) => `${process.env.CLIENT_URL || `${req.protocol}://${req.get("host")}`}/api/calendar/feed/${token}.ics`;
+
+const findActiveTopic = (topicId) => (mongoose.Types.ObjectId.isValid(topicId) ? Topic.findOne({ _id: topicId, isActive: true }) : null);
+
+// @route   GET /api/calendar
+// @desc    Calendar weeks from the week of ?from (YYYY-MM-DD, defaults to today) for ?weeks (1-8, default 1):
+//          sessions, study windows, the user's study times and studied/planned minutes against the weekly goal
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const from = req.query.from || getDateKey(new Date(), resolveTimezone(req.user.profile?.timezone));
+    const weeks = parseWeeks(req.query.weeks, 1);
+
+    if (!isDateKey(from) || !isValidWeeks(weeks)) {
+      return res.status(400).json({
+        message: `from must be a YYYY-MM-DD date and weeks between 1 and ${MAX_PLAN_WEEKS}`,
+        code: "INVALID_CALENDAR_RANGE",
+      });
+    }
+
+    const calendar = await getCalendar(req.user, from, weeks);
+
+    res.json({
+      ...calendar,
+      preferredStudyTimes: req.user.settings?.preferredStudyTimes || [],
+      weeklyGoalHours: req.user.settings?.weeklyGoalHours || 0,
+    });
+  } catch (error) {
+    console.error("Get calendar error:", error);
+    res.status(500).json({
+      message: "Server error retrieving calendar",
+      code: "GET_CALENDAR_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/calendar/schedule
+// @desc    Plan sessions into the user's study windows: { weeks } (1-8, default 2, this week first).
+//          Sessions the scheduler planned earlier are replaced unless the user edited them.
+// @access  Private
+router.post("/schedule", auth, async (req, res) => {
+  try {
+    const weeks = parseWeeks(req.body.weeks, 2);
+
+    if (!isValidWeeks(weeks)) {
+      return res.status(400).json({
+        message: `weeks must be between 1 and ${MAX_PLAN_WEEKS}`,
+        code: "INVALID_CALENDAR_RANGE",
+      });
+    }
+
+    if (!req.user.settings?.preferredStudyTimes?.length) {
+      return res.status(400).json({
+        message: "Add your preferred study times before planning the calendar",
+        code: "NO_STUDY_TIMES",
+      });
+    }
+
+    if (!req.user.settings?.weeklyGoalHours) {
+      return res.status(400).json({
+        message: "Set your weekly goal hours before planning the calendar",
+        code: "NO_WEEKLY_GOAL",
+      });
+    }
+
+    const result = await scheduleStudySessions(req.userId, { weeks });
+
+    res.json({
+      message: `Planned ${result.sessionsCreated} study session${result.sessionsCreated === 1 ? "" : "s"}`,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Schedule calendar error:", error);
+    res.status(500).json({
+      message: "Server error planning study sessions",
+      code: "SCHEDULE_CALENDAR_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/calendar/sessions
+// @desc    Add a session to the calendar: { topicId, startTime, plannedDuration }. Added sessions
+//          are kept when the calendar is planned again.
+// @access  Private
+router.post("/sessions", auth, async (req, res) => {
+  try {
+    const { topicId, startTime, plannedDuration } = req.body;
+    const start = new Date(startTime);
+
+    if (!startTime || Number.isNaN(start.getTime()) || !isValidDuration(plannedDuration)) {
+      return res.status(400).json({
+        message: `startTime must be a date and plannedDuration between ${MIN_SESSION_MINUTES} and ${MAX_SESSION_MINUTES} minutes`,
+        code: "INVALID_CALENDAR_SESSION",
+      });
+    }
+
+    const topic = await findActiveTopic(topicId);
+    if (!topic) {
+      return res.status(404).json({
+        message: "Topic not found",
+        code: "TOPIC_NOT_FOUND",
+      });
+    }
+
+    if (await findOverlap(req.userId, start, plannedDuration)) {
+      return res.status(409).json({
+        message: "Another session is planned at that time",
+        code: "SESSION_OVERLAP",
+      });
+    }
+
+    const session = new StudySession({
+      userId: req.userId,
+      topicId: topic._id,
+      type: "focused",
+      plannedDuration,
+      startTime: start,
+      status: "planned",
+      calendar: { source: "manual", locked: true, originalStartTime: start },
+    });
+
+    await session.save();
+    await session.populate("topicId", "title category");
+
+    res.status(201).json({
+      message: "Session added to calendar",
+      session,
+    });
+  } catch (error) {
+    console.error("Create calendar session error:", error);
+    res.status(500).json({
+      message: "Server error adding calendar session",
+      code: "CREATE_CALENDAR_SESSION_ERROR",
+    });
+  }
+});
+
+// @route   PUT /api/calendar/sessions/:id
+// @desc    Move or change a planned session: { startTime, plannedDuration, topicId } (all optional).
+//          Edited sessions are kept when the calendar is planned again.
+// @access  Private
+router.put("/sessions/:id", auth, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id) ? await StudySession.findOne({ _id: req.params.id, userId: req.userId }) : null;
+
+    if (!session) {
+      return res.status(404).json({
+        message: "Session not found",
+        code: "SESSION_NOT_FOUND",
+      });
+    }
+
+    if (session.status !== "planned") {
+      return res.status(400).json({
+        message: "Only planned sessions can be moved",
+        code: "INVALID_SESSION_STATUS",
+      });
+    }
+
+    const { startTime, plannedDuration, topicId } = req.body;
+    const start = startTime !== undefined ? new Date(startTime) : session.startTime;
+    const minutes = plannedDuration !== undefined ? plannedDuration : session.plannedDuration;
+
+    if (Number.isNaN(start.getTime()) || (plannedDuration !== undefined && !isValidDuration(plannedDuration))) {
+      return res.status(400).json({
+        message: `startTime must be a date and plannedDuration between ${MIN_SESSION_MINUTES} and ${MAX_SESSION_MINUTES} minutes`,
+        code: "INVALID_CALENDAR_SESSION",
+      });
+    }
+
+    if (topicId !== undefined) {
+      const topic = await findActiveTopic(topicId);
+      if (!topic) {
+        return res.status(404).json({
+          message: "Topic not found",
+          code: "TOPIC_NOT_FOUND",
+        });
+      }
+      session.topicId = topic._id;
+    }
+
+    if (await findOverlap(req.userId, start, minutes, session._id)) {
+      return res.status(409).json({
+        message: "Another session is planned at that time",
+        code: "SESSION_OVERLAP",
+      });
+    }
+
+    session.set({
+      "calendar.source": session.calendar?.source || "manual",
+      "calendar.locked": true,
+      "calendar.originalStartTime": session.calendar?.originalStartTime || session.startTime,
+    });
+    session.startTime = start;
+    session.plannedDuration = minutes;
+
+    await session.save();
+    await session.populate("topicId", "title category");
+
+    res.json({
+      message: "Session updated successfully",
+      session,
+    });
+  } catch (error) {
+    console.error("Update calendar session error:", error);
+    res.status(500).json({
+      message: "Server error updating calendar session",
+      code: "UPDATE_CALENDAR_SESSION_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/calendar/reschedule-missed
+// @desc    Move the user's missed calendar sessions to their next free study window now rather
+//          than waiting for the scheduled job
+// @access  Private
+router.post("/reschedule-missed", auth, async (req, res) => {
+  try {
+    const result = await rescheduleMissedSessions({ userId: req.userId });
+
+    res.json({
+      message: "Missed sessions rescheduled",
+      sessionsRescheduled: result.sessionsRescheduled,
+      sessionsCancelled: result.sessionsCancelled,
+    });
+  } catch (error) {
+    console.error("Reschedule missed sessions error:", error);
+    res.status(500).json({
+      message: "Server error rescheduling missed sessions",
+      code: "RESCHEDULE_MISSED_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed
+// @desc    The user's ICS feed URL (null until one is created)
+// @access  Private
+router.get("/feed", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("calendarFeedToken");
+
+    res.json({ url: user?.calendarFeedToken ? getFeedUrl(req, user.calendarFeedToken) : null });
+  } catch (error) {
+    console.error("Get calendar feed error:", error);
+    res.status(500).json({
+      message: "Server error retrieving calendar feed",
+      code: "GET_CALENDAR_FEED_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Create the user's ICS feed URL, or replace it so the old URL stops working
+// @access  Private
+router.post("/feed", auth, async (req, res) => {
+  try {
+    const token = generateFeedToken();
+    await User.updateOne({ _id: req.userId }, { $set: { calendarFeedToken: token } });
+
+    res.status(201).json({
+      message: "Calendar feed URL created",
+      url: getFeedUrl(req, token),
+    });
+  } catch (error) {
+    console.error("Create calendar feed error:", error);
+    res.status(500).json({
+      message: "Server error creating calendar feed",
+      code: "CREATE_CALENDAR_FEED_ERROR",
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Turn the user's ICS feed off
+// @access  Private
+router.delete("/feed", auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.userId }, { $unset: { calendarFeedToken: "" } });
+
+    res.json({ message: "Calendar feed turned off" });
+  } catch (error) {
+    console.error("Delete calendar feed error:", error);
+    res.status(500).json({
+      message: "Server error turning off calendar feed",
+      code: "DELETE_CALENDAR_FEED_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    ICS feed of planned and active sessions and goal deadlines, for calendar apps to subscribe to
+// @access  Public (the token in the URL is the secret)
+router.get("/feed/:token.ics", async (req, res) => {
+  try {
+    const user = FEED_TOKEN_PATTERN.test(req.params.token) ? await User.findOne({ calendarFeedToken: req.params.token, isActive: true }).select("profile.timezone") : null;
+
+    if (!user) {
+      return res.status(404).json({
+        message: "Calendar feed not found",
+        code: "CALENDAR_FEED_NOT_FOUND",
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="study-calendar.ics"',
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(await buildUserFeed(user));
+  } catch (error) {
+    console.error("Calendar feed error:", error);
+    res.status(500).json({
+      message: "Server error building calendar feed",
+      code: "CALENDAR_FEED_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/calendar/import
+// @desc    Create planned sessions from an ICS file's events in the next eight weeks:
+//          { ics, topicId (for events whose title names no topic), dryRun }
+// @access  Private
+router.post("/import", auth, async (req, res) => {
+  try {
+    const { ics, topicId, dryRun = false } = req.body;
+
+    if (typeof ics !== "string" || ics.length > MAX_IMPORT_LENGTH || !/BEGIN:VCALENDAR/i.test(ics)) {
+      return res.status(400).json({
+        message: "ics must be the text of an iCalendar file (up to 2 MB)",
+        code: "INVALID_ICS",
+      });
+    }
+
+    if (typeof dryRun !== "boolean") {
+      return res.status(400).json({
+        message: "dryRun must be a boolean",
+        code: "INVALID_DRY_RUN",
+      });
+    }
+
+    let defaultTopicId = null;
+    if (topicId) {
+      const topic = await findActiveTopic(topicId);
+      if (!topic) {
+        return res.status(404).json({
+          message: "Topic not found",
+          code: "TOPIC_NOT_FOUND",
+        });
+      }
+      defaultTopicId = topic._id;
+    }
+
+    const result = await importCalendarEvents(req.user, ics, { defaultTopicId, dryRun });
+
+    res.status(result.sessionsCreated > 0 && !dryRun ? 201 : 200).json({
+      message: `${dryRun ? "Would import" : "Imported"} ${result.sessionsCreated} session${result.sessionsCreated === 1 ? "" : "s"}`,
+      dryRun,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Import calendar error:", error);
+    res.status(500).json({
+      message: "Server error importing calendar",
+      code: "IMPORT_CALENDAR_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require("express");
+const { auth } = require("../middleware/auth");
+const ChecklistProgress = require("../models/ChecklistProgress");
+const { getChecklist, setItemState } = require("../services/checklists");
+const { normalizeContentPath } = require("../utils/learningContent");
+
+const router = express.Router();
+
+// @route   GET /api/checklists
+// @desc    List the files the user has checklist progress for
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const progressList = await ChecklistProgress.find({ user: req.user.id }).sort("-updatedAt").lean();
+
+    res.json({
+      checklists: progressList.map((progress) => ({
+        contentPath: progress.contentPath,
+        checkedItems: progress.items.filter((item) => item.checked).length,
+        updatedAt: progress.updatedAt,
+      })),
+      total: progressList.length,
+    });
+  } catch (error) {
+    console.error("Error fetching checklists:", error);
+    res.status(500).json({
+      message: "Error fetching checklists",
+      code: "CHECKLISTS_FETCH_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/checklists/content/:contentPath
+// @desc    Get task items and the user's checked state for a file
+// @access  Private
+router.get("/content/*", auth, async (req, res) => {
+  try {
+    const contentPath = normalizeContentPath(req.params[0]);
+    const checklist = await getChecklist(req.user.id, contentPath);
+
+    if (!checklist) {
+      return res.status(404).json({
+        message: "Content file not found",
+        code: "FILE_NOT_FOUND",
+        path: contentPath,
+      });
+    }
+
+    res.json(checklist);
+  } catch (error) {
+    console.error("Error fetching checklist:", error);
+    res.status(500).json({
+      message: "Error fetching checklist",
+      code: "CHECKLIST_FETCH_ERROR",
+    });
+  }
+});
+
+// @route   PUT /api/checklists/content/:contentPath
+// @desc    Check or uncheck one task item; updates topic progress
+// @access  Private
+router.put("/content/*", auth, async (req, res) => {
+  try {
+    const contentPath = normalizeContentPath(req.params[0]);
+    const { itemId, checked } = req.body;
+
+    if (!itemId || typeof checked !== "boolean") {
+      return res.status(400).json({
+        message: "itemId and a boolean checked value are required",
+        code: "MISSING_REQUIRED_FIELDS",
+      });
+    }
+
+    const result = await setItemState(req.user.id, contentPath, itemId, checked);
+
+    if (!result) {
+      return res.status(404).json({
+        message: "Checklist item not found",
+        code: "CHECKLIST_ITEM_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      message: "Checklist updated successfully",
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error updating checklist:", error);
+    res.status(500).json({
+      message: "Error updating checklist",
+      code: "CHECKLIST_UPDATE_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const Goal = require("../models/Goal");
 const { auth, checkResourceOwnership } = require("../middleware/auth");
+const { evaluateAchievements, ACHIEVEMENT_EVENTS } = require("../services/achievements");
 
 const router = express.Router();
 
@@ -283,15 +284,19 @@ router.put("/:id/progress", auth, checkResourceOwnership("goal"), async (req, re
     }
 
     const goal = req.resource;
+    const wasCompleted = goal.status === "completed";
 
     await goal.updateProgress(value, operation);
 
+    const achievements = !wasCompleted && goal.status === "completed" ? await evaluateAchievements(req.userId, ACHIEVEMENT_EVENTS.GOAL_COMPLETED) : [];
+
     res.json({
       message: "Goal progress updated successfully",
       goal: {
         ...goal.toObject(),
         progressPercentage: goal.targetValue === 0 ? 0 : Math.min(100, Math.round((goal.currentValue / goal.targetValue) * 100)),
       },
+      achievements,
     });
   } catch (error) {
     console.error("Update goal progress error:", error);
@@ -317,6 +322,7 @@ router.put("/:id/status", auth, checkResourceOwnership("goal"), async (req, res)
     }
 
     const goal = req.resource;
+    const wasCompleted = goal.status === "completed";
 
     goal.status = status;
 
@@ -327,9 +333,12 @@ router.put("/:id/status", auth, checkResourceOwnership("goal"), async (req, res)
 
     await goal.save();
 
+    const achievements = !wasCompleted && status === "completed" ? await evaluateAchievements(req.userId, ACHIEVEMENT_EVENTS.GOAL_COMPLETED) : [];
+
     res.json({
       message: "Goal status updated successfully",
       goal,
+      achievements,
     });
   } catch (error) {
     console.error("Update goal status error:", error);
@@ -0,0 +1,231 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const LearningPath = require("../models/LearningPath");
+const { auth } = require("../middleware/auth");
+const { ROLE_TRACKS, LEVEL_DIFFICULTIES, generateLearningPath, syncPathProgress, enrollInPath } = require("../services/learningPaths");
+
+const router = express.Router();
+
+// The user's path with the given id, or null
+const findUserPath = (req) => (mongoose.Types.ObjectId.isValid(req.params.id) ? LearningPath.findOne({ _id: req.params.id, userId: req.userId }) : null);
+
+// Whether a request value names one of the keys of a lookup table (and not an inherited one like "constructor")
+const isOneOf = (value, choices) => typeof value === "string" && Object.hasOwn(choices, value);
+
+// Bring a path up to date with the user's topic progress before returning it
+const withProgress = async (path) => {
+  if (await syncPathProgress(path)) await path.save();
+  return { path, progress: path.getProgress() };
+};
+
+// @route   GET /api/learning-paths
+// @desc    Get the user's learning paths with their progress
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const paths = await LearningPath.find({ userId: req.userId }).sort({ updatedAt: -1 });
+    const results = await Promise.all(paths.map(withProgress));
+
+    res.json({ paths: results.map(({ path, progress }) => ({ ...path.toObject(), progress })) });
+  } catch (error) {
+    console.error("Get learning paths error:", error);
+    res.status(500).json({
+      message: "Server error retrieving learning paths",
+      code: "GET_LEARNING_PATHS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/learning-paths/tracks
+// @desc    Get the topic categories each target role focuses on
+// @access  Private
+router.get("/tracks", auth, (req, res) => {
+  res.json({ tracks: ROLE_TRACKS, levels: LEVEL_DIFFICULTIES });
+});
+
+// @route   POST /api/learning-paths/generate
+// @desc    Generate a path from the user's target role, experience level, weekly hours and completed topics.
+//          Body fields override the profile: { targetRole, experienceLevel, weeklyHours, maxWeeks }.
+//          Replaces the user's previous suggested path.
+// @access  Private
+router.post("/generate", auth, async (req, res) => {
+  try {
+    const { targetRole, experienceLevel, weeklyHours, maxWeeks } = req.body;
+
+    if (targetRole && !isOneOf(targetRole, ROLE_TRACKS)) {
+      return res.status(400).json({
+        message: `Target role must be one of: ${Object.keys(ROLE_TRACKS).join(", ")}`,
+        code: "INVALID_TARGET_ROLE",
+      });
+    }
+
+    if (experienceLevel && !isOneOf(experienceLevel, LEVEL_DIFFICULTIES)) {
+      return res.status(400).json({
+        message: "Experience level must be Beginner, Intermediate or Advanced",
+        code: "INVALID_EXPERIENCE_LEVEL",
+      });
+    }
+
+    if ((weeklyHours !== undefined && !(weeklyHours >= 1 && weeklyHours <= 100)) || (maxWeeks !== undefined && !(maxWeeks >= 1 && maxWeeks <= 104))) {
+      return res.status(400).json({
+        message: "weeklyHours must be between 1 and 100 and maxWeeks between 1 and 104",
+        code: "INVALID_PATH_OPTIONS",
+      });
+    }
+
+    const path = await generateLearningPath(req.userId, { targetRole, experienceLevel, weeklyHours, maxWeeks });
+
+    if (path.steps.length === 0) {
+      return res.status(404).json({
+        message: "No topics left to study for this role. Import the learning content or pick another role.",
+        code: "NO_PATH_TOPICS",
+      });
+    }
+
+    await LearningPath.deleteMany({ userId: req.userId, status: "suggested" });
+    await path.save();
+
+    res.status(201).json({
+      message: "Learning path generated successfully",
+      path,
+      progress: path.getProgress(),
+    });
+  } catch (error) {
+    console.error("Generate learning path error:", error);
+    res.status(500).json({
+      message: "Server error generating learning path",
+      code: "GENERATE_LEARNING_PATH_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/learning-paths/:id
+// @desc    Get a learning path with its progress
+// @access  Private
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const path = await findUserPath(req);
+
+    if (!path) {
+      return res.status(404).json({
+        message: "Learning path not found",
+        code: "LEARNING_PATH_NOT_FOUND",
+      });
+    }
+
+    res.json(await withProgress(path));
+  } catch (error) {
+    console.error("Get learning path error:", error);
+    res.status(500).json({
+      message: "Server error retrieving learning path",
+      code: "GET_LEARNING_PATH_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/learning-paths/:id/enroll
+// @desc    Start following a path (pauses the user's other active path)
+// @access  Private
+router.post("/:id/enroll", auth, async (req, res) => {
+  try {
+    const path = await findUserPath(req);
+
+    if (!path) {
+      return res.status(404).json({
+        message: "Learning path not found",
+        code: "LEARNING_PATH_NOT_FOUND",
+      });
+    }
+
+    if (path.status === "completed") {
+      return res.status(400).json({
+        message: "Learning path is already completed",
+        code: "LEARNING_PATH_COMPLETED",
+      });
+    }
+
+    await enrollInPath(path);
+
+    res.json({
+      message: "Enrolled in learning path",
+      path,
+      progress: path.getProgress(),
+    });
+  } catch (error) {
+    console.error("Enroll learning path error:", error);
+    res.status(500).json({
+      message: "Server error enrolling in learning path",
+      code: "ENROLL_LEARNING_PATH_ERROR",
+    });
+  }
+});
+
+// @route   PUT /api/learning-paths/:id/steps/:stepId
+// @desc    Mark a step completed or not: { completed: boolean }
+// @access  Private
+router.put("/:id/steps/:stepId", auth, async (req, res) => {
+  try {
+    const { completed } = req.body;
+
+    if (typeof completed !== "boolean") {
+      return res.status(400).json({
+        message: "completed must be a boolean",
+        code: "INVALID_STEP_STATE",
+      });
+    }
+
+    const path = await findUserPath(req);
+    const step = path && mongoose.Types.ObjectId.isValid(req.params.stepId) ? path.steps.id(req.params.stepId) : null;
+
+    if (!step) {
+      return res.status(404).json({
+        message: "Learning path step not found",
+        code: "STEP_NOT_FOUND",
+      });
+    }
+
+    path.setStepCompleted(step, completed);
+    await path.save();
+
+    res.json({
+      message: "Step updated successfully",
+      step,
+      status: path.status,
+      progress: path.getProgress(),
+    });
+  } catch (error) {
+    console.error("Update learning path step error:", error);
+    res.status(500).json({
+      message: "Server error updating learning path step",
+      code: "UPDATE_STEP_ERROR",
+    });
+  }
+});
+
+// @route   DELETE /api/learning-paths/:id
+// @desc    Delete a learning path
+// @access  Private
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const path = await findUserPath(req);
+
+    if (!path) {
+      return res.status(404).json({
+        message: "Learning path not found",
+        code: "LEARNING_PATH_NOT_FOUND",
+      });
+    }
+
+    await path.deleteOne();
+
+    res.json({ message: "Learning path deleted successfully" });
+  } catch (error) {
+    console.error("Delete learning path error:", error);
+    res.status(500).json({
+      message: "Server error deleting learning path",
+      code: "DELETE_LEARNING_PATH_ERROR",
+    });
+  }
+});
+
+module.exports = router;
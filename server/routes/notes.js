@@ -0,0 +1,260 @@
+const fs = require("fs");
+const express = require("express");
+const mongoose = require("mongoose");
+const { auth } = require("../middleware/auth");
+const Note = require("../models/Note");
+const { renderNoteMarkdown } = require("../services/markdown");
+const { resolveContentPath, normalizeContentPath } = require("../utils/learningContent");
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const findUserNote = (req) => (mongoose.Types.ObjectId.isValid(req.params.id) ? Note.findOne({ _id: req.params.id, user: req.user.id }) : null);
+
+// Notes carry their body rendered (and sanitized) for display next to the markdown source
+const toNoteJSON = (note) => ({ ...note.toJSON(), bodyHtml: renderNoteMarkdown(note.body) });
+
+// Whether a content path names a markdown file in learning/
+const isContentFile = async (contentPath) => {
+  const fullPath = resolveContentPath(contentPath);
+  if (!fullPath || !contentPath.endsWith(".md")) return false;
+
+  const stats = await fs.promises.stat(fullPath).catch(() => null);
+  return Boolean(stats?.isFile());
+};
+
+// The first problem with the editable fields of a note, or null. Omitted fields are fine.
+const validateNoteFields = ({ body, sectionHeading, tags }) => {
+  if (body !== undefined && (typeof body !== "string" || !body.trim())) return "Note body must be non-empty text";
+  if (sectionHeading !== undefined && sectionHeading !== null && typeof sectionHeading !== "string") return "sectionHeading must be text";
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string"))) return "tags must be an array of strings";
+  return null;
+};
+
+// @route   GET /api/notes
+// @desc    Get notes for authenticated user, optionally filtered by content, section or text
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const { contentPath, sectionHeading, search, type, limit = 100, sort = "-updatedAt" } = req.query;
+
+    const query = { user: req.user.id };
+    if (typeof contentPath === "string") query.contentPath = normalizeContentPath(contentPath);
+    if (typeof sectionHeading === "string" && sectionHeading) query.sectionHeading = sectionHeading;
+    if (typeof type === "string" && type) query.type = type;
+    if (typeof search === "string" && search) query.body = { $regex: escapeRegex(search), $options: "i" };
+
+    const notes = await Note.find(query).sort(sort).limit(parseInt(limit)).exec();
+
+    res.json({
+      notes: notes.map(toNoteJSON),
+      total: notes.length,
+    });
+  } catch (error) {
+    console.error("Error fetching notes:", error);
+    res.status(500).json({
+      message: "Error fetching notes",
+      code: "NOTES_FETCH_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/notes/content/:contentPath
+// @desc    Get notes for specific content
+// @access  Private
+router.get("/content/*", auth, async (req, res) => {
+  try {
+    // Extract content path from URL (everything after /content/)
+    const contentPath = normalizeContentPath(req.params[0]);
+
+    if (!contentPath) {
+      return res.status(400).json({
+        message: "Content path is required",
+        code: "MISSING_CONTENT_PATH",
+      });
+    }
+
+    const notes = await Note.findByUserAndContent(req.user.id, contentPath);
+
+    res.json({
+      contentPath,
+      notes: notes.map(toNoteJSON),
+      total: notes.length,
+    });
+  } catch (error) {
+    console.error("Error fetching content notes:", error);
+    res.status(500).json({
+      message: "Error fetching content notes",
+      code: "CONTENT_NOTES_FETCH_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/notes/:id
+// @desc    Get a single note
+// @access  Private
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const note = await findUserNote(req);
+
+    if (!note) {
+      return res.status(404).json({
+        message: "Note not found",
+        code: "NOTE_NOT_FOUND",
+      });
+    }
+
+    res.json({ note: toNoteJSON(note) });
+  } catch (error) {
+    console.error("Error fetching note:", error);
+    res.status(500).json({
+      message: "Error fetching note",
+      code: "NOTE_FETCH_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/notes
+// @desc    Create new note
+// @access  Private
+router.post("/", auth, async (req, res) => {
+  try {
+    const { contentPath, sectionHeading, body, type, tags } = req.body;
+
+    // Validation
+    if (typeof contentPath !== "string" || !contentPath.trim() || body === undefined) {
+      return res.status(400).json({
+        message: "Content path and note body are required",
+        code: "MISSING_REQUIRED_FIELDS",
+      });
+    }
+
+    const invalid = validateNoteFields({ body, sectionHeading, tags });
+    if (invalid) {
+      return res.status(400).json({
+        message: invalid,
+        code: "INVALID_NOTE",
+      });
+    }
+
+    const normalizedPath = normalizeContentPath(contentPath.trim());
+    if (!(await isContentFile(normalizedPath))) {
+      return res.status(404).json({
+        message: "Content file not found",
+        code: "FILE_NOT_FOUND",
+        path: normalizedPath,
+      });
+    }
+
+    const note = new Note({
+      user: req.user.id,
+      contentPath: normalizedPath,
+      sectionHeading: sectionHeading?.trim() || undefined,
+      body,
+      type,
+      tags: tags ? tags.map((tag) => tag.trim().toLowerCase()) : [],
+    });
+
+    await note.save();
+
+    res.status(201).json({
+      message: "Note created successfully",
+      note: toNoteJSON(note),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        message: Object.values(error.errors)[0].message,
+        code: "INVALID_NOTE",
+      });
+    }
+
+    console.error("Error creating note:", error);
+    res.status(500).json({
+      message: "Error creating note",
+      code: "NOTE_CREATE_ERROR",
+    });
+  }
+});
+
+// @route   PUT /api/notes/:id
+// @desc    Update note
+// @access  Private
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const { body, sectionHeading, type, tags } = req.body;
+
+    const invalid = validateNoteFields({ body, sectionHeading, tags });
+    if (invalid) {
+      return res.status(400).json({
+        message: invalid,
+        code: "INVALID_NOTE",
+      });
+    }
+
+    const note = await findUserNote(req);
+
+    if (!note) {
+      return res.status(404).json({
+        message: "Note not found",
+        code: "NOTE_NOT_FOUND",
+      });
+    }
+
+    // Update fields
+    if (body !== undefined) note.body = body;
+    if (sectionHeading !== undefined) note.sectionHeading = sectionHeading?.trim() || undefined;
+    if (type) note.type = type;
+    if (tags) note.tags = tags.map((tag) => tag.trim().toLowerCase());
+
+    await note.save();
+
+    res.json({
+      message: "Note updated successfully",
+      note: toNoteJSON(note),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        message: Object.values(error.errors)[0].message,
+        code: "INVALID_NOTE",
+      });
+    }
+
+    console.error("Error updating note:", error);
+    res.status(500).json({
+      message: "Error updating note",
+      code: "NOTE_UPDATE_ERROR",
+    });
+  }
+});
+
+// @route   DELETE /api/notes/:id
+// @desc    Delete note
+// @access  Private
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const note = mongoose.Types.ObjectId.isValid(req.params.id) ? await Note.findOneAndDelete({ _id: req.params.id, user: req.user.id }) : null;
+
+    if (!note) {
+      return res.status(404).json({
+        message: "Note not found",
+        code: "NOTE_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      message: "Note deleted successfully",
+      deletedNote: note,
+    });
+  } catch (error) {
+    console.error("Error deleting note:", error);
+    res.status(500).json({
+      message: "Error deleting note",
+      code: "NOTE_DELETE_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require("express");
+const { auth } = require("../middleware/auth");
+const { getReadingProgress, updateReadingProgress } = require("../services/readingProgress");
+const { normalizeContentPath } = require("../utils/learningContent");
+
+const router = express.Router();
+
+// @route   GET /api/reading/content/:contentPath
+// @desc    Get the sections of a file with the user's read state and resume position
+// @access  Private
+router.get("/content/*", auth, async (req, res) => {
+  try {
+    const contentPath = normalizeContentPath(req.params[0]);
+    const progress = await getReadingProgress(req.user.id, contentPath);
+
+    if (!progress) {
+      return res.status(404).json({
+        message: "Content file not found",
+        code: "FILE_NOT_FOUND",
+        path: contentPath,
+      });
+    }
+
+    res.json(progress);
+  } catch (error) {
+    console.error("Error fetching reading progress:", error);
+    res.status(500).json({
+      message: "Error fetching reading progress",
+      code: "READING_PROGRESS_FETCH_ERROR",
+    });
+  }
+});
+
+// @route   PUT /api/reading/content/:contentPath
+// @desc    Mark sections as read and save the current section
+// @access  Private
+router.put("/content/*", auth, async (req, res) => {
+  try {
+    const contentPath = normalizeContentPath(req.params[0]);
+    const { readSectionIds = [], currentSectionId = null } = req.body;
+
+    if (!Array.isArray(readSectionIds) || readSectionIds.some((id) => typeof id !== "string")) {
+      return res.status(400).json({
+        message: "readSectionIds must be an array of section ids",
+        code: "INVALID_SECTION_IDS",
+      });
+    }
+
+    const progress = await updateReadingProgress(req.user.id, contentPath, { readSectionIds, currentSectionId });
+
+    if (!progress) {
+      return res.status(404).json({
+        message: "Content file not found",
+        code: "FILE_NOT_FOUND",
+        path: contentPath,
+      });
+    }
+
+    res.json({
+      message: "Reading progress updated successfully",
+      progress,
+    });
+  } catch (error) {
+    console.error("Error updating reading progress:", error);
+    res.status(500).json({
+      message: "Error updating reading progress",
+      code: "READING_PROGRESS_UPDATE_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require("express");
 const StudySession = require("../models/StudySession");
 const { Topic } = require("../models/Topic");
 const { auth, checkResourceOwnership } = require("../middleware/auth");
+const { getDayBounds } = require("../utils/timezone");
+const { evaluateAchievements, ACHIEVEMENT_EVENTS } = require("../services/achievements");
+const { applySessionToGoals } = require("../services/goalProgress");
 
 const router = express.Router();
 
@@ -57,10 +60,8 @@ router.get("/", auth, async (req, res) => {
 // @access  Private
 router.get("/today", auth, async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // "Today" is the user's local calendar day, not the server's
+    const { start: today, end: tomorrow } = getDayBounds(new Date(), req.user.profile?.timezone);
 
     const sessions = await StudySession.find({
       userId: req.userId,
@@ -283,11 +284,16 @@ router.put("/:id/complete", auth, checkResourceOwnership("session"), async (req,
       tags,
     });
 
+    const sessionAchievements = await evaluateAchievements(req.userId, ACHIEVEMENT_EVENTS.SESSION_COMPLETED, { session });
+    const goalProgress = await applySessionToGoals(session);
+
     await session.populate("topicId", "title category difficulty");
 
     res.json({
       message: "Session completed successfully",
       session,
+      goals: goalProgress.goals,
+      achievements: [...sessionAchievements, ...goalProgress.achievements],
     });
   } catch (error) {
     console.error("Complete session error:", error);
@@ -364,10 +370,10 @@ router.get("/stats", auth, async (req, res) => {
     });
 
     // Get daily stats for chart
-    const dailyStats = await StudySession.getDailyStats(req.userId, parseInt(days));
+    const dailyStats = await StudySession.getDailyStats(req.userId, parseInt(days), req.user.profile?.timezone);
 
     // Get streak information
-    const streaks = await StudySession.getStudyStreaks(req.userId);
+    const streaks = await StudySession.getStudyStreaks(req.userId, req.user.profile?.timezone);
 
     // Get session type breakdown
     const typeBreakdown = await StudySession.aggregate([
@@ -0,0 +1,213 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const StudyPlan = require("../models/StudyPlan");
+const StudyPlanProgress = require("../models/StudyPlanProgress");
+const { auth } = require("../middleware/auth");
+const { buildPlanSchedule, getDueTasks, getUserDueTasks, setTaskCompleted } = require("../services/studyPlans");
+const { resolveTimezone, getDateKey, daysBetween } = require("../utils/timezone");
+
+const router = express.Router();
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real "YYYY-MM-DD" calendar day (rejects 2026-02-31)
+const isDateKey = (value) => typeof value === "string" && DATE_KEY_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+// Today's calendar day in the user's timezone
+const getToday = (req) => getDateKey(new Date(), resolveTimezone(req.user.profile?.timezone));
+
+const findPlan = (req) => (mongoose.Types.ObjectId.isValid(req.params.id) ? StudyPlan.findById(req.params.id) : null);
+
+// @route   GET /api/study-plans
+// @desc    List the study plans with the user's progress on the ones they started
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const plans = await StudyPlan.find({ isActive: true }).sort({ sourcePath: 1, slug: 1 });
+    const progresses = await StudyPlanProgress.find({ userId: req.userId, planId: { $in: plans.map((plan) => plan._id) } });
+    const progressByPlan = new Map(progresses.map((progress) => [progress.planId.toString(), progress]));
+    const today = getToday(req);
+
+    res.json({
+      plans: plans.map((plan) => {
+        const { weeks, ...summary } = buildPlanSchedule(plan, progressByPlan.get(plan._id.toString()) || null, today);
+        return { ...summary, weekCount: weeks.length };
+      }),
+      total: plans.length,
+    });
+  } catch (error) {
+    console.error("Get study plans error:", error);
+    res.status(500).json({
+      message: "Server error retrieving study plans",
+      code: "GET_STUDY_PLANS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/study-plans/today
+// @desc    Tasks due today, this week's tasks and overdue tasks across the user's started plans
+// @access  Private
+router.get("/today", auth, async (req, res) => {
+  try {
+    const today = getToday(req);
+    const plans = await getUserDueTasks(req.userId, today);
+
+    res.json({ date: today, plans });
+  } catch (error) {
+    console.error("Get due study plan tasks error:", error);
+    res.status(500).json({
+      message: "Server error retrieving today's study plan tasks",
+      code: "GET_DUE_TASKS_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/study-plans/:id
+// @desc    Get a study plan with dates, checked tasks and today's tasks once the user started it
+// @access  Private
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+
+    if (!plan) {
+      return res.status(404).json({
+        message: "Study plan not found",
+        code: "STUDY_PLAN_NOT_FOUND",
+      });
+    }
+
+    const progress = await StudyPlanProgress.findOne({ userId: req.userId, planId: plan._id });
+    const today = getToday(req);
+
+    res.json({
+      plan: buildPlanSchedule(plan, progress, today),
+      today: progress ? getDueTasks(plan, progress, today) : null,
+    });
+  } catch (error) {
+    console.error("Get study plan error:", error);
+    res.status(500).json({
+      message: "Server error retrieving study plan",
+      code: "GET_STUDY_PLAN_ERROR",
+    });
+  }
+});
+
+// @route   POST /api/study-plans/:id/start
+// @desc    Start a plan on a date: { startDate: "YYYY-MM-DD" } (defaults to today). Starting a
+//          plan again moves its dates and keeps the checked tasks.
+// @access  Private
+router.post("/:id/start", auth, async (req, res) => {
+  try {
+    const today = getToday(req);
+    const startDate = req.body.startDate || today;
+
+    if (!isDateKey(startDate) || Math.abs(daysBetween(today, startDate)) > 366) {
+      return res.status(400).json({
+        message: "startDate must be a YYYY-MM-DD date within a year of today",
+        code: "INVALID_START_DATE",
+      });
+    }
+
+    const plan = await findPlan(req);
+
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({
+        message: "Study plan not found",
+        code: "STUDY_PLAN_NOT_FOUND",
+      });
+    }
+
+    // One upsert, so starting a plan twice at once does not collide on the unique index
+    const result = await StudyPlanProgress.findOneAndUpdate({ userId: req.userId, planId: plan._id }, { $set: { startDate } }, { upsert: true, new: true, runValidators: true, includeResultMetadata: true });
+    const progress = result.value;
+    const created = !result.lastErrorObject?.updatedExisting;
+
+    res.status(created ? 201 : 200).json({
+      message: created ? "Study plan started" : "Study plan start date updated",
+      plan: buildPlanSchedule(plan, progress, today),
+      today: getDueTasks(plan, progress, today),
+    });
+  } catch (error) {
+    console.error("Start study plan error:", error);
+    res.status(500).json({
+      message: "Server error starting study plan",
+      code: "START_STUDY_PLAN_ERROR",
+    });
+  }
+});
+
+// @route   PUT /api/study-plans/:id/tasks/:taskId
+// @desc    Check or uncheck a task of a started plan: { completed: boolean }
+// @access  Private
+router.put("/:id/tasks/:taskId", auth, async (req, res) => {
+  try {
+    const { completed } = req.body;
+
+    if (typeof completed !== "boolean") {
+      return res.status(400).json({
+        message: "completed must be a boolean",
+        code: "INVALID_TASK_STATE",
+      });
+    }
+
+    const plan = await findPlan(req);
+    const progress = plan && (await StudyPlanProgress.findOne({ userId: req.userId, planId: plan._id }));
+
+    if (!progress) {
+      return res.status(404).json({
+        message: "Start the study plan before checking off tasks",
+        code: "STUDY_PLAN_NOT_STARTED",
+      });
+    }
+
+    if (!setTaskCompleted(plan, progress, req.params.taskId, completed)) {
+      return res.status(404).json({
+        message: "Study plan task not found",
+        code: "STUDY_PLAN_TASK_NOT_FOUND",
+      });
+    }
+
+    await progress.save();
+
+    const today = getToday(req);
+    res.json({
+      message: "Task updated successfully",
+      taskId: req.params.taskId,
+      completed,
+      progress: buildPlanSchedule(plan, progress, today).progress,
+      today: getDueTasks(plan, progress, today),
+    });
+  } catch (error) {
+    console.error("Update study plan task error:", error);
+    res.status(500).json({
+      message: "Server error updating study plan task",
+      code: "UPDATE_STUDY_PLAN_TASK_ERROR",
+    });
+  }
+});
+
+// @route   DELETE /api/study-plans/:id/progress
+// @desc    Stop following a plan and clear its checked tasks
+// @access  Private
+router.delete("/:id/progress", auth, async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id) ? await StudyPlanProgress.deleteOne({ userId: req.userId, planId: req.params.id }) : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        message: "Study plan not started",
+        code: "STUDY_PLAN_NOT_STARTED",
+      });
+    }
+
+    res.json({ message: "Study plan progress cleared" });
+  } catch (error) {
+    console.error("Clear study plan progress error:", error);
+    res.status(500).json({
+      message: "Server error clearing study plan progress",
+      code: "CLEAR_STUDY_PLAN_ERROR",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,59 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const { Topic, UserProgress } = require("../models/Topic");
-const { auth, checkResourceOwnership } = require("../middleware/auth");
+const { auth, requireAdmin, checkResourceOwnership } = require("../middleware/auth");
+const { evaluateAchievements, ACHIEVEMENT_EVENTS } = require("../services/achievements");
+const { applyTopicCompletionToGoals } = require("../services/goalProgress");
+const { loadTopicGraph, findPrerequisiteCycle, getUserTopicGraph } = require("../services/topicGraph");
 const fs = require("fs");
 const path = require("path");
 
 const router = express.Router();
 
-// Learning content import endpoint for production
-router.post("/import", auth, async (req, res) => {
+// Check a topic's new prerequisites: they must be other active topics and must not close a
+// cycle. Returns an error response body, or null when they are fine.
+const validatePrerequisites = async (topicId, prerequisites) => {
+  if (!Array.isArray(prerequisites) || !prerequisites.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { message: "Prerequisites must be a list of topic ids", code: "INVALID_PREREQUISITES" };
+  }
+  if (prerequisites.length === 0) return null;
+
+  const graph = await loadTopicGraph();
+  const unknown = prerequisites.filter((id) => !graph.has(String(id)));
+  if (unknown.length > 0) {
+    return { message: "Prerequisites must be existing topics", code: "INVALID_PREREQUISITES", prerequisites: unknown };
+  }
+
+  const cycle = topicId && findPrerequisiteCycle(graph, topicId, prerequisites);
+  if (cycle) {
+    return {
+      message: `Prerequisites would create a cycle: ${cycle.map((id) => graph.get(id).title).join(" → ")}`,
+      code: "PREREQUISITE_CYCLE",
+      cycle: cycle.map((id) => ({ _id: id, title: graph.get(id).title })),
+    };
+  }
+
+  return null;
+};
+
+// @route   POST /api/topics/import
+// @desc    Sync topics with the learning directory; { dryRun: true } only reports the changes
+// @access  Private (admin)
+router.post("/import", auth, requireAdmin, async (req, res) => {
   try {
-    console.log("🚀 Starting learning content import...");
+    const dryRun = req.body.dryRun === true;
+    console.log(`🚀 Starting learning content ${dryRun ? "dry run" : "import"}...`);
 
     // Import the script function
     const importScript = require("../scripts/importLearningContent");
 
     // Run the import
-    await importScript.runImport();
+    const { report } = await importScript.runImport({ dryRun, createdBy: req.userId });
 
     res.json({
       success: true,
-      message: "Learning content imported successfully",
+      message: dryRun ? "Dry run completed, no changes saved" : "Learning content imported successfully",
+      report,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -140,6 +173,38 @@ router.get("/categories", async (req, res) => {
   }
 });
 
+// @route   GET /api/topics/graph
+// @desc    Prerequisite graph with the user's locked/unlocked/completed status per topic, learning order and ready-to-start list
+// @access  Private
+router.get("/graph", auth, async (req, res) => {
+  try {
+    const graph = await getUserTopicGraph(req.userId);
+    res.json(graph);
+  } catch (error) {
+    console.error("Get topic graph error:", error);
+    res.status(500).json({
+      message: "Server error retrieving topic graph",
+      code: "GET_TOPIC_GRAPH_ERROR",
+    });
+  }
+});
+
+// @route   GET /api/topics/graph/ready
+// @desc    Topics whose prerequisites the user has completed and that they have not started, in learning order
+// @access  Private
+router.get("/graph/ready", auth, async (req, res) => {
+  try {
+    const { readyToStart } = await getUserTopicGraph(req.userId);
+    res.json({ topics: readyToStart });
+  } catch (error) {
+    console.error("Get ready topics error:", error);
+    res.status(500).json({
+      message: "Server error retrieving recommended topics",
+      code: "GET_READY_TOPICS_ERROR",
+    });
+  }
+});
+
 // @route   GET /api/topics/:id
 // @desc    Get topic by ID with user progress
 // @access  Public
@@ -195,7 +260,7 @@ router.get("/:id", async (req, res) => {
 // @access  Private
 router.post("/", auth, async (req, res) => {
   try {
-    const { title, description, category, difficulty = "Beginner", estimatedHours, prerequisites = [], tags = [], resources = [], milestones = [] } = req.body;
+    const { title, description, category, difficulty = "Beginner", estimatedHours, prerequisites = [], tags = [], learningPath, resources = [], milestones = [] } = req.body;
 
     // Validation
     if (!title || !description || !category || !estimatedHours) {
@@ -205,6 +270,11 @@ router.post("/", auth, async (req, res) => {
       });
     }
 
+    const prerequisiteError = await validatePrerequisites(null, prerequisites);
+    if (prerequisiteError) {
+      return res.status(400).json(prerequisiteError);
+    }
+
     // Check for duplicate title
     const existingTopic = await Topic.findOne({ title, isActive: true });
     if (existingTopic) {
@@ -223,6 +293,7 @@ router.post("/", auth, async (req, res) => {
       estimatedHours,
       prerequisites,
       tags,
+      learningPath,
       resources,
       milestones,
       createdBy: req.userId,
@@ -250,10 +321,17 @@ router.post("/", auth, async (req, res) => {
 // @access  Private (creator only)
 router.put("/:id", auth, checkResourceOwnership("topic"), async (req, res) => {
   try {
-    const { title, description, category, difficulty, estimatedHours, prerequisites, tags, resources, milestones } = req.body;
+    const { title, description, category, difficulty, estimatedHours, prerequisites, tags, learningPath, resources, milestones } = req.body;
 
     const topic = req.resource;
 
+    if (prerequisites) {
+      const prerequisiteError = await validatePrerequisites(topic._id, prerequisites);
+      if (prerequisiteError) {
+        return res.status(400).json(prerequisiteError);
+      }
+    }
+
     // Update fields
     if (title) topic.title = title;
     if (description) topic.description = description;
@@ -262,6 +340,7 @@ router.put("/:id", auth, checkResourceOwnership("topic"), async (req, res) => {
     if (estimatedHours) topic.estimatedHours = estimatedHours;
     if (prerequisites) topic.prerequisites = prerequisites;
     if (tags) topic.tags = tags;
+    if (learningPath !== undefined) topic.learningPath = learningPath;
     if (resources) topic.resources = resources;
     if (milestones) topic.milestones = milestones;
 
@@ -362,6 +441,8 @@ router.post("/:id/progress", auth, async (req, res) => {
       });
     }
 
+    const wasCompleted = userProgress.status === "completed";
+
     // Update progress
     userProgress.updateProgress({
       status,
@@ -376,8 +457,9 @@ router.post("/:id/progress", auth, async (req, res) => {
 
     await userProgress.save();
 
-    // Update topic statistics if completed
-    if (status === "completed") {
+    // Update topic statistics and goals the first time the topic is completed
+    let goalProgress = { goals: [], achievements: [] };
+    if (status === "completed" && !wasCompleted) {
       topic.updateCompletionStats(rating);
       await topic.save();
 
@@ -385,11 +467,17 @@ router.post("/:id/progress", auth, async (req, res) => {
       const user = await require("../models/User").findById(req.userId);
       user.statistics.completedTopics += 1;
       await user.save();
+
+      goalProgress = await applyTopicCompletionToGoals(req.userId, topic._id, userProgress.completedAt);
     }
 
+    const topicAchievements = await evaluateAchievements(req.userId, ACHIEVEMENT_EVENTS.TOPIC_PROGRESS);
+
     res.json({
       message: "Progress updated successfully",
       progress: userProgress,
+      goals: goalProgress.goals,
+      achievements: [...topicAchievements, ...goalProgress.achievements],
     });
   } catch (error) {
     console.error("Update progress error:", error);
@@ -33,7 +33,8 @@ router.get("/profile/:username", async (req, res) => {
         experienceLevel: user.profile.experienceLevel,
       },
       statistics: user.statistics,
-      achievements: user.achievements,
+      achievements: [...(user.achievements || [])].sort((a, b) => new Date(b.unlockedAt) - new Date(a.unlockedAt)),
+      achievementCount: (user.achievements || []).length,
       joinedAt: user.createdAt,
     };
 
@@ -2,6 +2,10 @@ const mongoose = require("mongoose");
 const fs = require("fs");
 const path = require("path");
 const { Topic, UserProgress } = require("../models/Topic");
+const { LEARNING_BASE_PATH, ROOT_LEARNING_PATH, getResourceContentPath, getContentLearningPath, listLearningPathFiles } = require("../utils/learningContent");
+const { getFrontMatter, getContentMetadata, compareByOrder } = require("../services/contentMetadata");
+const { ROLE_TRACKS } = require("../services/learningPaths");
+const { syncStudyPlans } = require("../services/studyPlans");
 require("dotenv").config();
 
 // Learning content structure mapping
@@ -136,128 +140,371 @@ const LEARNING_CONTENT_MAP = {
   },
 };
 
-async function scanLearningDirectory(dirPath) {
-  const learningPath = path.resolve(__dirname, "../../learning");
+// Resources point at their file through contentPath (relative to learning/); the url opens
+// it through the content API
+const contentResourceUrl = (contentPath) => `/api/content/file/${contentPath}`;
 
-  if (!fs.existsSync(learningPath)) {
-    console.log("❌ Learning directory not found at:", learningPath);
+// Fields of resources and milestones that are derived from the files and kept in sync
+const RESOURCE_SYNC_FIELDS = ["title", "type", "url", "description", "duration", "isRequired"];
+const MILESTONE_SYNC_FIELDS = ["title", "description", "order"];
+
+// Topic fields a folder's README front matter can override. On existing topics only the
+// fields the front matter declares are synced, so other edits made in the app are kept.
+const TOPIC_FRONT_MATTER_FIELDS = ["title", "difficulty", "estimatedHours", "tags"];
+
+// Content paths of a learning folder's markdown files. Folders without a predefined file
+// list are scanned recursively (e.g. dsa/01-easy/*.md, diagrams-study/uml-behavioral/README.md);
+// the folder's own README is skipped.
+function listTopicFiles(folderName, config) {
+  if (folderName === ROOT_LEARNING_PATH) {
+    return listLearningPathFiles(ROOT_LEARNING_PATH).map((file) => file.contentPath);
+  }
+
+  if (config.files.length > 0) {
+    return config.files.map((file) => `${folderName}/${file}`).filter((contentPath) => fs.existsSync(path.join(LEARNING_BASE_PATH, contentPath)));
+  }
+
+  return (listLearningPathFiles(folderName) || []).map((file) => file.contentPath).filter((contentPath) => contentPath !== `${folderName}/README.md`);
+}
+
+// Topic fields declared by a folder README's front matter
+function getTopicFrontMatter(frontMatter) {
+  const fields = {};
+  if (!frontMatter) return fields;
+
+  if (frontMatter.title) fields.title = frontMatter.title;
+  if (frontMatter.difficulty) fields.difficulty = frontMatter.difficulty;
+  if (frontMatter.estimatedMinutes) fields.estimatedHours = Math.min(200, Math.max(0.5, Math.round(frontMatter.estimatedMinutes / 30) / 2)); // Nearest half hour
+  if (frontMatter.tags) fields.tags = frontMatter.tags;
+
+  return fields;
+}
+
+// Learning paths a folder depends on, from the prerequisites in its README and files. Entries
+// are learning paths ("dsa") or content paths ("dsa/01-easy/01-arrays-strings.md"); paths
+// inside the folder itself are dropped. Null when nothing declares prerequisites.
+function getPrerequisitePaths(folderName, readmeFrontMatter, files) {
+  const entries = [...(readmeFrontMatter?.prerequisites || []), ...files.flatMap((file) => file.prerequisites)];
+  if (!readmeFrontMatter?.prerequisites && entries.length === 0) return null;
+
+  const learningPaths = entries.map((entry) => (entry.includes("/") || entry.endsWith(".md") ? getContentLearningPath(entry) : entry));
+  return [...new Set(learningPaths)].filter((learningPath) => learningPath !== folderName);
+}
+
+// The Topic document a learning folder should produce. Front matter in the files and the
+// folder README overrides the defaults from LEARNING_CONTENT_MAP and the filenames.
+async function buildTopicData(folderName, config, contentPaths) {
+  const isRoot = folderName === ROOT_LEARNING_PATH;
+  const readmeFrontMatter = isRoot ? null : await getFrontMatter(`${folderName}/README.md`);
+  const frontMatterFields = getTopicFrontMatter(readmeFrontMatter);
+  const estimatedHours = frontMatterFields.estimatedHours || config.estimatedHours;
+
+  const files = (await Promise.all(contentPaths.map((contentPath) => getContentMetadata(contentPath, { estimatedMinutes: Math.round((estimatedHours / contentPaths.length) * 60) })))).filter(Boolean).sort(compareByOrder);
+
+  // Create resources for each learning file
+  const resources = files.map(({ contentPath, title, estimatedMinutes }) => ({
+    title,
+    type: isRoot ? "Documentation" : "Tutorial",
+    url: contentResourceUrl(contentPath),
+    contentPath,
+    description: `Learning material: ${title.toLowerCase()}`,
+    duration: estimatedMinutes,
+    isRequired: !isRoot,
+  }));
+
+  // Create milestones for each section
+  const milestones = resources.map((resource, index) => ({
+    title: `Complete: ${resource.title}`,
+    description: `Finish studying ${resource.title.toLowerCase()} section`,
+    order: index + 1,
+    contentPath: resource.contentPath,
+  }));
+
+  const difficulty = frontMatterFields.difficulty || config.difficulty;
+
+  return {
+    title: frontMatterFields.title || config.title,
+    description: config.description,
+    category: config.category,
+    difficulty,
+    estimatedHours,
+    tags: [...new Set([folderName, config.category.toLowerCase(), difficulty.toLowerCase(), ...(frontMatterFields.tags || [])])],
+    resources,
+    milestones,
+    learningPath: folderName,
+    isActive: true,
+    frontMatterFields,
+    prerequisitePaths: getPrerequisitePaths(folderName, readmeFrontMatter, files),
+  };
+}
+
+async function scanLearningDirectory() {
+  if (!fs.existsSync(LEARNING_BASE_PATH)) {
+    console.log("❌ Learning directory not found at:", LEARNING_BASE_PATH);
     return [];
   }
 
-  console.log("📁 Scanning learning directory:", learningPath);
+  console.log("📁 Scanning learning directory:", LEARNING_BASE_PATH);
 
   const topics = [];
 
   for (const [folderName, config] of Object.entries(LEARNING_CONTENT_MAP)) {
-    const topicPath = path.join(learningPath, folderName);
-
-    // Special handling for root-guides - scan root markdown files
-    if (folderName === "root-guides") {
-      console.log(`📚 Processing ${config.title}...`);
-
-      try {
-        const rootFiles = fs
-          .readdirSync(learningPath)
-          .filter((file) => file.endsWith(".md") && !fs.statSync(path.join(learningPath, file)).isDirectory())
-          .sort();
-        config.files = rootFiles;
-
-        if (rootFiles.length > 0) {
-          // Create resources for each root learning file
-          const resources = rootFiles.map((file) => ({
-            title: file.replace(".md", "").replace(/^\d+-/, "").replace(/-/g, " "),
-            url: `../learning/${file}`,
-            type: "Documentation",
-          }));
-
-          // Create study session template
-          const studySession = {
-            title: `Complete: ${config.title}`,
-            description: `Study session covering all materials in ${config.title}`,
-            estimatedTime: config.estimatedHours * 60,
-            resources,
-          };
-
-          topics.push({
-            ...config,
-            folderName,
-            resources,
-            studySession,
-          });
-        }
-      } catch (error) {
-        console.log(`⚠️  Could not read root directory ${learningPath}:`, error.message);
-      }
-      continue; // Skip the normal directory processing for root-guides
+    const topicPath = path.join(LEARNING_BASE_PATH, folderName);
+
+    if (folderName !== ROOT_LEARNING_PATH && !fs.existsSync(topicPath)) {
+      console.log(`⚠️  Directory not found: ${topicPath}`);
+      continue;
     }
 
-    if (fs.existsSync(topicPath)) {
-      console.log(`📚 Processing ${config.title}...`);
-
-      // Scan for markdown files if not predefined
-      if (config.files.length === 0) {
-        try {
-          const files = fs
-            .readdirSync(topicPath)
-            .filter((file) => file.endsWith(".md") && file !== "README.md")
-            .sort();
-          config.files = files;
-        } catch (error) {
-          console.log(`⚠️  Could not read directory ${topicPath}:`, error.message);
-        }
+    console.log(`📚 Processing ${config.title}...`);
+
+    try {
+      const contentPaths = listTopicFiles(folderName, config);
+      if (contentPaths.length > 0) {
+        topics.push(await buildTopicData(folderName, config, contentPaths));
       }
+    } catch (error) {
+      console.log(`⚠️  Could not read directory ${topicPath}:`, error.message);
+    }
+  }
 
-      // Create resources for each learning file
-      const resources = config.files.map((file, index) => {
-        const title = file.replace(".md", "").replace(/^\d+-/, "").replace(/-/g, " ");
-        return {
-          title: title.charAt(0).toUpperCase() + title.slice(1),
-          type: "Tutorial",
-          url: `../learning/${folderName}/${file}`,
-          description: `Learning material: ${title}`,
-          duration: Math.round((config.estimatedHours / config.files.length) * 60), // Convert to minutes
-          isRequired: true,
-        };
-      });
+  return topics;
+}
 
-      // Create milestones for each section
-      const milestones = config.files.map((file, index) => {
-        const title = file.replace(".md", "").replace(/^\d+-/, "").replace(/-/g, " ");
-        return {
-          title: `Complete: ${title.charAt(0).toUpperCase() + title.slice(1)}`,
-          description: `Finish studying ${title} section`,
-          order: index + 1,
-        };
-      });
+// Milestones created before they carried a contentPath were generated one per file, in
+// the same order as the topic's file resources; recover their paths from that order.
+function backfillMilestonePaths(topic) {
+  const resourcePaths = topic.resources.map((resource) => getResourceContentPath(resource)).filter(Boolean);
 
-      topics.push({
-        title: config.title,
-        description: config.description,
-        category: config.category,
-        difficulty: config.difficulty,
-        estimatedHours: config.estimatedHours,
-        tags: [folderName, config.category.toLowerCase(), config.difficulty.toLowerCase()],
-        resources: resources,
-        milestones: milestones,
-        learningPath: folderName,
-        isActive: true,
+  topic.milestones.forEach((milestone) => {
+    if (!milestone.contentPath && milestone.order >= 1 && milestone.order <= resourcePaths.length) {
+      milestone.contentPath = resourcePaths[milestone.order - 1];
+    }
+  });
+}
+
+// Diff one kind of subdocument (resources or milestones) by contentPath. Matching entries
+// are updated in place and keep their _id; missing ones move to the retired list, and
+// retired ones whose file is back are restored. Entries without a contentPath (added by
+// hand) are left alone and kept after the file entries.
+function diffSubdocuments(current, retired, desired, fields, getPath) {
+  const changes = { added: [], updated: [], retired: [], restored: [] };
+  const desiredPaths = new Set(desired.map((item) => item.contentPath));
+  const currentByPath = new Map(current.filter((item) => getPath(item)).map((item) => [getPath(item), item]));
+  const retiredByPath = new Map(retired.map((item) => [getPath(item), item]));
+
+  const next = desired.map((item) => {
+    const existing = currentByPath.get(item.contentPath) || retiredByPath.get(item.contentPath);
+
+    if (!existing) {
+      changes.added.push(item.contentPath);
+      return item;
+    }
+
+    if (!currentByPath.has(item.contentPath)) {
+      changes.restored.push(item.contentPath);
+      existing.retiredAt = undefined;
+    }
+
+    const changedFields = fields.filter((field) => existing[field] !== item[field]);
+    if (changedFields.length > 0 || existing.contentPath !== item.contentPath) {
+      if (currentByPath.has(item.contentPath)) changes.updated.push(item.contentPath);
+      fields.forEach((field) => {
+        existing[field] = item[field];
       });
+      existing.contentPath = item.contentPath;
+    }
+
+    return existing;
+  });
+
+  const nextRetired = retired.filter((item) => !desiredPaths.has(getPath(item)));
+  current
+    .filter((item) => getPath(item) && !desiredPaths.has(getPath(item)))
+    .forEach((item) => {
+      changes.retired.push(getPath(item));
+      item.contentPath = getPath(item);
+      item.retiredAt = new Date();
+      nextRetired.push(item);
+    });
+
+  const manual = current.filter((item) => !getPath(item));
+  return { next: [...next, ...manual], nextRetired, changes };
+}
+
+const hasChanges = (changes) => Object.values(changes).some((paths) => paths.length > 0);
+
+const sameValue = (a, b) => (Array.isArray(a) ? JSON.stringify([...a]) === JSON.stringify([...b]) : a === b);
+
+// Apply a folder's desired state to an existing topic document (not saved). Returns the
+// changed topic fields and the resource and milestone changes.
+function diffTopic(topic, topicData) {
+  backfillMilestonePaths(topic);
+
+  const resources = diffSubdocuments(topic.resources, topic.retiredResources || [], topicData.resources, RESOURCE_SYNC_FIELDS, getResourceContentPath);
+  const milestones = diffSubdocuments(topic.milestones, topic.retiredMilestones || [], topicData.milestones, MILESTONE_SYNC_FIELDS, (milestone) => milestone.contentPath);
+
+  // Hand-added milestones follow the generated ones
+  milestones.next.forEach((milestone, index) => {
+    milestone.order = index + 1;
+  });
+
+  const learningPathChanged = topic.learningPath !== topicData.learningPath;
+  if (learningPathChanged) topic.learningPath = topicData.learningPath;
+
+  // Front matter tags are added to the topic's tags, never removing any
+  const fields = TOPIC_FRONT_MATTER_FIELDS.filter((field) => topicData.frontMatterFields[field] !== undefined).filter((field) => {
+    const value = field === "tags" ? [...new Set([...topic.tags, ...topicData.frontMatterFields.tags])] : topicData.frontMatterFields[field];
+    if (sameValue(topic[field], value)) return false;
+
+    topic[field] = value;
+    return true;
+  });
+
+  topic.resources = resources.next;
+  topic.retiredResources = resources.nextRetired;
+  topic.milestones = milestones.next;
+  topic.retiredMilestones = milestones.nextRetired;
+
+  return {
+    changed: learningPathChanged || fields.length > 0 || hasChanges(resources.changes) || hasChanges(milestones.changes),
+    fields,
+    resources: resources.changes,
+    milestones: milestones.changes,
+  };
+}
+
+// Point a topic at the topics of its prerequisite learning paths (not saved). Paths without a
+// topic are returned so the report can flag them.
+async function syncPrerequisites(topic, prerequisitePaths, topicsByPath) {
+  const prerequisites = [];
+  const unresolved = [];
+
+  for (const learningPath of prerequisitePaths) {
+    const prerequisite = topicsByPath.get(learningPath) || (await Topic.findOne({ learningPath, isActive: true }));
+    if (prerequisite) prerequisites.push(prerequisite._id);
+    else unresolved.push(learningPath);
+  }
+
+  const changed = !sameValue(topic.prerequisites.map(String), prerequisites.map(String));
+  if (changed) topic.prerequisites = prerequisites;
+
+  return { changed, unresolved };
+}
+
+// Sync Topics with the learning directory. Topics are matched by learningPath (or by title
+// for topics imported before learningPath existed); new folders create topics. With dryRun
+// nothing is written and the report lists the changes that would be made.
+async function syncLearningContent({ dryRun = false, createdBy } = {}) {
+  const topicsData = await scanLearningDirectory();
+  const report = {
+    dryRun,
+    topics: [],
+    summary: { created: 0, updated: 0, unchanged: 0, skipped: 0 },
+  };
+  const pending = [];
+  const topicsByPath = new Map();
+
+  for (const { frontMatterFields, prerequisitePaths, ...topicData } of topicsData) {
+    const existingTopic = (await Topic.findOne({ learningPath: topicData.learningPath })) || (await Topic.findOne({ title: topicData.title, learningPath: { $exists: false } }));
+    const entry = { learningPath: topicData.learningPath, title: topicData.title };
+
+    if (!existingTopic) {
+      entry.action = "create";
+      entry.resources = { added: topicData.resources.map((r) => r.contentPath), updated: [], retired: [], restored: [] };
+      entry.milestones = { added: topicData.milestones.map((m) => m.contentPath), updated: [], retired: [], restored: [] };
+
+      const topic = new Topic({ ...topicData, createdBy });
+      topicsByPath.set(topic.learningPath, topic);
+      pending.push({ entry, topic, prerequisitePaths });
+    } else if (!existingTopic.isActive) {
+      // Deleted topics stay deleted
+      entry.action = "skipped";
+      entry.topicId = existingTopic._id;
     } else {
-      console.log(`⚠️  Directory not found: ${topicPath}`);
+      const diff = diffTopic(existingTopic, { ...topicData, frontMatterFields });
+      entry.action = diff.changed ? "update" : "unchanged";
+      entry.topicId = existingTopic._id;
+      entry.fields = diff.fields;
+      entry.resources = diff.resources;
+      entry.milestones = diff.milestones;
+
+      topicsByPath.set(existingTopic.learningPath, existingTopic);
+      pending.push({ entry, topic: existingTopic, prerequisitePaths });
     }
+
+    report.topics.push(entry);
   }
 
-  return topics;
+  // Prerequisites can point at topics created in this run, so they are resolved once every
+  // folder has its topic
+  for (const { entry, topic, prerequisitePaths } of pending) {
+    if (prerequisitePaths) {
+      const { changed, unresolved } = await syncPrerequisites(topic, prerequisitePaths, topicsByPath);
+      if (unresolved.length > 0) entry.unresolvedPrerequisites = unresolved;
+      if (changed && entry.action !== "create") {
+        entry.fields.push("prerequisites");
+        entry.action = "update";
+      }
+    }
+
+    if (entry.action !== "unchanged" && !dryRun) {
+      await topic.save();
+      entry.topicId = topic._id;
+    }
+  }
+
+  report.topics.forEach((entry) => {
+    report.summary[{ create: "created", update: "updated", unchanged: "unchanged", skipped: "skipped" }[entry.action]] += 1;
+  });
+
+  // Weekly schedules from the .txt plans, started and checked off through /api/study-plans
+  report.studyPlans = await syncStudyPlans({ dryRun });
+
+  return report;
+}
+
+function printSyncReport(report) {
+  const verb = report.dryRun ? "would be" : "were";
+
+  report.topics.forEach((entry) => {
+    const icon = { create: "✅", update: "🔄", unchanged: "⏭️ ", skipped: "🚫" }[entry.action];
+    console.log(`${icon} ${entry.title} (${entry.learningPath}): ${entry.action}`);
+
+    if (entry.fields?.length > 0) console.log(`     fields updated: ${entry.fields.join(", ")}`);
+    if (entry.unresolvedPrerequisites) console.log(`     ⚠️  prerequisites without a topic: ${entry.unresolvedPrerequisites.join(", ")}`);
+
+    ["resources", "milestones"].forEach((kind) => {
+      Object.entries(entry[kind] || {})
+        .filter(([, paths]) => paths.length > 0)
+        .forEach(([change, paths]) => console.log(`     ${kind} ${change}: ${paths.length}${entry.action === "create" ? "" : ` (${paths.join(", ")})`}`));
+    });
+  });
+
+  const { created, updated, unchanged, skipped } = report.summary;
+  console.log(`\n📊 ${created} topics ${verb} created, ${updated} updated, ${unchanged} unchanged, ${skipped} skipped${report.dryRun ? " (dry run, nothing saved)" : ""}`);
+
+  if (report.studyPlans) {
+    const plans = report.studyPlans;
+    console.log(`📅 ${plans.created.length} study plans ${verb} created, ${plans.updated.length} updated, ${plans.unchanged.length} unchanged, ${plans.retired.length} retired`);
+    if (plans.unresolvedReferences.length > 0) console.log(`     ⚠️  plan references without a content file: ${plans.unresolvedReferences.join(", ")}`);
+  }
 }
 
-async function importLearningContent() {
+const connectIfNeeded = async () => {
+  if (mongoose.connection.readyState === 1) return false;
+
+  await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/sde2-study-tracker");
+  console.log("✅ Connected to MongoDB");
+  return true;
+};
+
+async function importLearningContent({ dryRun = false } = {}) {
   try {
-    console.log("🚀 Starting learning content import...");
+    console.log(`🚀 Starting learning content ${dryRun ? "dry run" : "import"}...`);
 
     // Connect to MongoDB
-    const MONGODB_URI = process.env.MONGODB_URI || "mongodb://localhost:27017/sde2-study-tracker";
-    await mongoose.connect(MONGODB_URI);
-    console.log("✅ Connected to MongoDB");
+    await connectIfNeeded();
 
     // Get admin user (first user in database)
     const User = require("../models/User");
@@ -270,62 +517,29 @@ async function importLearningContent() {
 
     console.log(`👤 Using admin user: ${adminUser.email}`);
 
-    // Scan learning content
-    const topicsData = await scanLearningDirectory();
+    const report = await syncLearningContent({ dryRun, createdBy: adminUser._id });
 
-    if (topicsData.length === 0) {
+    if (report.topics.length === 0) {
       console.log("❌ No learning content found to import");
       process.exit(1);
     }
 
-    console.log(`📚 Found ${topicsData.length} topics to import`);
+    printSyncReport(report);
 
-    // Clear existing topics (optional - remove this in production)
-    // await Topic.deleteMany({});
-    // console.log("🗑️  Cleared existing topics");
+    if (!dryRun) {
+      await generateTopicStats();
 
-    // Import topics
-    const importedTopics = [];
+      // Learning paths are generated per user from these tracks (POST /api/learning-paths/generate)
+      console.log("\n📋 Learning path tracks by target role:");
+      Object.entries(ROLE_TRACKS).forEach(([role, categories]) => console.log(`   ${role}: ${categories.join(" → ")}`));
 
-    for (const topicData of topicsData) {
-      // Check if topic already exists
-      const existingTopic = await Topic.findOne({
-        title: topicData.title,
-        createdBy: adminUser._id,
-      });
-
-      if (existingTopic) {
-        console.log(`⏭️  Topic already exists: ${topicData.title}`);
-        importedTopics.push(existingTopic);
-        continue;
-      }
-
-      // Create new topic
-      const topic = new Topic({
-        ...topicData,
-        createdBy: adminUser._id,
-      });
-
-      await topic.save();
-      importedTopics.push(topic);
-      console.log(`✅ Imported: ${topic.title}`);
+      console.log("\n🔗 Access your learning materials through the study tracker!");
+      console.log("📊 Track your progress and set goals for each topic.");
     }
 
-    console.log(`\n🎉 Successfully imported ${importedTopics.length} topics!`);
-
-    // Create learning path suggestions
-    console.log("\n📋 Learning Path Suggestions:");
-    console.log("1. 🌱 Beginner: Start with Databases → API Design → Security");
-    console.log("2. 🚀 Backend Focus: Spring Boot → Databases → API Design → Security → DevOps");
-    console.log("3. 🎨 Frontend Focus: React → API Design → Security");
-    console.log("4. 🏗️  Architecture Track: Design Patterns → System Design → DevOps");
-    console.log("5. 🎯 Interview Prep: DSA → System Design → Spring Boot → React");
-
-    console.log("\n🔗 Access your learning materials through the study tracker!");
-    console.log("📊 Track your progress and set goals for each topic.");
-
     await mongoose.disconnect();
     console.log("✅ Disconnected from MongoDB");
+    return report;
   } catch (error) {
     console.error("❌ Error importing learning content:", error);
     process.exit(1);
@@ -364,39 +578,30 @@ async function generateTopicStats() {
   });
 }
 
-// Main import function for API endpoint
-async function runImport() {
-  console.log("🚀 Starting learning content import via API...");
+// Main import function for API endpoint (uses the server's existing connection)
+async function runImport({ dryRun = false, createdBy } = {}) {
+  console.log(`🚀 Starting learning content ${dryRun ? "dry run" : "import"} via API...`);
 
   try {
-    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/sde2-study-tracker");
-    console.log("✅ Connected to MongoDB for import");
+    await connectIfNeeded();
 
-    await scanLearningDirectory();
-    await generateTopicStats();
+    const report = await syncLearningContent({ dryRun, createdBy });
+    printSyncReport(report);
 
     console.log("\n🎓 Learning content import completed successfully!");
-    return { success: true, message: "Import completed" };
+    return { success: true, message: dryRun ? "Dry run completed" : "Import completed", report };
   } catch (error) {
     console.error("❌ Import failed:", error);
     throw error;
   }
 }
 
-// Direct execution when run as script
+// Direct execution when run as script: npm run import-learning [-- --dry-run]
 if (require.main === module) {
-  mongoose
-    .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/sde2-study-tracker")
-    .then(() => scanLearningDirectory())
-    .then(() => generateTopicStats())
-    .then(() => {
-      console.log("\n🎓 Ready to start your learning journey!");
-      process.exit(0);
-    })
-    .catch((error) => {
-      console.error("❌ Import failed:", error);
-      process.exit(1);
-    });
+  importLearningContent({ dryRun: process.argv.includes("--dry-run") }).then(() => {
+    console.log("\n🎓 Ready to start your learning journey!");
+    process.exit(0);
+  });
 }
 
-module.exports = { importLearningContent, LEARNING_CONTENT_MAP, runImport };
+module.exports = { importLearningContent, LEARNING_CONTENT_MAP, runImport, syncLearningContent };
@@ -17,9 +17,21 @@ const analyticsRoutes = require("./routes/analytics");
 const goalRoutes = require("./routes/goals");
 const contentRoutes = require("./routes/content");
 const bookmarkRoutes = require("./routes/bookmarks");
+const noteRoutes = require("./routes/notes");
+const checklistRoutes = require("./routes/checklists");
+const readingRoutes = require("./routes/reading");
+const learningPathRoutes = require("./routes/learningPaths");
+const studyPlanRoutes = require("./routes/studyPlans");
+const calendarRoutes = require("./routes/calendar");
+const adminRoutes = require("./routes/admin");
 
 // Import middleware
 const { auth } = require("./middleware/auth");
+const realtime = require("./services/realtime");
+const scheduler = require("./services/scheduler");
+const searchIndex = require("./services/searchIndex");
+const contentWatcher = require("./services/contentWatcher");
+const { normalizeContentPath } = require("./utils/learningContent");
 
 const app = express();
 const server = http.createServer(app);
@@ -30,6 +42,8 @@ const io = socketIo(server, {
   },
 });
 
+realtime.setIO(io);
+
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI || "mongodb://localhost:27017/sde2-study-tracker";
 
@@ -64,6 +78,11 @@ mongoose
   })
   .then(() => {
     console.log("✅ Connected to MongoDB");
+
+    // Background jobs (overdue goals, recurring goals, streaks); set ENABLE_SCHEDULER=false to opt out
+    if (process.env.ENABLE_SCHEDULER !== "false") {
+      scheduler.startScheduler();
+    }
   })
   .catch((error) => {
     console.error("❌ MongoDB connection error:", error);
@@ -79,6 +98,13 @@ app.use("/api/analytics", auth, analyticsRoutes);
 app.use("/api/goals", auth, goalRoutes);
 app.use("/api/content", contentRoutes);
 app.use("/api/bookmarks", bookmarkRoutes);
+app.use("/api/notes", noteRoutes);
+app.use("/api/checklists", checklistRoutes);
+app.use("/api/reading", readingRoutes);
+app.use("/api/learning-paths", learningPathRoutes);
+app.use("/api/study-plans", studyPlanRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -125,6 +151,18 @@ io.on("connection", (socket) => {
     socket.to(`user_${socket.userId}`).emit("progress_updated", data);
   });
 
+  // Learning viewer: one open file per socket, so edits on disk can be pushed to it
+  socket.on("content_open", (data) => {
+    if (socket.contentPath) socket.leave(realtime.contentRoom(socket.contentPath));
+    socket.contentPath = typeof data?.contentPath === "string" ? normalizeContentPath(data.contentPath) : null;
+    if (socket.contentPath) socket.join(realtime.contentRoom(socket.contentPath));
+  });
+
+  socket.on("content_close", () => {
+    if (socket.contentPath) socket.leave(realtime.contentRoom(socket.contentPath));
+    socket.contentPath = null;
+  });
+
   socket.on("disconnect", () => {
     console.log(`❌ User ${socket.userId} disconnected`);
   });
@@ -149,11 +187,19 @@ server.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📊 Dashboard available at http://localhost:${PORT}`);
   console.log(`🔗 API endpoints available at http://localhost:${PORT}/api`);
+
+  // Index learning content for search, then keep caches, the index and open viewers fresh as files change
+  searchIndex
+    .build()
+    .then(() => contentWatcher.startContentWatcher())
+    .catch((error) => console.error("❌ Error building search index:", error));
 });
 
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received, shutting down gracefully");
+  scheduler.stopScheduler();
+  contentWatcher.stopContentWatcher();
   server.close(() => {
     console.log("Process terminated");
     mongoose.connection.close(false, () => {
@@ -0,0 +1,200 @@
+const User = require("../models/User");
+const Goal = require("../models/Goal");
+const { Topic, UserProgress } = require("../models/Topic");
+const { emitToUser } = require("./realtime");
+
+// Events that cause achievement rules to be evaluated
+const ACHIEVEMENT_EVENTS = {
+  SESSION_COMPLETED: "session-completed",
+  TOPIC_PROGRESS: "topic-progress",
+  GOAL_COMPLETED: "goal-completed",
+};
+
+const DSA_HARD_PATTERN = /(^|\/)dsa\/03-hard\//;
+
+// Metrics the rules are written against. Each is computed at most once per evaluation.
+const METRICS = {
+  totalSessions: ({ user }) => user.statistics.totalSessions,
+  currentStreak: ({ user }) => user.statistics.currentStreak,
+  totalStudyHours: ({ user }) => user.statistics.totalStudyHours,
+  completedGoals: ({ user }) => Goal.countDocuments({ userId: user._id, status: "completed" }),
+  completedTopics: ({ user }) => UserProgress.countDocuments({ userId: user._id, status: "completed" }),
+
+  // Categories in which the user has completed every active topic
+  completedCategories: async ({ user }) => {
+    const [available, completed] = await Promise.all([
+      Topic.aggregate([{ $match: { isActive: true } }, { $group: { _id: "$category", total: { $sum: 1 } } }]),
+      UserProgress.aggregate([
+        { $match: { userId: user._id, status: "completed" } },
+        { $lookup: { from: "topics", localField: "topicId", foreignField: "_id", as: "topic" } },
+        { $unwind: "$topic" },
+        { $match: { "topic.isActive": true } },
+        { $group: { _id: "$topic.category", completed: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const completedByCategory = completed.reduce((acc, c) => {
+      acc[c._id] = c.completed;
+      return acc;
+    }, {});
+
+    return available.filter((c) => c.total > 0 && completedByCategory[c._id] >= c.total).map((c) => c._id);
+  },
+
+  // Percentage of DSA resources under dsa/03-hard the user has marked as completed
+  dsaHardCompletion: async ({ user }) => {
+    const topics = await Topic.find({ category: "Data Structures & Algorithms", isActive: true }).select("resources").lean();
+    const hardResourceIds = topics.flatMap((topic) => topic.resources.filter((resource) => DSA_HARD_PATTERN.test(resource.contentPath || resource.url)).map((resource) => resource._id.toString()));
+
+    if (hardResourceIds.length === 0) return 0;
+
+    const progressList = await UserProgress.find({ userId: user._id, topicId: { $in: topics.map((t) => t._id) } })
+      .select("resourceProgress")
+      .lean();
+    const completedIds = new Set(progressList.flatMap((progress) => progress.resourceProgress.filter((r) => r.completed && r.resourceId).map((r) => r.resourceId.toString())));
+
+    const completedCount = hardResourceIds.filter((id) => completedIds.has(id)).length;
+    return Math.round((completedCount / hardResourceIds.length) * 100);
+  },
+};
+
+// Declarative achievement rules.
+// A rule unlocks once its metric reaches the threshold. Rules with `forEach` unlock once per
+// value returned by their metric, with "{key}" in the name and description replaced by that value.
+// `sessionType` records the award on the study session that triggered it.
+const ACHIEVEMENT_RULES = [
+  {
+    name: "First Session",
+    description: "Completed your first study session",
+    icon: "🎯",
+    events: [ACHIEVEMENT_EVENTS.SESSION_COMPLETED],
+    metric: "totalSessions",
+    threshold: 1,
+    points: 10,
+    sessionType: "milestone-completed",
+  },
+  ...[7, 30, 100].map((days) => ({
+    name: `${days}-Day Streak`,
+    description: `Studied ${days} days in a row`,
+    icon: "🔥",
+    events: [ACHIEVEMENT_EVENTS.SESSION_COMPLETED],
+    metric: "currentStreak",
+    threshold: days,
+    points: days * 5,
+    sessionType: "streak-extended",
+  })),
+  {
+    name: "Century of Study",
+    description: "Logged 100 hours of study time",
+    icon: "⏱️",
+    events: [ACHIEVEMENT_EVENTS.SESSION_COMPLETED],
+    metric: "totalStudyHours",
+    threshold: 100,
+    points: 250,
+    sessionType: "time-record",
+  },
+  {
+    name: "First Topic Completed",
+    description: "Completed your first topic",
+    icon: "📘",
+    events: [ACHIEVEMENT_EVENTS.TOPIC_PROGRESS],
+    metric: "completedTopics",
+    threshold: 1,
+    points: 25,
+  },
+  {
+    name: "{key} Master",
+    description: "Completed every topic in {key}",
+    icon: "🏅",
+    events: [ACHIEVEMENT_EVENTS.TOPIC_PROGRESS],
+    metric: "completedCategories",
+    forEach: true,
+    points: 200,
+  },
+  {
+    name: "DSA Hard Mode",
+    description: "Finished every hard DSA file",
+    icon: "🧠",
+    events: [ACHIEVEMENT_EVENTS.TOPIC_PROGRESS],
+    metric: "dsaHardCompletion",
+    threshold: 100,
+    points: 300,
+  },
+  {
+    name: "Goal Getter",
+    description: "Completed your first goal",
+    icon: "🏆",
+    events: [ACHIEVEMENT_EVENTS.GOAL_COMPLETED],
+    metric: "completedGoals",
+    threshold: 1,
+    points: 25,
+  },
+];
+
+const fillTemplate = (template, key) => (key === null ? template : template.replace(/\{key\}/g, key));
+
+// Evaluate the rules for an event and award anything newly unlocked.
+// Never throws: achievements must not break the request that triggered them.
+const evaluateAchievements = async (userId, event, { session = null } = {}) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) return [];
+
+    const rules = ACHIEVEMENT_RULES.filter((rule) => rule.events.includes(event));
+    const metricCache = {};
+    const getMetric = async (metric) => {
+      if (!(metric in metricCache)) {
+        metricCache[metric] = await METRICS[metric]({ user, session });
+      }
+      return metricCache[metric];
+    };
+
+    const unlocked = [];
+
+    for (const rule of rules) {
+      const value = await getMetric(rule.metric);
+      const keys = rule.forEach ? value : value >= rule.threshold ? [null] : [];
+
+      for (const key of keys) {
+        const achievement = {
+          name: fillTemplate(rule.name, key),
+          description: fillTemplate(rule.description, key),
+          icon: rule.icon,
+          unlockedAt: new Date(),
+        };
+
+        if (user.achievements.some((a) => a.name === achievement.name)) continue;
+
+        user.addAchievement(achievement);
+        unlocked.push({ ...achievement, points: rule.points, sessionType: rule.sessionType });
+      }
+    }
+
+    if (unlocked.length === 0) return [];
+
+    await user.save();
+
+    if (session) {
+      unlocked
+        .filter((a) => a.sessionType)
+        .forEach((a) => {
+          session.achievements.push({ type: a.sessionType, description: `${a.name}: ${a.description}`, points: a.points });
+        });
+      await session.save();
+    }
+
+    const awards = unlocked.map(({ sessionType, ...achievement }) => achievement);
+    awards.forEach((achievement) => emitToUser(userId, "achievement_unlocked", achievement));
+
+    return awards;
+  } catch (error) {
+    console.error("Error evaluating achievements:", error);
+    return [];
+  }
+};
+
+module.exports = {
+  ACHIEVEMENT_EVENTS,
+  ACHIEVEMENT_RULES,
+  evaluateAchievements,
+};
@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const StudySession = require("../models/StudySession");
+const Goal = require("../models/Goal");
+const { Topic } = require("../models/Topic");
+const { MIN_SESSION_MINUTES, MAX_PLAN_WEEKS } = require("./studyCalendar");
+const { RECURRENCE_FREQUENCIES, buildCalendar, parseCalendar, parseDuration, parseDateValue, expandOccurrences } = require("../utils/ics");
+const { resolveTimezone, getDateKey, addDays } = require("../utils/timezone");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const FEED_PAST_DAYS = 30;
+const MAX_IMPORT_SESSION_MINUTES = 480;
+const MAX_IMPORTED_SESSIONS = 500;
+const UID_DOMAIN = "sde2-study-tracker";
+const GOAL_FREQUENCIES = { daily: "DAILY", weekly: "WEEKLY", monthly: "MONTHLY" };
+
+const generateFeedToken = () => crypto.randomBytes(24).toString("hex");
+
+const toSessionEvent = (session) => ({
+  uid: `session-${session._id}@${UID_DOMAIN}`,
+  stamp: session.updatedAt,
+  start: session.startTime,
+  end: new Date(session.startTime.getTime() + session.plannedDuration * 60 * 1000),
+  summary: `Study: ${session.topicId?.title || "Study session"}`,
+  description: [session.calendar?.reason, session.notes].filter(Boolean).join("\n"),
+  status: "CONFIRMED",
+  categories: ["Study session"],
+});
+
+// An all-day event on the goal's end date in the user's timezone. Recurring goals repeat at
+// their recurrence pattern, up to its occurrence count or end date.
+const toGoalEvent = (goal, timezone) => {
+  const dateKey = getDateKey(goal.endDate, timezone);
+  const event = {
+    uid: `goal-${goal._id}@${UID_DOMAIN}`,
+    stamp: goal.updatedAt,
+    allDay: true,
+    start: dateKey,
+    end: addDays(dateKey, 1),
+    summary: `Goal due: ${goal.title}`,
+    description: [`Progress: ${goal.currentValue}/${goal.targetValue} ${goal.unit}`, goal.description].filter(Boolean).join("\n"),
+    categories: ["Goal"],
+  };
+
+  const pattern = goal.recurrencePattern;
+  if (goal.isRecurring && GOAL_FREQUENCIES[pattern?.frequency]) {
+    event.rrule = { freq: GOAL_FREQUENCIES[pattern.frequency], interval: pattern.interval || 1 };
+    if (pattern.endAfterOccurrences) event.rrule.count = Math.max(pattern.endAfterOccurrences - (goal.occurrence || 1) + 1, 1);
+    else if (pattern.endDate) event.rrule.until = getDateKey(pattern.endDate, timezone);
+  }
+
+  return event;
+};
+
+// The user's ICS feed: planned and active sessions from the last 30 days on, and the deadlines
+// of active and overdue goals. Sessions imported from a calendar are left out, since that
+// calendar already has them.
+const buildUserFeed = async (user, now = new Date()) => {
+  const timezone = resolveTimezone(user.profile?.timezone);
+
+  const sessions = await StudySession.find({ userId: user._id, status: { $in: ["planned", "active"] }, "calendar.source": { $ne: "import" }, startTime: { $gte: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS) } })
+    .populate("topicId", "title")
+    .sort({ startTime: 1 })
+    .lean();
+  const goals = await Goal.find({ userId: user._id, status: { $in: ["active", "overdue"] } })
+    .select("title description unit targetValue currentValue endDate isRecurring recurrencePattern occurrence updatedAt")
+    .sort({ endDate: 1 })
+    .lean();
+
+  return buildCalendar({
+    name: "SDE2 Study Tracker",
+    events: [...sessions.map(toSessionEvent), ...goals.map((goal) => toGoalEvent(goal, timezone))],
+  });
+};
+
+// Create planned sessions from the timed events of an ICS file that fall in the next eight
+// weeks, with recurring events expanded. Each session studies the topic whose title the event
+// summary names (the longest match), or `defaultTopicId`. Occurrences imported before, known by
+// event UID and start, are updated instead of added again. Imported sessions are kept when the
+// calendar is re-planned. Returns counts, and the events skipped or only partly imported with the reason.
+const importCalendarEvents = async (user, text, { defaultTopicId = null, dryRun = false, now = new Date() } = {}) => {
+  const timezone = resolveTimezone(user.profile?.timezone);
+  const until = new Date(now.getTime() + MAX_PLAN_WEEKS * 7 * DAY_MS);
+  const events = parseCalendar(text);
+  const topics = (await Topic.find({ isActive: true }).select("title").lean()).sort((a, b) => b.title.length - a.title.length);
+  const report = { events: events.length, sessionsCreated: 0, sessionsUpdated: 0, sessionsUnchanged: 0, skipped: [], warnings: [] };
+
+  const findTopicId = (summary) => {
+    const lower = (summary || "").toLowerCase();
+    return topics.find((topic) => lower.includes(topic.title.toLowerCase()))?._id || defaultTopicId;
+  };
+
+  const occurrences = [];
+  events.forEach((event) => {
+    const skip = (reason) => report.skipped.push({ summary: event.summary || event.uid || "Untitled event", reason });
+    const start = parseDateValue(event.start, timezone);
+
+    if (event.status === "CANCELLED") return skip("Cancelled");
+    if (!start) return skip("No start time");
+    if (start.allDay) return skip("All-day event");
+
+    const end = event.end ? parseDateValue(event.end, timezone) : null;
+    const minutes = end ? Math.round((end.date - start.date) / (60 * 1000)) : parseDuration(event.duration);
+    if (!minutes || minutes < MIN_SESSION_MINUTES || minutes > MAX_IMPORT_SESSION_MINUTES) return skip(`Length must be between ${MIN_SESSION_MINUTES} and ${MAX_IMPORT_SESSION_MINUTES} minutes`);
+
+    const topicId = findTopicId(event.summary);
+    if (!topicId) return skip("No topic matches its title");
+
+    const uid = event.uid || `${event.start.value}-${event.summary || ""}`;
+    const starts = expandOccurrences(event, { from: now, until, timeZone: timezone });
+    if (starts.length === 0) return skip(`Not in the next ${MAX_PLAN_WEEKS} weeks`);
+    if (event.rrule && !RECURRENCE_FREQUENCIES.includes(event.rrule.FREQ)) report.warnings.push({ summary: event.summary || uid, reason: `Only the first occurrence is imported (${event.rrule.FREQ} repeats are not supported)` });
+
+    starts.forEach((startTime) => occurrences.push({ uid, summary: event.summary || uid, startTime, minutes, topicId, reason: event.summary ? `Calendar: ${event.summary}` : "Calendar block" }));
+  });
+
+  const existing = await StudySession.find({ userId: user._id, "calendar.source": "import", "calendar.importUid": { $in: [...new Set(occurrences.map((occurrence) => occurrence.uid))] } });
+  const existingByKey = new Map(existing.map((session) => [`${session.calendar.importUid}|${session.calendar.originalStartTime?.getTime()}`, session]));
+  const created = [];
+
+  // Occurrences that would overlap another planned or running session are skipped, as
+  // adding such a session by hand is refused (sessions last at most eight hours)
+  const busy = (await StudySession.find({ userId: user._id, status: { $in: ["planned", "active", "paused"] }, startTime: { $gte: new Date(now.getTime() - MAX_IMPORT_SESSION_MINUTES * MINUTE_MS), $lt: until } }).select("startTime plannedDuration").lean()).map((session) => ({
+    sessionId: session._id,
+    start: session.startTime,
+    end: new Date(session.startTime.getTime() + session.plannedDuration * MINUTE_MS),
+  }));
+  const findOverlap = (start, minutes, sessionId = null) => {
+    const end = new Date(start.getTime() + minutes * MINUTE_MS);
+    return busy.find((interval) => !(sessionId && interval.sessionId?.equals(sessionId)) && interval.start < end && interval.end > start);
+  };
+  const skipOverlap = (occurrence) => report.skipped.push({ summary: occurrence.summary, startTime: occurrence.startTime, reason: "Overlaps another planned or running session" });
+
+  for (const occurrence of occurrences) {
+    const session = existingByKey.get(`${occurrence.uid}|${occurrence.startTime.getTime()}`);
+
+    if (!session) {
+      if (created.length >= MAX_IMPORTED_SESSIONS) {
+        report.skipped.push({ summary: occurrence.summary, reason: `Import is limited to ${MAX_IMPORTED_SESSIONS} sessions` });
+        break;
+      }
+      if (findOverlap(occurrence.startTime, occurrence.minutes)) {
+        skipOverlap(occurrence);
+        continue;
+      }
+      busy.push({ start: occurrence.startTime, end: new Date(occurrence.startTime.getTime() + occurrence.minutes * MINUTE_MS) });
+      created.push({
+        userId: user._id,
+        topicId: occurrence.topicId,
+        type: "focused",
+        plannedDuration: occurrence.minutes,
+        startTime: occurrence.startTime,
+        status: "planned",
+        calendar: { source: "import", importUid: occurrence.uid, reason: occurrence.reason, locked: true, originalStartTime: occurrence.startTime },
+      });
+      continue;
+    }
+
+    // Sessions already started or done stay as they are; planned ones take the event's length and topic
+    if (session.status !== "planned" || (session.plannedDuration === occurrence.minutes && session.topicId.equals(occurrence.topicId))) {
+      report.sessionsUnchanged += 1;
+      continue;
+    }
+
+    // Moved sessions keep their new start; only a longer event can make them overlap
+    if (session.plannedDuration !== occurrence.minutes && findOverlap(session.startTime, occurrence.minutes, session._id)) {
+      skipOverlap(occurrence);
+      continue;
+    }
+
+    session.plannedDuration = occurrence.minutes;
+    session.topicId = occurrence.topicId;
+    const interval = busy.find((entry) => entry.sessionId?.equals(session._id));
+    if (interval) interval.end = new Date(session.startTime.getTime() + session.plannedDuration * MINUTE_MS);
+    if (!dryRun) await session.save();
+    report.sessionsUpdated += 1;
+  }
+
+  report.sessionsCreated = created.length;
+  if (!dryRun && created.length > 0) await StudySession.insertMany(created);
+
+  return report;
+};
+
+module.exports = {
+  generateFeedToken,
+  buildUserFeed,
+  importCalendarEvents,
+};
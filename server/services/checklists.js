@@ -0,0 +1,136 @@
+const ChecklistProgress = require("../models/ChecklistProgress");
+const { Topic, UserProgress } = require("../models/Topic");
+const { extractTasks } = require("./markdown");
+const { getResourceContentPath, createMarkdownCache } = require("../utils/learningContent");
+
+// Task items per file, re-parsed only when the file's mtime changes
+const getFileTasks = createMarkdownCache(extractTasks);
+
+// Combine a file's task items with the user's saved state. Unsaved items keep
+// the state written in the file ("- [x]" starts checked).
+const summarize = (contentPath, tasks, stateMap = {}) => {
+  const items = tasks.map((task) => ({
+    id: task.id,
+    text: task.text,
+    checked: task.id in stateMap ? stateMap[task.id] : task.checked,
+  }));
+  const completed = items.filter((item) => item.checked).length;
+
+  return {
+    contentPath,
+    items,
+    completed,
+    total: items.length,
+    percentage: items.length === 0 ? 0 : Math.round((completed / items.length) * 100),
+  };
+};
+
+const getChecklist = async (userId, contentPath) => {
+  const tasks = await getFileTasks(contentPath);
+  if (!tasks) return null;
+
+  const progress = await ChecklistProgress.findOne({ user: userId, contentPath });
+  return summarize(contentPath, tasks, progress?.getStateMap());
+};
+
+// Recompute topic progress from the checklists of every file the topic links to.
+// Files without task items do not count. A file whose items are all checked marks
+// its resource as completed. Checklists only lower the progress they wrote themselves
+// and only un-complete the resources they completed, and leave completed topics alone.
+const syncTopicProgress = async (userId, contentPath) => {
+  const topics = await Topic.find({
+    isActive: true,
+    $or: [{ "resources.contentPath": contentPath }, { "resources.url": { $in: [`../learning/${contentPath}`, `/api/content/file/${contentPath}`] } }],
+  });
+  const updated = [];
+
+  for (const topic of topics) {
+    const resources = topic.resources.map((resource) => ({ resource, contentPath: getResourceContentPath(resource) })).filter((r) => r.contentPath);
+    const paths = resources.map((r) => r.contentPath);
+    const savedStates = await ChecklistProgress.find({ user: userId, contentPath: { $in: paths } });
+    const stateByPath = savedStates.reduce((acc, state) => {
+      acc[state.contentPath] = state.getStateMap();
+      return acc;
+    }, {});
+
+    let completed = 0;
+    let total = 0;
+    const fileSummaries = [];
+
+    for (const { resource, contentPath: filePath } of resources) {
+      const tasks = await getFileTasks(filePath);
+      if (!tasks || tasks.length === 0) continue;
+
+      const summary = summarize(filePath, tasks, stateByPath[filePath]);
+      completed += summary.completed;
+      total += summary.total;
+      fileSummaries.push({ resource, summary });
+    }
+
+    if (total === 0) continue;
+
+    let userProgress = await UserProgress.findOne({ userId, topicId: topic._id });
+    if (!userProgress) {
+      userProgress = new UserProgress({ userId, topicId: topic._id });
+    }
+
+    const progress = Math.round((completed / total) * 100);
+    const isTopicCompleted = userProgress.status === "completed";
+    const ownsProgress = userProgress.progress === (userProgress.checklistProgress ?? 0);
+    if (!isTopicCompleted && (ownsProgress || progress > userProgress.progress)) {
+      userProgress.updateProgress({
+        progress,
+        status: userProgress.status === "not-started" && progress > 0 ? "in-progress" : undefined,
+      });
+      userProgress.checklistProgress = progress;
+    }
+
+    fileSummaries.forEach(({ resource, summary }) => {
+      const isComplete = summary.completed === summary.total;
+      let resourceProgress = userProgress.resourceProgress.find((r) => r.resourceId?.equals(resource._id));
+
+      if (!resourceProgress) {
+        if (!isComplete) return;
+        userProgress.resourceProgress.push({ resourceId: resource._id });
+        resourceProgress = userProgress.resourceProgress[userProgress.resourceProgress.length - 1];
+      }
+
+      if (isComplete && !resourceProgress.completed) {
+        resourceProgress.completed = true;
+        resourceProgress.completedAt = new Date();
+        resourceProgress.completedByChecklist = true;
+      } else if (!isComplete && resourceProgress.completed && resourceProgress.completedByChecklist && !isTopicCompleted) {
+        resourceProgress.completed = false;
+        resourceProgress.completedAt = undefined;
+        resourceProgress.completedByChecklist = undefined;
+      }
+    });
+
+    await userProgress.save();
+    updated.push({ topicId: topic._id, title: topic.title, progress: userProgress.progress, status: userProgress.status });
+  }
+
+  return updated;
+};
+
+// Check or uncheck one item. Returns null when the file or item does not exist.
+const setItemState = async (userId, contentPath, itemId, checked) => {
+  const tasks = await getFileTasks(contentPath);
+  if (!tasks || !tasks.some((task) => task.id === itemId)) return null;
+
+  const progress = await ChecklistProgress.setItem(userId, contentPath, itemId, checked);
+
+  const topics = await syncTopicProgress(userId, contentPath);
+
+  return {
+    checklist: summarize(contentPath, tasks, progress.getStateMap()),
+    topics,
+  };
+};
+
+module.exports = {
+  getFileTasks,
+  getChecklist,
+  setItemState,
+  syncTopicProgress,
+};
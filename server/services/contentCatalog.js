@@ -0,0 +1,172 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { LEARNING_BASE_PATH, ROOT_LEARNING_PATH, listLearningPathFiles } = require("../utils/learningContent");
+const { getFrontMatter, getContentMetadata, compareByOrder } = require("./contentMetadata");
+const { isWatching, onContentChange } = require("./contentWatcher");
+
+// Listings of learning/ for the content API. Per-file metadata (front matter, word count,
+// preview) is cached by contentMetadata on mtime; whole listings are kept here until the
+// content watcher reports a change, and rebuilt on every call when it is not running.
+
+// Topic title mapping (comprehensive mapping for all learning folders)
+const TOPIC_TITLE_MAP = {
+  springBoot: "Spring Boot & Backend Development",
+  react: "React & Frontend Development",
+  databases: "Database Design & Management",
+  dsa: "Data Structures & Algorithms",
+  "system-design-interviews": "System Design & Architecture",
+  "security-authentication": "Security & Authentication",
+  "api-design-testing": "API Design & Testing",
+  "devops-infrastructure-sde2": "DevOps & Infrastructure",
+  "ai-ml-integration": "AI/ML Integration",
+  patterns: "Design Patterns & Architecture",
+  "frontend-advanced": "Advanced Frontend Development",
+  "go-learning": "Go Programming",
+  "diagrams-study": "Software Design Diagrams",
+  "linkedin-posts": "Professional Development",
+  "study-guides": "Study Guides & Resources",
+
+  // Additional learning content discovered
+  FOCUSED_ACTION_PLAN: "Focused Action Plans",
+  GOLANG_PARALLEL_LEARNING_PLAN: "Golang Parallel Learning",
+  MASTER_LEARNING_GUIDE: "Master Learning Guide",
+  QUICK_START_STUDY_PLANS: "Quick Start Study Plans",
+  SINGLE_OPTIMIZED_STUDY_PLAN: "Single Optimized Study Plan",
+  SOFTWARE_DESIGN_DIAGRAMS_COMPLETE: "Complete Software Design Diagrams",
+  STUDY_GUIDE_MASTER: "Master Study Guide",
+  STUDY_PLAN: "Comprehensive Study Plan",
+  WORKING_PROFESSIONAL_STUDY_PLAN: "Working Professional Study Plan",
+  README: "Learning Overview",
+};
+
+// Enhanced title generation function
+function generateTitle(dirName) {
+  // Check if we have a specific mapping
+  if (TOPIC_TITLE_MAP[dirName]) {
+    return TOPIC_TITLE_MAP[dirName];
+  }
+
+  // Handle special cases for markdown files in root
+  if (dirName.endsWith(".md")) {
+    return (
+      TOPIC_TITLE_MAP[dirName.replace(".md", "")] ||
+      dirName
+        .replace(".md", "")
+        .replace(/[-_]/g, " ")
+        .replace(/\b\w/g, (l) => l.toUpperCase())
+    );
+  }
+
+  // Dynamic generation for unmapped directories
+  return dirName
+    .replace(/[-_]/g, " ")
+    .replace(/\b\w/g, (l) => l.toUpperCase())
+    .replace(/\bSde2\b/g, "SDE2")
+    .replace(/\bApi\b/g, "API")
+    .replace(/\bMl\b/g, "ML")
+    .replace(/\bAi\b/g, "AI")
+    .replace(/\bDb\b/g, "Database")
+    .replace(/\bJs\b/g, "JavaScript")
+    .replace(/\bTs\b/g, "TypeScript");
+}
+
+// A folder's README front matter can name the topic; otherwise the title map is used
+async function getTopicTitle(topicKey) {
+  if (topicKey === ROOT_LEARNING_PATH) return "Study Guides & Plans";
+
+  const frontMatter = await getFrontMatter(`${topicKey}/README.md`);
+  return frontMatter?.title || generateTitle(topicKey);
+}
+
+// Weak validator for a listing, sent as its ETag
+const computeETag = (value) => `W/"${crypto.createHash("sha1").update(JSON.stringify(value)).digest("base64url")}"`;
+
+let listCache = null;
+const topicCache = new Map(); // learningPath -> { value, etag }
+
+onContentChange(() => {
+  listCache = null;
+  topicCache.clear();
+});
+
+// One file of a listing with its metadata (front matter first, heuristics as fallback)
+async function describeFile(file) {
+  const metadata = await getContentMetadata(file.contentPath);
+
+  return {
+    filename: file.filename,
+    title: metadata.title,
+    path: file.contentPath,
+    contentPath: file.contentPath,
+    directory: file.directory,
+    difficulty: metadata.difficulty,
+    tags: metadata.tags,
+    prerequisites: metadata.prerequisites,
+    order: metadata.order,
+    size: file.size,
+    lastModified: file.lastModified,
+    wordCount: metadata.wordCount,
+    estimatedMinutes: metadata.estimatedMinutes,
+    preview: metadata.preview,
+  };
+}
+
+async function buildTopicContent(learningPath) {
+  const files = listLearningPathFiles(learningPath);
+  if (!files) return null;
+
+  return {
+    topic: learningPath,
+    title: await getTopicTitle(learningPath),
+    files: (await Promise.all(files.map(describeFile))).sort(compareByOrder),
+  };
+}
+
+// Every learning path with its files, or null when learning/ is missing. Topic folders
+// without markdown files are left out. Returns { value, etag }.
+async function getContentList() {
+  if (listCache && isWatching()) return listCache;
+  if (!fs.existsSync(LEARNING_BASE_PATH)) return null;
+
+  const learningPaths = fs
+    .readdirSync(LEARNING_BASE_PATH, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) => dirent.name);
+
+  const structure = {};
+  for (const learningPath of [...learningPaths, ROOT_LEARNING_PATH]) {
+    // Previews are only sent with a single topic
+    const topicContent = (await getTopicContent(learningPath))?.value;
+    if (topicContent?.files.length > 0) structure[learningPath] = { title: topicContent.title, files: topicContent.files.map(({ preview, ...file }) => file) };
+  }
+
+  const value = {
+    structure,
+    totalTopics: Object.keys(structure).length,
+    totalFiles: Object.values(structure).reduce((sum, topic) => sum + topic.files.length, 0),
+  };
+
+  console.log(`📂 Content list built: ${value.totalTopics} topics, ${value.totalFiles} files`);
+  listCache = { value, etag: computeETag(value) };
+  return listCache;
+}
+
+// A learning path ("dsa", or "root-guides" for the top-level files) with its files, or null
+// for unknown paths. Returns { value, etag }.
+async function getTopicContent(learningPath) {
+  const cached = topicCache.get(learningPath);
+  if (cached && isWatching()) return cached;
+
+  const value = await buildTopicContent(learningPath);
+  if (!value) return null;
+
+  const entry = { value, etag: computeETag(value) };
+  topicCache.set(learningPath, entry);
+  return entry;
+}
+
+module.exports = {
+  getTopicTitle,
+  getContentList,
+  getTopicContent,
+};
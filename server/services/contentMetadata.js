@@ -0,0 +1,50 @@
+const { parseFrontMatter } = require("../utils/frontMatter");
+const { createMarkdownCache, getContentTitle } = require("../utils/learningContent");
+
+const WORDS_PER_MINUTE = 200;
+const PREVIEW_LENGTH = 200;
+
+// Front matter, word count and preview per file, re-read only when the file's mtime changes
+const getFileInfo = createMarkdownCache((content) => {
+  const { data, body, hasFrontMatter } = parseFrontMatter(content);
+  return {
+    frontMatter: data,
+    hasFrontMatter,
+    wordCount: body.split(/\s+/).length,
+    preview: body.substring(0, PREVIEW_LENGTH) + (body.length > PREVIEW_LENGTH ? "..." : ""),
+  };
+});
+
+// Only the fields a file's front matter declares, or null for unknown files
+const getFrontMatter = async (contentPath) => (await getFileInfo(contentPath))?.frontMatter || null;
+
+// Metadata for a learning file: front matter where present, otherwise the caller's
+// fallbacks or the usual heuristics (title from the filename, reading time from the word count)
+const getContentMetadata = async (contentPath, fallbacks = {}) => {
+  const info = await getFileInfo(contentPath);
+  if (!info) return null;
+
+  const { frontMatter, wordCount, preview } = info;
+  return {
+    contentPath,
+    title: frontMatter.title || fallbacks.title || getContentTitle(contentPath),
+    difficulty: frontMatter.difficulty || fallbacks.difficulty || null,
+    estimatedMinutes: frontMatter.estimatedMinutes || fallbacks.estimatedMinutes || Math.ceil(wordCount / WORDS_PER_MINUTE),
+    tags: frontMatter.tags || [],
+    prerequisites: frontMatter.prerequisites || [],
+    order: frontMatter.order ?? null,
+    wordCount,
+    preview,
+    hasFrontMatter: info.hasFrontMatter,
+  };
+};
+
+// Files with an order in their front matter come first (lowest first), the rest by path
+const compareByOrder = (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.contentPath.localeCompare(b.contentPath);
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  getFrontMatter,
+  getContentMetadata,
+  compareByOrder,
+};
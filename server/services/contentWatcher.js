@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const { LEARNING_BASE_PATH, invalidateMarkdownCaches } = require("../utils/learningContent");
+const { emitToContent, getOpenContentPaths } = require("./realtime");
+const searchIndex = require("./searchIndex");
+
+// Editors write a file in several steps; wait for them to settle before reloading
+const WATCH_DEBOUNCE_MS = 200;
+
+const watchers = new Map(); // Directory id ("" for learning/ itself) -> FSWatcher
+let watchEachDirectory = false;
+const pendingChanges = new Map();
+const changeListeners = [];
+
+// Run a callback with the changed path (relative to learning/) after each change is handled
+const onContentChange = (listener) => {
+  changeListeners.push(listener);
+};
+
+// Tell viewers that have a changed file open (see the content_open socket event in server.js).
+// Files under an existing directory report their own changes; a directory that is gone
+// takes its open files with it.
+const notifyViewers = (id, exists) => {
+  const change = exists ? "updated" : "deleted";
+  const contentPaths = id.endsWith(".md") ? [id] : exists ? [] : getOpenContentPaths().filter((contentPath) => contentPath.startsWith(`${id}/`));
+
+  contentPaths.forEach((contentPath) => emitToContent(contentPath, "content_changed", { contentPath, change, changedAt: new Date() }));
+};
+
+// Stop watching a directory and the directories under it
+const unwatchDirectory = (dirId) => {
+  watchers.forEach((dirWatcher, id) => {
+    if (id === dirId || id.startsWith(`${dirId}/`)) {
+      dirWatcher.close();
+      watchers.delete(id);
+    }
+  });
+};
+
+// Reload everything derived from a file (or directory) under learning/ after it changed on disk
+const handleChange = async (id) => {
+  const stats = await fs.promises.stat(path.join(LEARNING_BASE_PATH, id)).catch(() => null);
+
+  if (watchEachDirectory && watchers.size > 0) {
+    if (stats?.isDirectory()) {
+      try {
+        watchDirectory(id);
+      } catch (error) {
+        console.warn(`⚠️ Could not watch ${id}:`, error.message);
+      }
+    } else if (!stats) {
+      unwatchDirectory(id);
+    }
+  }
+
+  invalidateMarkdownCaches(id);
+  await searchIndex.refreshPath(id);
+  changeListeners.forEach((listener) => listener(id));
+  notifyViewers(id, Boolean(stats));
+};
+
+const scheduleChange = (id) => {
+  clearTimeout(pendingChanges.get(id));
+  pendingChanges.set(
+    id,
+    setTimeout(() => {
+      pendingChanges.delete(id);
+      handleChange(id).catch((error) => console.error(`Error reloading ${id}:`, error.message));
+    }, WATCH_DEBOUNCE_MS)
+  );
+};
+
+// Out of inotify watches, or learning/ removed: stop watching so listings are rebuilt instead of
+// served stale. A subdirectory that went away only takes its own watcher with it.
+const handleWatchError = (dirId, error) => {
+  if (dirId) {
+    unwatchDirectory(dirId);
+    return;
+  }
+  console.warn("⚠️ Stopped watching learning directory, content will not refresh:", error.message);
+  stopContentWatcher();
+};
+
+// Node before 20 cannot watch a directory tree on Linux, so there each directory gets a watcher
+const watchDirectory = (dirId) => {
+  if (watchers.has(dirId)) return;
+
+  const dirPath = path.join(LEARNING_BASE_PATH, dirId);
+  const dirWatcher = fs.watch(dirPath, (eventType, filename) => {
+    // A removed directory reports itself too; the watcher of its parent already has that change
+    if (!filename || !fs.existsSync(dirPath)) return;
+    scheduleChange(dirId ? `${dirId}/${filename}` : filename);
+  });
+  dirWatcher.on("error", (error) => handleWatchError(dirId, error));
+  watchers.set(dirId, dirWatcher);
+
+  fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach((entry) => watchDirectory(dirId ? `${dirId}/${entry.name}` : entry.name));
+};
+
+const startContentWatcher = () => {
+  if (watchers.size > 0 || !fs.existsSync(LEARNING_BASE_PATH)) return;
+
+  try {
+    try {
+      const treeWatcher = fs.watch(LEARNING_BASE_PATH, { recursive: true }, (eventType, filename) => {
+        if (filename) scheduleChange(filename.split(path.sep).join("/"));
+      });
+      treeWatcher.on("error", (error) => handleWatchError("", error));
+      watchers.set("", treeWatcher);
+    } catch (error) {
+      if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+      watchEachDirectory = true;
+      watchDirectory("");
+    }
+    console.log("👀 Watching learning directory for changes");
+  } catch (error) {
+    stopContentWatcher();
+    console.warn("⚠️ Could not watch learning directory, content will not refresh:", error.message);
+  }
+};
+
+const stopContentWatcher = () => {
+  watchers.forEach((dirWatcher) => dirWatcher.close());
+  watchers.clear();
+  pendingChanges.forEach((timer) => clearTimeout(timer));
+  pendingChanges.clear();
+};
+
+const isWatching = () => watchers.size > 0;
+
+module.exports = {
+  startContentWatcher,
+  stopContentWatcher,
+  isWatching,
+  onContentChange,
+};
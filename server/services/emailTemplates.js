@@ -0,0 +1,70 @@
+// Email bodies for user notifications. Each template returns { subject, text, html }.
+
+const APP_URL = process.env.CLIENT_URL || "http://localhost:5000";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const getDisplayName = (user) => user.profile?.firstName || user.username;
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Inter, Arial, sans-serif; background: #f5f7fb; padding: 24px; color: #1f2937;">
+    <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 24px;">
+      <h2 style="margin-top: 0; color: #667eea;">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="font-size: 12px; color: #6b7280; margin-top: 32px;">
+        You are receiving this because study reminders are enabled in your
+        <a href="${APP_URL}" style="color: #667eea;">SDE2 Study Tracker</a> settings.
+      </p>
+    </div>
+  </body>
+</html>`;
+
+// Reminder for an active goal, showing progress and days remaining
+const goalReminderTemplate = ({ user, goal, reminder }) => {
+  const progressPercentage = goal.targetValue === 0 ? 0 : Math.min(100, Math.round((goal.currentValue / goal.targetValue) * 100));
+  const daysRemaining = Math.max(0, Math.ceil((new Date(goal.endDate) - new Date()) / (1000 * 60 * 60 * 24)));
+  const remaining = Math.max(0, goal.targetValue - goal.currentValue);
+  const dueText = daysRemaining === 0 ? "due today" : `${daysRemaining} day${daysRemaining === 1 ? "" : "s"} remaining`;
+
+  const subject = `Reminder: ${goal.title} (${progressPercentage}% complete, ${dueText})`;
+
+  const text = [
+    `Hi ${getDisplayName(user)},`,
+    "",
+    reminder.message || `Here's where you stand on "${goal.title}".`,
+    "",
+    `Progress: ${goal.currentValue}/${goal.targetValue} ${goal.unit} (${progressPercentage}%)`,
+    `Still to go: ${remaining} ${goal.unit}`,
+    `Deadline: ${new Date(goal.endDate).toDateString()} (${dueText})`,
+    "",
+    `Keep going: ${APP_URL}`,
+  ].join("\n");
+
+  const html = layout(
+    goal.title,
+    `
+      <p>Hi ${escapeHtml(getDisplayName(user))},</p>
+      <p>${escapeHtml(reminder.message || `Here's where you stand on "${goal.title}".`)}</p>
+      <div style="background: #e5e7eb; border-radius: 999px; height: 12px; overflow: hidden;">
+        <div style="background: #667eea; height: 12px; width: ${progressPercentage}%;"></div>
+      </div>
+      <p><strong>${escapeHtml(goal.currentValue)}/${escapeHtml(goal.targetValue)} ${escapeHtml(goal.unit)}</strong> (${progressPercentage}%), ${escapeHtml(remaining)} ${escapeHtml(goal.unit)} still to go.</p>
+      <p>Deadline: <strong>${escapeHtml(new Date(goal.endDate).toDateString())}</strong> (${escapeHtml(dueText)})</p>
+      <p><a href="${APP_URL}" style="display: inline-block; background: #667eea; color: #ffffff; padding: 10px 18px; border-radius: 8px; text-decoration: none;">Open Study Tracker</a></p>
+    `
+  );
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  escapeHtml,
+  goalReminderTemplate,
+};
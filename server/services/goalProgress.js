@@ -0,0 +1,98 @@
+const Goal = require("../models/Goal");
+const User = require("../models/User");
+const { evaluateAchievements, ACHIEVEMENT_EVENTS } = require("./achievements");
+
+// Convert a number of minutes into a goal's unit. Hours are kept to two decimals.
+const convertMinutes = (minutes, unit) => {
+  if (unit === "hours") return Math.round((minutes / 60) * 100) / 100;
+  if (unit === "minutes") return minutes;
+  return null;
+};
+
+// Active goals whose window contains `date`, optionally narrowed to a topic via relatedTopics
+const findMatchingGoals = (userId, categories, date, topicId) => {
+  const query = {
+    userId,
+    status: "active",
+    category: { $in: categories },
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  };
+
+  // Goals without related topics count everything; goals with them only count those topics
+  query.$or = [{ relatedTopics: { $size: 0 } }, ...(topicId ? [{ relatedTopics: topicId }] : [])];
+
+  return Goal.find(query);
+};
+
+// Apply each goal's increment and collect the ones that changed or completed
+const applyUpdates = async (userId, goals, getUpdate) => {
+  const updated = [];
+  let completedAny = false;
+
+  for (const goal of goals) {
+    const update = getUpdate(goal);
+    if (!update) continue;
+
+    await goal.updateProgress(update.value, update.operation || "add");
+    updated.push(goal);
+    if (goal.status === "completed") completedAny = true;
+  }
+
+  const achievements = completedAny ? await evaluateAchievements(userId, ACHIEVEMENT_EVENTS.GOAL_COMPLETED) : [];
+
+  return { goals: updated, achievements };
+};
+
+// Credit a completed study session to the user's study-time, session and streak goals.
+// Never throws: goal tracking must not break completing the session.
+const applySessionToGoals = async (session) => {
+  try {
+    const studiedAt = session.startTime || session.endTime || new Date();
+    const goals = await findMatchingGoals(session.userId, ["study-time", "sessions-completed", "streak-maintenance"], studiedAt, session.topicId);
+    if (goals.length === 0) return { goals: [], achievements: [] };
+
+    const needsStreak = goals.some((goal) => goal.category === "streak-maintenance");
+    const user = needsStreak ? await User.findById(session.userId).select("statistics.currentStreak") : null;
+
+    return await applyUpdates(session.userId, goals, (goal) => {
+      if (goal.category === "study-time") {
+        const value = convertMinutes(session.actualDuration || 0, goal.unit);
+        return value ? { value } : null;
+      }
+
+      if (goal.category === "sessions-completed" && goal.unit === "sessions") {
+        return { value: 1 };
+      }
+
+      if (goal.category === "streak-maintenance" && goal.unit === "days" && user) {
+        const streak = user.statistics.currentStreak;
+        return streak !== goal.currentValue ? { value: streak, operation: "set" } : null;
+      }
+
+      return null;
+    });
+  } catch (error) {
+    console.error("Error applying session to goals:", error);
+    return { goals: [], achievements: [] };
+  }
+};
+
+// Count a newly completed topic towards the user's topics-completed goals.
+// Never throws: goal tracking must not break saving topic progress.
+const applyTopicCompletionToGoals = async (userId, topicId, completedAt = new Date()) => {
+  try {
+    const goals = await findMatchingGoals(userId, ["topics-completed"], completedAt, topicId);
+
+    return await applyUpdates(userId, goals, (goal) => (goal.unit === "topics" ? { value: 1 } : null));
+  } catch (error) {
+    console.error("Error applying topic completion to goals:", error);
+    return { goals: [], achievements: [] };
+  }
+};
+
+module.exports = {
+  convertMinutes,
+  applySessionToGoals,
+  applyTopicCompletionToGoals,
+};
@@ -0,0 +1,157 @@
+const LearningPath = require("../models/LearningPath");
+const User = require("../models/User");
+const { Topic, UserProgress } = require("../models/Topic");
+const { DIFFICULTY_RANK, loadTopicGraph, getLearningOrder } = require("./topicGraph");
+
+// Topic categories each target role (User.profile.targetRole) focuses on, most important first
+const ROLE_TRACKS = {
+  "Software Engineer": ["Data Structures & Algorithms", "Backend Development", "Database Design", "API Design & Testing", "Frontend Development", "Testing & QA", "Version Control"],
+  "Senior Engineer": ["Data Structures & Algorithms", "System Design", "Backend Development", "Database Design", "Security & Authentication", "Design Patterns", "DevOps & Infrastructure"],
+  "Principal Engineer": ["System Design", "Software Architecture", "Design Patterns", "Performance Optimization", "Cloud Computing", "Security & Authentication", "DevOps & Infrastructure"],
+  "Tech Lead": ["System Design", "Design Patterns", "Software Architecture", "API Design & Testing", "Security & Authentication", "DevOps & Infrastructure", "Soft Skills"],
+  "Engineering Manager": ["Soft Skills", "System Design", "Software Architecture", "DevOps & Infrastructure", "Interview Preparation"],
+};
+
+// Topic difficulties a track picks for each experience level. Easier or harder topics still
+// join the path when a picked topic needs them as a prerequisite.
+const LEVEL_DIFFICULTIES = {
+  Beginner: ["Beginner", "Intermediate"],
+  Intermediate: ["Beginner", "Intermediate", "Advanced"],
+  Advanced: ["Intermediate", "Advanced"],
+};
+
+// Paths stop adding topics once they would run past this many weeks
+const DEFAULT_MAX_WEEKS = 26;
+
+// Steps for one topic: its required resources (all of them when none is required), or the
+// topic itself when it has no resources
+const buildTopicSteps = (topic) => {
+  const required = topic.resources.filter((resource) => resource.isRequired);
+  const resources = required.length > 0 ? required : topic.resources;
+
+  if (resources.length === 0) {
+    return [{ type: "topic", topicId: topic._id, title: topic.title, estimatedMinutes: Math.round(topic.estimatedHours * 60) }];
+  }
+
+  return resources.map((resource) => ({
+    type: "resource",
+    topicId: topic._id,
+    resourceId: resource._id,
+    contentPath: resource.contentPath,
+    title: `${topic.title}: ${resource.title}`,
+    estimatedMinutes: resource.duration || Math.round((topic.estimatedHours * 60) / resources.length),
+  }));
+};
+
+// Build (but do not save) a learning path for a user. The target role picks the topic
+// categories, the experience level the difficulties, and completed topics are left out.
+// Topics follow their prerequisites; steps are planned into weeks of `weeklyHours`.
+const generateLearningPath = async (userId, options = {}) => {
+  const user = await User.findById(userId).select("profile.targetRole profile.experienceLevel settings.weeklyGoalHours");
+  const targetRole = options.targetRole || user.profile.targetRole;
+  const experienceLevel = options.experienceLevel || user.profile.experienceLevel;
+  const weeklyHours = options.weeklyHours || user.settings.weeklyGoalHours;
+  const maxWeeks = options.maxWeeks || DEFAULT_MAX_WEEKS;
+  const track = ROLE_TRACKS[targetRole];
+
+  const graph = await loadTopicGraph();
+  const progresses = await UserProgress.find({ userId, topicId: { $in: [...graph.keys()] } })
+    .select("topicId status resourceProgress")
+    .lean();
+  const progressByTopic = new Map(progresses.map((progress) => [progress.topicId.toString(), progress]));
+  const isCompleted = (id) => progressByTopic.get(id)?.status === "completed";
+
+  // Track topics for this level, plus every prerequisite they still need
+  const picked = new Set();
+  const pick = (id) => {
+    if (picked.has(id) || isCompleted(id)) return;
+    picked.add(id);
+    graph.get(id).prerequisites.forEach(pick);
+  };
+  graph.forEach((node, id) => {
+    if (track.includes(node.category) && LEVEL_DIFFICULTIES[experienceLevel].includes(node.difficulty)) pick(id);
+  });
+
+  // Completed prerequisites are already satisfied
+  const subgraph = new Map([...picked].map((id) => [id, { ...graph.get(id), prerequisites: graph.get(id).prerequisites.filter((prerequisiteId) => picked.has(prerequisiteId)) }]));
+  const trackRank = (id) => (track.includes(subgraph.get(id).category) ? track.indexOf(subgraph.get(id).category) : track.length);
+  const { order } = getLearningOrder(subgraph, (a, b) => trackRank(a) - trackRank(b) || (DIFFICULTY_RANK[subgraph.get(a).difficulty] || 2) - (DIFFICULTY_RANK[subgraph.get(b).difficulty] || 2) || subgraph.get(a).title.localeCompare(subgraph.get(b).title));
+
+  const topics = await Topic.find({ _id: { $in: order } }).select("title estimatedHours resources");
+  const topicsById = new Map(topics.map((topic) => [topic._id.toString(), topic]));
+
+  // Plan steps into weeks; stop at the first topic that would start after maxWeeks
+  const weeklyMinutes = weeklyHours * 60;
+  const steps = [];
+  let plannedMinutes = 0;
+
+  for (const id of order) {
+    if (plannedMinutes >= maxWeeks * weeklyMinutes) break;
+
+    const completedResources = new Set((progressByTopic.get(id)?.resourceProgress || []).filter((resource) => resource.completed).map((resource) => String(resource.resourceId)));
+
+    buildTopicSteps(topicsById.get(id)).forEach((step) => {
+      const completed = step.resourceId ? completedResources.has(step.resourceId.toString()) : false;
+      steps.push({ ...step, order: steps.length + 1, week: Math.floor(plannedMinutes / weeklyMinutes) + 1, completed, completedAt: completed ? new Date() : undefined });
+      if (!completed) plannedMinutes += step.estimatedMinutes;
+    });
+  }
+
+  const topicCount = new Set(steps.map((step) => step.topicId.toString())).size;
+  const estimatedWeeks = Math.ceil(plannedMinutes / weeklyMinutes);
+
+  return new LearningPath({
+    userId,
+    title: `${targetRole} path`,
+    description: `${topicCount} topics over about ${estimatedWeeks} weeks at ${weeklyHours}h a week, focused on ${track.slice(0, 3).join(", ")}`,
+    targetRole,
+    experienceLevel,
+    weeklyHours,
+    steps,
+    estimatedWeeks,
+  });
+};
+
+// Complete the steps the user has finished elsewhere: resources marked complete in their
+// topic progress, and every step of a completed topic. Steps are never un-completed here.
+// Returns whether anything changed (the path is not saved).
+const syncPathProgress = async (path) => {
+  const topicIds = [...new Set(path.steps.map((step) => step.topicId.toString()))];
+  const progresses = await UserProgress.find({ userId: path.userId, topicId: { $in: topicIds } })
+    .select("topicId status resourceProgress")
+    .lean();
+  const progressByTopic = new Map(progresses.map((progress) => [progress.topicId.toString(), progress]));
+
+  let changed = false;
+  path.steps
+    .filter((step) => !step.completed)
+    .forEach((step) => {
+      const progress = progressByTopic.get(step.topicId.toString());
+      const resourceDone = step.resourceId && progress?.resourceProgress.some((resource) => resource.completed && String(resource.resourceId) === step.resourceId.toString());
+
+      if (progress?.status === "completed" || resourceDone) {
+        path.setStepCompleted(step, true);
+        changed = true;
+      }
+    });
+
+  return changed;
+};
+
+// Make a path the user's active one; any other active path is paused
+const enrollInPath = async (path) => {
+  await LearningPath.updateMany({ userId: path.userId, status: "active", _id: { $ne: path._id } }, { status: "paused" });
+
+  path.status = "active";
+  if (!path.enrolledAt) path.enrolledAt = new Date();
+  await syncPathProgress(path);
+  return path.save();
+};
+
+module.exports = {
+  ROLE_TRACKS,
+  LEVEL_DIFFICULTIES,
+  generateLearningPath,
+  syncPathProgress,
+  enrollInPath,
+};
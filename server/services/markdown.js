@@ -0,0 +1,187 @@
+const MarkdownIt = require("markdown-it");
+const markdownItAnchor = require("markdown-it-anchor");
+const markdownItFootnote = require("markdown-it-footnote");
+const markdownItTaskLists = require("markdown-it-task-lists");
+const sanitizeHtml = require("sanitize-html");
+const hljs = require("highlight.js");
+const { parseFrontMatter } = require("../utils/frontMatter");
+
+// CommonMark + GFM rendering for learning content. Raw HTML in the source is allowed
+// through markdown-it and then sanitized, so the viewer can insert the result directly.
+
+// GitHub-style heading slugs: lowercase, punctuation and emoji dropped, spaces to hyphens
+const slugify = (text) =>
+  text
+    .trim()
+    .toLowerCase()
+    .replace(/<[^>]*>/g, "")
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+
+const md = new MarkdownIt({ html: true, linkify: true })
+  .use(markdownItFootnote)
+  .use(markdownItTaskLists, { label: true })
+  .use(markdownItAnchor, {
+    slugify,
+    permalink: markdownItAnchor.permalink.linkInsideHeader({
+      symbol: "#",
+      placement: "after",
+      class: "heading-anchor",
+      ariaHidden: true,
+    }),
+  });
+
+// Highlight a code block with highlight.js when the fence names a language it knows
+const highlightCode = (code, language) => {
+  if (!language || !hljs.getLanguage(language)) return md.utils.escapeHtml(code);
+
+  try {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  } catch (error) {
+    return md.utils.escapeHtml(code);
+  }
+};
+
+// Keep the class names the viewer stylesheet already targets. Mermaid blocks are left as
+// plain source for the diagram renderer; other blocks carry their language and line count
+// so the viewer can add a header with copy and collapse controls.
+md.renderer.rules.fence = (tokens, idx) => {
+  const token = tokens[idx];
+  const language = token.info.trim().split(/\s+/)[0].toLowerCase();
+  const escapedLanguage = md.utils.escapeHtml(language);
+
+  if (language === "mermaid") {
+    return `<pre class="code-block"><code class="language-mermaid">${md.utils.escapeHtml(token.content)}</code></pre>\n`;
+  }
+
+  const lineCount = token.content.replace(/\n$/, "").split("\n").length;
+  const languageAttr = language ? ` data-language="${escapedLanguage}"` : "";
+  const codeClass = language ? `hljs language-${escapedLanguage}` : "hljs";
+
+  return `<pre class="code-block"${languageAttr} data-lines="${lineCount}"><code class="${codeClass}">${highlightCode(token.content, language)}</code></pre>\n`;
+};
+
+md.renderer.rules.code_inline = (tokens, idx) => `<code class="inline-code">${md.utils.escapeHtml(tokens[idx].content)}</code>`;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "h1", "h2", "del", "s", "ins", "input", "label", "details", "summary", "section", "sup", "sub", "kbd"],
+  allowedAttributes: {
+    "*": ["id", "class", "title", "aria-hidden"],
+    a: ["href", "name", "target", "rel"],
+    img: ["src", "alt", "width", "height", "loading"],
+    input: ["type", "checked", "disabled", "data-task-id"],
+    label: ["for"],
+    ol: ["start"],
+    pre: ["data-language", "data-lines"],
+    td: ["style", "colspan", "rowspan"],
+    th: ["style", "colspan", "rowspan"],
+    details: ["open"],
+  },
+  allowedStyles: {
+    td: { "text-align": [/^(left|right|center)$/] },
+    th: { "text-align": [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    // External links open in a new tab; in-page anchors (headings, footnotes) stay put
+    a: (tagName, attribs) => {
+      if (attribs.href && /^https?:\/\//i.test(attribs.href)) {
+        return { tagName, attribs: { ...attribs, target: "_blank", rel: "noopener noreferrer" } };
+      }
+      return { tagName, attribs };
+    },
+    img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, loading: "lazy" } }),
+    // Only checkboxes are rendered. Task-list items stay clickable; any other input is disabled.
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: {
+        type: "checkbox",
+        ...(attribs["data-task-id"] ? { "data-task-id": attribs["data-task-id"] } : { disabled: "" }),
+        ...(attribs.checked !== undefined ? { checked: "" } : {}),
+        ...(attribs.id ? { id: attribs.id } : {}),
+        ...(attribs.class ? { class: attribs.class } : {}),
+      },
+    }),
+  },
+};
+
+const sanitize = (html) => sanitizeHtml(html, SANITIZE_OPTIONS);
+
+const inlineText = (children) =>
+  children
+    .filter((child) => child.type === "text" || child.type === "code_inline")
+    .map((child) => child.content)
+    .join("")
+    .trim();
+
+// Give every task-list checkbox a stable id derived from its text, so checked state can be
+// stored per item. Repeated texts get -2, -3, ... in document order.
+const assignTaskIds = (tokens) => {
+  const tasks = [];
+  const seen = {};
+
+  tokens
+    .filter((token) => token.type === "inline")
+    .forEach((token) => {
+      const checkbox = token.children.find((child) => child.type === "html_inline" && child.content.includes("task-list-item-checkbox"));
+      if (!checkbox) return;
+
+      const text = inlineText(token.children);
+      const base = slugify(text).slice(0, 80) || "task";
+      seen[base] = (seen[base] || 0) + 1;
+      const id = seen[base] === 1 ? base : `${base}-${seen[base]}`;
+      const checked = checkbox.content.includes("checked");
+
+      checkbox.content = `<input class="task-list-item-checkbox" type="checkbox" data-task-id="${id}"${checked ? ' checked=""' : ""}>`;
+      tasks.push({ id, text, checked });
+    });
+
+  return tasks;
+};
+
+const collectHeadings = (tokens) =>
+  tokens
+    .map((token, index) => ({ token, index }))
+    .filter(({ token }) => token.type === "heading_open")
+    .map(({ token, index }) => ({
+      level: Number(token.tag.slice(1)),
+      text: inlineText(tokens[index + 1].children),
+      id: token.attrGet("id"),
+    }));
+
+// Front matter is metadata, not part of the document
+const parseBody = (content, env = {}) => md.parse(parseFrontMatter(content).body, env);
+
+// Notes are markdown too, but written by the user: raw HTML is escaped rather than passed on,
+// and headings get no anchors, so a note cannot reuse the ids of the file it sits next to
+const noteMd = new MarkdownIt({ html: false, linkify: true }).use(markdownItTaskLists);
+
+const renderNoteMarkdown = (body) => sanitize(noteMd.render(body || ""));
+
+// Task-list items of a markdown file, without rendering it
+const extractTasks = (content) => assignTaskIds(parseBody(content));
+
+// Headings of a markdown file with the same anchor ids the rendered HTML uses
+const extractHeadings = (content) => collectHeadings(parseBody(content));
+
+// Render markdown to sanitized HTML and list its headings (with their anchor ids) and task items
+const renderMarkdown = (content) => {
+  const env = {};
+  const tokens = parseBody(content, env);
+  const tasks = assignTaskIds(tokens);
+
+  return {
+    html: sanitize(md.renderer.render(tokens, md.options, env)),
+    headings: collectHeadings(tokens),
+    tasks,
+  };
+};
+
+module.exports = {
+  renderMarkdown,
+  renderNoteMarkdown,
+  extractTasks,
+  extractHeadings,
+  sanitize,
+  slugify,
+};
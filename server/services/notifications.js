@@ -0,0 +1,137 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const Goal = require("../models/Goal");
+const { resolveTimezone, getZonedParts, getDateKey, addDays } = require("../utils/timezone");
+const { goalReminderTemplate } = require("./emailTemplates");
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Reminders are checked every few minutes; one is sent if its time passed within this window
+const REMINDER_WINDOW_MINUTES = 30;
+
+let transporter = null;
+
+// MAIL_TRANSPORT selects where mail goes:
+//   smtp (default) - SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS, e.g. a local MailHog on port 1025
+//   json           - nothing is sent, messages are logged as JSON
+//   file           - messages are written as .eml files to MAIL_OUTPUT_DIR
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  const mode = process.env.MAIL_TRANSPORT || "smtp";
+
+  if (mode === "json") {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else if (mode === "file") {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  } else {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT || "1025"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+
+  return transporter;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const mode = process.env.MAIL_TRANSPORT || "smtp";
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || "SDE2 Study Tracker <no-reply@sde2-study-tracker.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (mode === "json") {
+    console.log("📧 Email (json transport):", info.message);
+  } else if (mode === "file") {
+    const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), "sde2-study-tracker-mail"));
+    fs.mkdirSync(outputDir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, "")}.eml`;
+    fs.writeFileSync(path.join(outputDir, fileName), info.message);
+  }
+
+  return info;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether a reminder should go out at `now`, judged on the user's local clock. The window may
+// run past midnight: a 23:55 reminder is still due at 00:10, for the day before.
+const isReminderDue = (reminder, goal, timezone, now) => {
+  if (!reminder.isEnabled || !reminder.time) return false;
+
+  const local = getZonedParts(now, timezone);
+  const clockMinutes = local.hour * 60 + local.minute;
+  const minutesLate = (clockMinutes - toMinutes(reminder.time) + 24 * 60) % (24 * 60);
+  if (minutesLate > REMINDER_WINDOW_MINUTES) return false;
+
+  const today = getDateKey(now, timezone);
+  const dueDay = clockMinutes < toMinutes(reminder.time) ? addDays(today, -1) : today;
+  const weekday = WEEKDAYS[new Date(`${dueDay}T00:00:00Z`).getUTCDay()];
+
+  if (reminder.type === "weekly" && weekday !== WEEKDAYS[new Date(`${getDateKey(goal.startDate, timezone)}T00:00:00Z`).getUTCDay()]) {
+    return false;
+  }
+
+  if (reminder.type === "custom" && reminder.daysOfWeek?.length > 0 && !reminder.daysOfWeek.includes(weekday)) {
+    return false;
+  }
+
+  // One email per due time: skip it when one went out since the reminder came due
+  const dueAt = new Date(now.getTime() - (minutesLate * 60 + local.second) * 1000);
+  return !reminder.lastSentAt || reminder.lastSentAt < dueAt;
+};
+
+// Send every goal reminder that is due. Used by the scheduler.
+const sendGoalReminders = async (now = new Date()) => {
+  let remindersSent = 0;
+  let failures = 0;
+
+  const goals = await Goal.find({
+    status: "active",
+    endDate: { $gte: now },
+    reminders: { $elemMatch: { isEnabled: true, time: { $exists: true } } },
+  }).populate("userId", "username email profile settings isActive");
+
+  for (const goal of goals) {
+    const user = goal.userId;
+
+    if (!user || !user.isActive || user.settings?.studyReminders === false || user.settings?.emailNotifications === false) {
+      continue;
+    }
+
+    const timezone = resolveTimezone(user.profile?.timezone);
+
+    for (const reminder of goal.reminders) {
+      if (!isReminderDue(reminder, goal, timezone, now)) continue;
+
+      try {
+        await sendMail({ to: user.email, ...goalReminderTemplate({ user, goal, reminder }) });
+        remindersSent += 1;
+        // Recorded right after each send, so a later failure cannot cause it to go out again
+        await Goal.updateOne({ _id: goal._id, "reminders._id": reminder._id }, { $set: { "reminders.$.lastSentAt": now } });
+      } catch (error) {
+        console.error(`❌ Failed to send reminder for goal ${goal._id}:`, error.message);
+        failures += 1;
+      }
+    }
+  }
+
+  return { goalsChecked: goals.length, remindersSent, failures };
+};
+
+module.exports = {
+  sendMail,
+  sendGoalReminders,
+  isReminderDue,
+};
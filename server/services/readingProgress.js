@@ -0,0 +1,59 @@
+const ReadingProgress = require("../models/ReadingProgress");
+const { extractHeadings } = require("./markdown");
+const { createMarkdownCache } = require("../utils/learningContent");
+
+// Headings down to this level are sections: they appear in the viewer's table of
+// contents and are tracked as read individually
+const SECTION_MAX_LEVEL = 3;
+
+const getFileSections = createMarkdownCache((content) => extractHeadings(content).filter((heading) => heading.level <= SECTION_MAX_LEVEL));
+
+const summarize = (contentPath, sections, progress) => {
+  const readIds = progress ? progress.getReadSectionIds() : new Set();
+  const items = sections.map((section) => ({ ...section, read: readIds.has(section.id) }));
+  const completed = items.filter((item) => item.read).length;
+  // A heading that no longer exists (file edited) is not a place to resume from
+  const lastSectionId = sections.some((section) => section.id === progress?.lastSectionId) ? progress.lastSectionId : null;
+
+  return {
+    contentPath,
+    sections: items,
+    lastSectionId,
+    lastReadAt: progress?.lastReadAt || null,
+    completed,
+    total: items.length,
+    percentage: items.length === 0 ? 0 : Math.round((completed / items.length) * 100),
+  };
+};
+
+const getReadingProgress = async (userId, contentPath) => {
+  const sections = await getFileSections(contentPath);
+  if (!sections) return null;
+
+  const progress = await ReadingProgress.findOne({ user: userId, contentPath });
+  return summarize(contentPath, sections, progress);
+};
+
+// Record newly read sections and the section the reader is currently in.
+// Ids that are not headings of the file are ignored.
+const updateReadingProgress = async (userId, contentPath, { readSectionIds = [], currentSectionId = null }) => {
+  const sections = await getFileSections(contentPath);
+  if (!sections) return null;
+
+  const knownIds = new Set(sections.map((section) => section.id));
+  const progress = await ReadingProgress.recordReading(
+    userId,
+    contentPath,
+    readSectionIds.filter((sectionId) => knownIds.has(sectionId)),
+    knownIds.has(currentSectionId) ? currentSectionId : null
+  );
+
+  return summarize(contentPath, sections, progress);
+};
+
+module.exports = {
+  SECTION_MAX_LEVEL,
+  getFileSections,
+  getReadingProgress,
+  updateReadingProgress,
+};
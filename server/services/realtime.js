@@ -0,0 +1,38 @@
+// Holds the Socket.IO server so routes and services can push events to users
+let io = null;
+
+const setIO = (instance) => {
+  io = instance;
+};
+
+const getIO = () => io;
+
+// Emit an event to every socket the user has open (see the user_<id> room in server.js)
+const emitToUser = (userId, event, data) => {
+  if (!io || !userId) return;
+  io.to(`user_${userId}`).emit(event, data);
+};
+
+// Sockets viewing a learning file join a room named after its content path
+const contentRoom = (contentPath) => `content:${contentPath}`;
+
+// Emit an event to every socket that has the learning file open
+const emitToContent = (contentPath, event, data) => {
+  if (!io || !contentPath) return;
+  io.to(contentRoom(contentPath)).emit(event, data);
+};
+
+// Content paths that at least one socket currently has open
+const getOpenContentPaths = () => {
+  if (!io) return [];
+  return [...io.sockets.adapter.rooms.keys()].filter((room) => room.startsWith("content:")).map((room) => room.slice("content:".length));
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  emitToUser,
+  contentRoom,
+  emitToContent,
+  getOpenContentPaths,
+};
@@ -0,0 +1,150 @@
+const os = require("os");
+const cron = require("node-cron");
+const Goal = require("../models/Goal");
+const User = require("../models/User");
+const StudySession = require("../models/StudySession");
+const JobRun = require("../models/JobRun");
+const JobLock = require("../models/JobLock");
+const { sendGoalReminders } = require("./notifications");
+const { rescheduleMissedSessions } = require("./studyCalendar");
+
+// Identifies this process when several server instances share one database
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Recompute every studying user's streaks so they decay after a missed day
+const recomputeStreaks = async () => {
+  let usersChecked = 0;
+  let usersUpdated = 0;
+
+  const cursor = User.find({ isActive: true, "statistics.lastStudyDate": { $ne: null } })
+    .select("profile.timezone statistics.currentStreak statistics.longestStreak")
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    usersChecked += 1;
+    const streaks = await StudySession.getStudyStreaks(user._id, user.profile?.timezone);
+
+    if (streaks.current !== user.statistics.currentStreak || streaks.longest !== user.statistics.longestStreak) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            "statistics.currentStreak": streaks.current,
+            "statistics.longestStreak": streaks.longest,
+          },
+        }
+      );
+      usersUpdated += 1;
+    }
+  }
+
+  return { usersChecked, usersUpdated };
+};
+
+// Job definitions. `schedule` is a node-cron expression in the server's timezone.
+const JOBS = {
+  "update-overdue-goals": {
+    description: "Mark active goals past their end date as overdue",
+    schedule: "*/15 * * * *",
+    handler: async () => ({ goalsMarkedOverdue: await Goal.updateOverdueGoals() }),
+  },
+  "create-recurring-goals": {
+    description: "Create the next occurrence of completed recurring goals",
+    schedule: "5 * * * *",
+    handler: async () => ({ goalsCreated: await Goal.createRecurringGoals() }),
+  },
+  "send-goal-reminders": {
+    description: "Email goal reminders that are due in each user's timezone",
+    schedule: "*/5 * * * *",
+    handler: () => sendGoalReminders(),
+  },
+  "recompute-streaks": {
+    description: "Recalculate current and longest study streaks for every user",
+    schedule: "30 2 * * *",
+    lockTtlMs: 60 * 60 * 1000,
+    handler: recomputeStreaks,
+  },
+  "reschedule-missed-sessions": {
+    description: "Move missed calendar sessions to each user's next free study window",
+    schedule: "*/15 * * * *",
+    handler: () => rescheduleMissedSessions(),
+  },
+};
+
+const scheduledTasks = new Map();
+
+// Run a job under its lock and record the outcome in the job history.
+// Resolves to null when another instance is already running the job.
+const runJob = async (jobName, { trigger = "schedule", triggeredBy = null } = {}) => {
+  const job = JOBS[jobName];
+  if (!job) {
+    throw new Error(`Unknown job: ${jobName}`);
+  }
+
+  const lockToken = await JobLock.acquire(jobName, INSTANCE_ID, job.lockTtlMs || DEFAULT_LOCK_TTL_MS);
+  if (!lockToken) {
+    return null;
+  }
+
+  const run = await JobRun.create({ jobName, trigger, triggeredBy, instanceId: INSTANCE_ID });
+
+  try {
+    const result = await job.handler();
+    await run.finish("succeeded", { result });
+  } catch (error) {
+    console.error(`❌ Job ${jobName} failed:`, error);
+    await run.finish("failed", { error: error.message });
+  } finally {
+    await JobLock.release(jobName, lockToken);
+  }
+
+  return run;
+};
+
+// Describe every job together with its most recent run
+const listJobs = async () => {
+  const latestRuns = await JobRun.getLatestRuns();
+  const runsByJob = latestRuns.reduce((acc, entry) => {
+    acc[entry._id] = entry;
+    return acc;
+  }, {});
+
+  return Object.entries(JOBS).map(([name, job]) => ({
+    name,
+    description: job.description,
+    schedule: job.schedule,
+    isScheduled: scheduledTasks.has(name),
+    lastRun: runsByJob[name]?.lastRun || null,
+    totalRuns: runsByJob[name]?.totalRuns || 0,
+    failedRuns: runsByJob[name]?.failedRuns || 0,
+  }));
+};
+
+const startScheduler = () => {
+  Object.entries(JOBS).forEach(([name, job]) => {
+    if (scheduledTasks.has(name)) return;
+
+    const task = cron.schedule(job.schedule, () => {
+      runJob(name).catch((error) => console.error(`❌ Could not run job ${name}:`, error));
+    });
+
+    scheduledTasks.set(name, task);
+  });
+
+  console.log(`⏰ Scheduler started with ${scheduledTasks.size} jobs (${INSTANCE_ID})`);
+};
+
+const stopScheduler = () => {
+  scheduledTasks.forEach((task) => task.stop());
+  scheduledTasks.clear();
+};
+
+module.exports = {
+  JOBS,
+  runJob,
+  listJobs,
+  startScheduler,
+  stopScheduler,
+};
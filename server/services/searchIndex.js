@@ -0,0 +1,393 @@
+const fs = require("fs");
+const path = require("path");
+const { LEARNING_BASE_PATH, ROOT_LEARNING_PATH } = require("../utils/learningContent");
+const { parseFrontMatter } = require("../utils/frontMatter");
+
+// In-process full-text index over the markdown files in learning/.
+// Positional postings support phrase queries; documents are ranked with BM25.
+
+// BM25 parameters and boosts for matches in the title or a heading
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_BOOST = 2;
+const HEADING_BOOST = 0.5;
+
+const SNIPPET_RADIUS = 120;
+const MAX_SNIPPETS = 3;
+
+// Fence info strings are normalised so "js" and "javascript" filter the same way
+const LANGUAGE_ALIASES = {
+  js: "javascript",
+  jsx: "javascript",
+  ts: "typescript",
+  tsx: "typescript",
+  py: "python",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+  yml: "yaml",
+  golang: "go",
+  "c++": "cpp",
+  cs: "csharp",
+  "c#": "csharp",
+  kt: "kotlin",
+  md: "markdown",
+};
+
+const normalizeLanguage = (language) => {
+  const lang = (language || "").toLowerCase().trim();
+  return LANGUAGE_ALIASES[lang] || lang;
+};
+
+const tokenize = (text) => text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+const docs = new Map(); // id -> document
+const postings = new Map(); // term -> Map(id -> positions[])
+let totalLength = 0;
+let buildPromise = null; // The latest build, finished or not
+let building = false;
+
+// Document id is the path relative to learning/, e.g. "dsa/01-easy/two-sum.md" or "README.md"
+const describePath = (id) => {
+  const parts = id.split("/");
+  const topic = parts.length > 1 ? parts[0] : ROOT_LEARNING_PATH;
+  const filename = parts.length > 1 ? parts.slice(1).join("/") : id;
+  return { topic, filename };
+};
+
+// Split a markdown file into lines tagged with their section and collect its code languages
+const parseMarkdown = (content) => {
+  const lines = content.split("\n");
+  const sections = [{ heading: null, headingPath: [], startLine: 1 }];
+  const lineSections = new Array(lines.length);
+  const languages = new Set();
+  const headingStack = [];
+  let inCode = false;
+  let fence = null;
+  let title = null;
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(/^\s*(```+|~~~+)\s*([^\s`]*)/);
+
+    if (fenceMatch && (!inCode || fenceMatch[1][0] === fence)) {
+      if (!inCode && fenceMatch[2]) languages.add(normalizeLanguage(fenceMatch[2]));
+      inCode = !inCode;
+      fence = fenceMatch[1][0];
+    } else if (!inCode) {
+      const headingMatch = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (headingMatch) {
+        const level = headingMatch[1].length;
+        const heading = headingMatch[2].replace(/[*_`]/g, "").trim();
+
+        while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+          headingStack.pop();
+        }
+        headingStack.push({ level, heading });
+
+        if (!title && level === 1) title = heading;
+        sections.push({ heading, headingPath: headingStack.map((h) => h.heading), startLine: index + 1 });
+      }
+    }
+
+    lineSections[index] = sections.length - 1;
+  });
+
+  return { lines, sections, lineSections, languages, title };
+};
+
+const addDocument = (id, content, stats) => {
+  const { topic, filename } = describePath(id);
+  // Front matter is metadata, not searchable text; blank its lines so result line numbers still match the file
+  const frontMatter = parseFrontMatter(content);
+  const parsed = parseMarkdown("\n".repeat(frontMatter.lineOffset) + frontMatter.body);
+  const title = frontMatter.data.title || parsed.title || path.basename(id, ".md").replace(/^\d+-/, "").replace(/[-_]/g, " ");
+
+  const doc = {
+    id,
+    topic,
+    filename,
+    title,
+    lines: parsed.lines,
+    sections: parsed.sections,
+    lineSections: parsed.lineSections,
+    languages: parsed.languages,
+    titleTerms: new Set(tokenize([title, filename, ...(frontMatter.data.tags || [])].join(" "))),
+    headingTerms: new Set(parsed.sections.flatMap((s) => (s.heading ? tokenize(s.heading) : []))),
+    terms: new Set(),
+    length: 0,
+    size: stats.size,
+    lastModified: stats.mtime,
+  };
+
+  let position = 0;
+  for (const line of parsed.lines) {
+    for (const term of tokenize(line)) {
+      let termPostings = postings.get(term);
+      if (!termPostings) {
+        termPostings = new Map();
+        postings.set(term, termPostings);
+      }
+
+      let positions = termPostings.get(id);
+      if (!positions) {
+        positions = [];
+        termPostings.set(id, positions);
+        doc.terms.add(term);
+      }
+
+      positions.push(position++);
+    }
+  }
+
+  doc.length = position;
+  totalLength += doc.length;
+  docs.set(id, doc);
+};
+
+const removeDocument = (id) => {
+  const doc = docs.get(id);
+  if (!doc) return;
+
+  for (const term of doc.terms) {
+    const termPostings = postings.get(term);
+    termPostings.delete(id);
+    if (termPostings.size === 0) postings.delete(term);
+  }
+
+  totalLength -= doc.length;
+  docs.delete(id);
+};
+
+const readDocument = async (id) => {
+  const fullPath = path.join(LEARNING_BASE_PATH, id);
+  const [content, stats] = await Promise.all([fs.promises.readFile(fullPath, "utf8"), fs.promises.stat(fullPath)]);
+  removeDocument(id);
+  addDocument(id, content, stats);
+};
+
+const findMarkdownFiles = async (dirPath, relativePath = "") => {
+  const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      files.push(...(await findMarkdownFiles(path.join(dirPath, entry.name), entryPath)));
+    } else if (entry.name.endsWith(".md")) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+};
+
+// (Re)build the whole index. Concurrent callers share one build: a second build would clear
+// the index while the first one (or a search) is still reading it.
+const build = () => {
+  if (building) return buildPromise;
+
+  building = true;
+  buildPromise = (async () => {
+    const startedAt = Date.now();
+    docs.clear();
+    postings.clear();
+    totalLength = 0;
+
+    if (!fs.existsSync(LEARNING_BASE_PATH)) {
+      console.warn("⚠️ Learning directory not found, search index is empty:", LEARNING_BASE_PATH);
+      return;
+    }
+
+    const files = await findMarkdownFiles(LEARNING_BASE_PATH);
+    for (const id of files) {
+      try {
+        await readDocument(id);
+      } catch (error) {
+        console.error(`Error indexing ${id}:`, error.message);
+      }
+    }
+
+    console.log(`🔎 Search index built: ${docs.size} files, ${postings.size} terms in ${Date.now() - startedAt}ms`);
+  })().finally(() => {
+    building = false;
+  });
+
+  return buildPromise;
+};
+
+const ready = () => buildPromise || build();
+
+// Re-index a single file (or every file under a directory) after it changed on disk.
+// Called by the content watcher (services/contentWatcher.js).
+const refreshPath = async (id) => {
+  const fullPath = path.join(LEARNING_BASE_PATH, id);
+  const stats = await fs.promises.stat(fullPath).catch(() => null);
+
+  if (stats?.isDirectory()) {
+    const files = await findMarkdownFiles(fullPath, id);
+    await Promise.all(files.map((file) => readDocument(file)));
+    return;
+  }
+
+  if (stats && id.endsWith(".md")) {
+    await readDocument(id);
+    return;
+  }
+
+  // Deleted: drop the file or everything that lived under the directory
+  [...docs.keys()].filter((docId) => docId === id || docId.startsWith(`${id}/`)).forEach(removeDocument);
+};
+
+// Parse a query into terms, quoted phrases and inline topic:/lang: filters
+const parseQuery = (query) => {
+  const parsed = { terms: [], phrases: [], topics: [], languages: [] };
+
+  for (const match of query.matchAll(/"([^"]+)"|(\S+)/g)) {
+    if (match[1]) {
+      const phrase = tokenize(match[1]);
+      if (phrase.length > 1) parsed.phrases.push(phrase);
+      parsed.terms.push(...phrase);
+      continue;
+    }
+
+    const filter = match[2].match(/^(topic|lang|language):(.+)$/i);
+    if (filter) {
+      if (filter[1].toLowerCase() === "topic") parsed.topics.push(filter[2]);
+      else parsed.languages.push(normalizeLanguage(filter[2]));
+      continue;
+    }
+
+    parsed.terms.push(...tokenize(match[2]));
+  }
+
+  parsed.terms = [...new Set(parsed.terms)];
+  return parsed;
+};
+
+const containsPhrase = (id, phrase) => {
+  const positionSets = phrase.map((term) => new Set(postings.get(term)?.get(id) || []));
+  return [...positionSets[0]].some((start) => phrase.every((_, i) => positionSets[i].has(start + i)));
+};
+
+const lineContainsPhrase = (tokens, phrase) => tokens.some((_, start) => phrase.every((term, i) => tokens[start + i] === term));
+
+// A line matches when it holds one of the quoted phrases or, without phrases, any of the terms
+const lineMatches = (line, { terms, phrases }) => {
+  const tokens = tokenize(line);
+  return phrases.length > 0 ? phrases.some((phrase) => lineContainsPhrase(tokens, phrase)) : tokens.some((t) => terms.includes(t));
+};
+
+// Matching lines grouped under their heading, each with a short window of context
+const buildSnippets = (doc, { terms, phrases }) => {
+  const matches = [];
+
+  doc.lines.forEach((line, index) => {
+    if (!lineMatches(line, { terms, phrases })) return;
+
+    const section = doc.sections[doc.lineSections[index]];
+    const lower = line.toLowerCase();
+    const firstHit = Math.max(0, Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0)));
+    const start = Math.max(0, firstHit - SNIPPET_RADIUS);
+    const end = Math.min(line.length, firstHit + SNIPPET_RADIUS);
+
+    matches.push({
+      lineNumber: index + 1,
+      line: line.trim(),
+      heading: section.heading,
+      headingPath: section.headingPath,
+      context: `${start > 0 ? "…" : ""}${line.slice(start, end).trim()}${end < line.length ? "…" : ""}`,
+    });
+  });
+
+  // Prefer one snippet per section so results show where in the file the matches are
+  const seenSections = new Set();
+  const spread = [];
+  for (const match of matches) {
+    const key = match.headingPath.join("/");
+    if (seenSections.has(key)) continue;
+    seenSections.add(key);
+    spread.push(match);
+  }
+
+  const snippets = [...spread, ...matches.filter((m) => !spread.includes(m))].slice(0, MAX_SNIPPETS);
+  return { snippets: snippets.sort((a, b) => a.lineNumber - b.lineNumber), totalMatches: matches.length };
+};
+
+// Search the index. Returns ranked results with heading-aware snippets.
+const search = (query, { topics = [], languages = [], limit = 20, offset = 0 } = {}) => {
+  const parsed = parseQuery(query);
+  const topicFilter = [...topics, ...parsed.topics];
+  const languageFilter = [...languages.map(normalizeLanguage), ...parsed.languages];
+
+  if (parsed.terms.length === 0) {
+    return { results: [], totalResults: 0, totalMatches: 0, terms: [] };
+  }
+
+  const avgLength = docs.size > 0 ? totalLength / docs.size : 0;
+  const scores = new Map();
+
+  for (const term of parsed.terms) {
+    const termPostings = postings.get(term);
+    const docFrequency = termPostings?.size || 0;
+    const idf = Math.log(1 + (docs.size - docFrequency + 0.5) / (docFrequency + 0.5));
+
+    termPostings?.forEach((positions, id) => {
+      const doc = docs.get(id);
+      const tf = positions.length;
+      const bm25 = (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / avgLength));
+      scores.set(id, (scores.get(id) || 0) + bm25);
+    });
+
+    // Title and heading matches count even when the body never repeats the term
+    docs.forEach((doc, id) => {
+      let boost = 0;
+      if (doc.titleTerms.has(term)) boost += TITLE_BOOST * idf;
+      if (doc.headingTerms.has(term)) boost += HEADING_BOOST * idf;
+      if (boost > 0) scores.set(id, (scores.get(id) || 0) + boost);
+    });
+  }
+
+  const matching = [...scores.entries()]
+    .map(([id, score]) => ({ doc: docs.get(id), score }))
+    .filter(({ doc }) => topicFilter.length === 0 || topicFilter.includes(doc.topic))
+    .filter(({ doc }) => languageFilter.length === 0 || languageFilter.some((lang) => doc.languages.has(lang)))
+    .filter(({ doc }) => parsed.phrases.every((phrase) => containsPhrase(doc.id, phrase)))
+    .sort((a, b) => b.score - a.score);
+
+  const results = matching.slice(offset, offset + limit).map(({ doc, score }) => {
+    const { snippets, totalMatches } = buildSnippets(doc, parsed);
+
+    return {
+      topic: doc.topic,
+      filename: doc.filename,
+      title: doc.title,
+      path: doc.id,
+      contentPath: doc.id,
+      score: Math.round(score * 1000) / 1000,
+      titleMatch: parsed.terms.some((term) => doc.titleTerms.has(term)),
+      languages: [...doc.languages],
+      contentMatches: snippets,
+      totalMatches,
+    };
+  });
+
+  // Matching lines in every matching file, not only the page of results returned
+  const totalMatches = matching.reduce((sum, { doc }) => sum + doc.lines.filter((line) => lineMatches(line, parsed)).length, 0);
+
+  return { results, totalResults: matching.length, totalMatches, terms: parsed.terms };
+};
+
+const getStats = () => ({
+  files: docs.size,
+  terms: postings.size,
+});
+
+module.exports = {
+  build,
+  ready,
+  refreshPath,
+  search,
+  getStats,
+  parseQuery,
+};
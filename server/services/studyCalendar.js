@@ -0,0 +1,320 @@
+const StudySession = require("../models/StudySession");
+const Goal = require("../models/Goal");
+const LearningPath = require("../models/LearningPath");
+const User = require("../models/User");
+const realtime = require("./realtime");
+const { resolveTimezone, getDateKey, addDays, daysBetween, getStartOfDay, getZonedDateTime, getWeekday } = require("../utils/timezone");
+
+const MINUTE_MS = 60 * 1000;
+const MIN_SESSION_MINUTES = 15;
+const MAX_SESSION_MINUTES = 120;
+const MAX_SESSION_LENGTH_MINUTES = 480; // The longest session StudySession allows
+const MAX_PLAN_WEEKS = 8;
+const RESCHEDULE_HORIZON_DAYS = 14;
+const GOAL_PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+// Monday of the week a day key falls in; calendar weeks run Monday to Sunday
+const getWeekStart = (dateKey) => addDays(dateKey, -((new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+const getSessionEnd = (session) => new Date(session.startTime.getTime() + session.plannedDuration * MINUTE_MS);
+
+// Minutes a session takes out of its week: what was studied once it is done, the plan otherwise
+const getSessionMinutes = (session) => (session.status === "completed" ? session.actualDuration || 0 : session.plannedDuration);
+
+// The user's study windows on the days from `fromKey` to `toKey` (inclusive) as
+// { dateKey, start, end } instants, in order, with overlapping windows merged
+const getStudyWindows = (user, fromKey, toKey) => {
+  const timezone = resolveTimezone(user.profile?.timezone);
+  const times = user.settings?.preferredStudyTimes || [];
+  const windows = [];
+
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+    const weekday = getWeekday(dateKey);
+    times
+      .filter((time) => time.day === weekday && time.startTime && time.endTime && time.startTime < time.endTime)
+      .forEach((time) => windows.push({ dateKey, start: getZonedDateTime(dateKey, time.startTime, timezone), end: getZonedDateTime(dateKey, time.endTime, timezone) }));
+  }
+
+  return windows
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, window) => {
+      const previous = merged[merged.length - 1];
+      if (previous && window.start <= previous.end) previous.end = new Date(Math.max(previous.end, window.end));
+      else merged.push({ ...window });
+      return merged;
+    }, []);
+};
+
+// The parts of the windows that no busy { start, end } interval covers, from `notBefore` on.
+// Gaps shorter than a minimum session are dropped.
+const getFreeSlots = (windows, busy, notBefore) => {
+  const sortedBusy = [...busy].sort((a, b) => a.start - b.start);
+
+  return windows.flatMap((window) => {
+    const slots = [];
+    let cursor = new Date(Math.max(window.start, notBefore));
+
+    sortedBusy
+      .filter((interval) => interval.end > cursor && interval.start < window.end)
+      .forEach((interval) => {
+        if (interval.start > cursor) slots.push({ start: cursor, end: new Date(Math.min(interval.start, window.end)) });
+        cursor = new Date(Math.max(cursor, interval.end));
+      });
+    if (cursor < window.end) slots.push({ start: cursor, end: window.end });
+
+    return slots.filter((slot) => slot.end - slot.start >= MIN_SESSION_MINUTES * MINUTE_MS);
+  });
+};
+
+// Minutes a goal asks for each week: its remaining hours, minutes or sessions spread over the
+// weeks left before its end date. Goals counted in other units get two sessions a week.
+const getGoalWeeklyMinutes = (goal, weekStart, sessionLength, timezone) => {
+  const remaining = Math.max(goal.targetValue - goal.currentValue, 0);
+  const weeksLeft = Math.max(Math.ceil((daysBetween(weekStart, getDateKey(goal.endDate, timezone)) + 1) / 7), 1);
+
+  switch (goal.unit) {
+    case "hours":
+      return Math.ceil((remaining * 60) / weeksLeft);
+    case "minutes":
+      return Math.ceil(remaining / weeksLeft);
+    case "sessions":
+      return Math.ceil(remaining / weeksLeft) * sessionLength;
+    default:
+      return remaining > 0 ? 2 * sessionLength : 0;
+  }
+};
+
+// Fill the user's study windows for the next `weeks` weeks (this week is the first) with
+// planned sessions. Sessions the scheduler planned before and the user left alone are planned
+// again; sessions the user added or edited, and anything started, stay and count as busy.
+// Each week gets the user's weekly goal hours less what was already studied or planned in it.
+// Active goals come first (by priority, then end date), then the active learning path's
+// unfinished steps in order. Goals with no related topic study the path's next topic.
+const scheduleStudySessions = async (userId, { weeks = 2, now = new Date() } = {}) => {
+  const user = await User.findById(userId).select("profile.timezone settings");
+  const timezone = resolveTimezone(user.profile?.timezone);
+  const sessionLength = user.settings?.defaultSessionLength || 25;
+  const weeklyMinutes = Math.round((user.settings?.weeklyGoalHours || 0) * 60);
+  const planWeeks = Math.min(Math.max(weeks, 1), MAX_PLAN_WEEKS);
+
+  const today = getDateKey(now, timezone);
+  const firstWeek = getWeekStart(today);
+  const lastDay = addDays(firstWeek, planWeeks * 7 - 1);
+  const horizonStart = getStartOfDay(firstWeek, timezone);
+  const horizonEnd = getStartOfDay(addDays(lastDay, 1), timezone);
+
+  const removed = await StudySession.deleteMany({ userId, status: "planned", "calendar.source": "scheduler", "calendar.locked": { $ne: true }, startTime: { $gte: now, $lt: horizonEnd } });
+
+  // Planned sessions whose time passed are left to rescheduleMissedSessions; ones under way stay busy
+  const kept = (await StudySession.find({ userId, status: { $ne: "cancelled" }, startTime: { $gte: horizonStart, $lt: horizonEnd } }).select("startTime plannedDuration actualDuration status calendar").lean()).filter(
+    (session) => session.status !== "planned" || getSessionEnd(session) > now
+  );
+
+  const busy = kept.map((session) => ({ start: session.startTime, end: getSessionEnd(session) }));
+  const usedByWeek = new Map();
+  const keptByGoalWeek = new Map();
+  const keptByStep = new Map();
+  kept.forEach((session) => {
+    const weekStart = getWeekStart(getDateKey(session.startTime, timezone));
+    usedByWeek.set(weekStart, (usedByWeek.get(weekStart) || 0) + getSessionMinutes(session));
+    if (session.status !== "planned") return;
+    if (session.calendar?.goalId) keptByGoalWeek.set(`${session.calendar.goalId}:${weekStart}`, (keptByGoalWeek.get(`${session.calendar.goalId}:${weekStart}`) || 0) + session.plannedDuration);
+    if (session.calendar?.stepId) keptByStep.set(session.calendar.stepId.toString(), (keptByStep.get(session.calendar.stepId.toString()) || 0) + session.plannedDuration);
+  });
+
+  const path = await LearningPath.findOne({ userId, status: "active" }).sort({ updatedAt: -1 });
+  const stepItems = path
+    ? path.steps
+        .filter((step) => !step.completed)
+        .map((step) => ({
+          topicId: step.topicId,
+          calendar: { learningPathId: path._id, stepId: step._id, reason: `Path: ${step.title}` },
+          sessionMinutes: MAX_SESSION_MINUTES,
+          remaining: Math.max((step.estimatedMinutes || sessionLength) - (keptByStep.get(step._id.toString()) || 0), 0),
+        }))
+    : [];
+  const pathTopicId = stepItems[0]?.topicId || null;
+
+  const goals = (await Goal.find({ userId, status: "active", endDate: { $gte: now } }).select("title unit targetValue currentValue priority endDate relatedTopics")).sort(
+    (a, b) => (GOAL_PRIORITY_RANK[a.priority] ?? 2) - (GOAL_PRIORITY_RANK[b.priority] ?? 2) || a.endDate - b.endDate
+  );
+  const unscheduledGoals = goals.filter((goal) => !goal.relatedTopics?.[0] && !pathTopicId).map((goal) => goal.title);
+  const goalDemands = goals
+    .filter((goal) => goal.relatedTopics?.[0] || pathTopicId)
+    .map((goal) => ({ goal, topicId: goal.relatedTopics?.[0] || pathTopicId, weeklyMinutes: getGoalWeeklyMinutes(goal, firstWeek, sessionLength, timezone), lastWeek: getWeekStart(getDateKey(goal.endDate, timezone)) }));
+
+  const windows = getStudyWindows(user, today, lastDay);
+  const created = [];
+  const summary = [];
+
+  for (let week = 0; week < planWeeks; week += 1) {
+    const weekStart = addDays(firstWeek, week * 7);
+    const weekEnd = addDays(weekStart, 6);
+    const used = usedByWeek.get(weekStart) || 0;
+    let budget = Math.max(weeklyMinutes - used, 0);
+    let planned = 0;
+
+    const goalItems = goalDemands
+      .filter((demand) => demand.lastWeek >= weekStart)
+      .map((demand) => ({
+        topicId: demand.topicId,
+        calendar: { goalId: demand.goal._id, reason: `Goal: ${demand.goal.title}` },
+        sessionMinutes: demand.goal.unit === "sessions" ? sessionLength : MAX_SESSION_MINUTES, // A goal of sessions gets sessions of the default length
+        remaining: Math.max(demand.weeklyMinutes - (keptByGoalWeek.get(`${demand.goal._id}:${weekStart}`) || 0), 0),
+      }));
+    const queue = [...goalItems, ...stepItems];
+    const slots = getFreeSlots(
+      windows.filter((window) => window.dateKey >= weekStart && window.dateKey <= weekEnd),
+      busy,
+      now
+    );
+
+    for (const slot of slots) {
+      let cursor = slot.start;
+
+      while (budget >= MIN_SESSION_MINUTES) {
+        const item = queue.find((candidate) => candidate.remaining > 0);
+        if (!item) break;
+
+        const available = Math.floor((slot.end - cursor) / MINUTE_MS);
+        const minutes = Math.min(available, Math.max(item.remaining, MIN_SESSION_MINUTES), budget, item.sessionMinutes);
+        if (minutes < MIN_SESSION_MINUTES) break;
+
+        created.push({
+          userId,
+          topicId: item.topicId,
+          type: "focused",
+          plannedDuration: minutes,
+          startTime: cursor,
+          status: "planned",
+          calendar: { ...item.calendar, source: "scheduler", originalStartTime: cursor },
+        });
+        item.remaining -= minutes;
+        budget -= minutes;
+        planned += minutes;
+        cursor = new Date(cursor.getTime() + minutes * MINUTE_MS);
+      }
+    }
+
+    summary.push({ weekStart, goalMinutes: weeklyMinutes, usedMinutes: used, plannedMinutes: planned });
+  }
+
+  if (created.length > 0) await StudySession.insertMany(created);
+
+  return {
+    from: firstWeek,
+    to: lastDay,
+    sessionsCreated: created.length,
+    sessionsReplaced: removed.deletedCount,
+    weeks: summary,
+    unscheduledGoals,
+    remainingStepMinutes: stepItems.reduce((sum, item) => sum + item.remaining, 0),
+  };
+};
+
+// Sessions, study windows and per-week minutes for `weeks` calendar weeks from the week of `fromKey`
+const getCalendar = async (user, fromKey, weeks = 1, now = new Date()) => {
+  const timezone = resolveTimezone(user.profile?.timezone);
+  const firstWeek = getWeekStart(fromKey);
+  const lastDay = addDays(firstWeek, weeks * 7 - 1);
+  const weeklyMinutes = Math.round((user.settings?.weeklyGoalHours || 0) * 60);
+
+  const sessions = await StudySession.find({ userId: user._id, status: { $ne: "cancelled" }, startTime: { $gte: getStartOfDay(firstWeek, timezone), $lt: getStartOfDay(addDays(lastDay, 1), timezone) } })
+    .populate("topicId", "title category")
+    .select("topicId type plannedDuration actualDuration startTime endTime status calendar")
+    .sort({ startTime: 1 })
+    .lean();
+
+  const days = Array.from({ length: weeks * 7 }, (_, index) => addDays(firstWeek, index));
+  const summary = Array.from({ length: weeks }, (_, index) => {
+    const weekStart = addDays(firstWeek, index * 7);
+    const weekSessions = sessions.filter((session) => getWeekStart(getDateKey(session.startTime, timezone)) === weekStart);
+    return {
+      weekStart,
+      goalMinutes: weeklyMinutes,
+      studiedMinutes: weekSessions.filter((session) => session.status === "completed").reduce((sum, session) => sum + (session.actualDuration || 0), 0),
+      plannedMinutes: weekSessions.filter((session) => session.status === "planned" && getSessionEnd(session) > now).reduce((sum, session) => sum + session.plannedDuration, 0),
+    };
+  });
+
+  return {
+    from: firstWeek,
+    to: lastDay,
+    timezone,
+    days: days.map((dateKey) => ({ date: dateKey, weekday: getWeekday(dateKey) })),
+    windows: getStudyWindows(user, firstWeek, lastDay),
+    sessions: sessions.map((session) => ({
+      ...session,
+      date: getDateKey(session.startTime, timezone),
+      missed: session.status === "planned" && getSessionEnd(session) <= now,
+    })),
+    weeks: summary,
+  };
+};
+
+// Move calendar sessions whose planned time went by without them being started to the first
+// free study window of the same length in the next two weeks, keeping their first planned
+// start. Sessions that fit nowhere are cancelled. Owners get a `calendar_updated` event.
+const rescheduleMissedSessions = async ({ now = new Date(), userId } = {}) => {
+  const query = { status: "planned", "calendar.source": { $exists: true }, startTime: { $lt: now } };
+  if (userId) query.userId = userId;
+
+  const missed = (await StudySession.find(query).sort({ startTime: 1 })).filter((session) => getSessionEnd(session) <= now);
+  const missedByUser = missed.reduce((groups, session) => {
+    const key = session.userId.toString();
+    groups.set(key, [...(groups.get(key) || []), session]);
+    return groups;
+  }, new Map());
+
+  let sessionsRescheduled = 0;
+  let sessionsCancelled = 0;
+
+  for (const [ownerId, sessions] of missedByUser) {
+    const user = await User.findById(ownerId).select("profile.timezone settings");
+    if (!user) continue;
+
+    const today = getDateKey(now, resolveTimezone(user.profile?.timezone));
+    const windows = getStudyWindows(user, today, addDays(today, RESCHEDULE_HORIZON_DAYS));
+    // Sessions ahead, and the ones under way (sessions last at most eight hours)
+    const upcoming = (await StudySession.find({ userId: ownerId, status: { $in: ["planned", "active", "paused"] }, startTime: { $gte: new Date(now.getTime() - MAX_SESSION_LENGTH_MINUTES * MINUTE_MS) } }).select("startTime plannedDuration status").lean()).filter(
+      (session) => session.status !== "planned" || getSessionEnd(session) > now
+    );
+    const busy = upcoming.map((session) => ({ start: session.startTime, end: getSessionEnd(session) }));
+    const changes = [];
+
+    for (const session of sessions) {
+      const slot = getFreeSlots(windows, busy, now).find((candidate) => candidate.end - candidate.start >= session.plannedDuration * MINUTE_MS);
+
+      if (!slot) {
+        await session.cancelSession("Missed, and no free study window in the next two weeks");
+        sessionsCancelled += 1;
+        changes.push({ sessionId: session._id, status: "cancelled" });
+        continue;
+      }
+
+      session.calendar.originalStartTime = session.calendar.originalStartTime || session.startTime;
+      session.calendar.rescheduleCount = (session.calendar.rescheduleCount || 0) + 1;
+      session.startTime = slot.start;
+      await session.save();
+
+      busy.push({ start: session.startTime, end: getSessionEnd(session) });
+      sessionsRescheduled += 1;
+      changes.push({ sessionId: session._id, status: "rescheduled", startTime: session.startTime });
+    }
+
+    realtime.emitToUser(ownerId, "calendar_updated", { reason: "missed-sessions", changes });
+  }
+
+  return { sessionsRescheduled, sessionsCancelled, usersNotified: missedByUser.size };
+};
+
+module.exports = {
+  MIN_SESSION_MINUTES,
+  MAX_PLAN_WEEKS,
+  getWeekStart,
+  getStudyWindows,
+  getFreeSlots,
+  scheduleStudySessions,
+  getCalendar,
+  rescheduleMissedSessions,
+};
@@ -0,0 +1,250 @@
+const fs = require("fs");
+const path = require("path");
+const StudyPlan = require("../models/StudyPlan");
+const StudyPlanProgress = require("../models/StudyPlanProgress");
+const { parseStudyPlanFile } = require("../utils/studyPlanParser");
+const { LEARNING_BASE_PATH, resolveContentPath, normalizeContentPath, listLearningPathFiles } = require("../utils/learningContent");
+const { addDays, daysBetween } = require("../utils/timezone");
+
+// The plain-text plans in learning/ that hold weekly schedules (the other .txt guides are prose)
+const STUDY_PLAN_FILES = ["START_HERE_STUDY_GUIDE.txt", "LEARNING_PATHS.txt", "WEEKLY_STUDY_PLANS.txt"];
+
+// "WEEKLY_STUDY_PLANS.txt" -> "weekly-study-plans"
+const getFileSlug = (sourcePath) => sourcePath.replace(/\.txt$/, "").toLowerCase().replace(/_/g, "-");
+
+// Content files a plan reference points at: the file itself, or every file of a folder
+// ("databases/"). Null when nothing in learning/ matches.
+const resolveReference = (reference) => {
+  const contentPath = normalizeContentPath(reference).replace(/\/$/, "");
+
+  if (contentPath.endsWith(".md")) {
+    const fullPath = resolveContentPath(contentPath);
+    return fullPath && fs.existsSync(fullPath) ? [contentPath] : null;
+  }
+
+  const files = listLearningPathFiles(contentPath);
+  return files && files.length > 0 ? files.map((file) => file.contentPath) : null;
+};
+
+// Parse every plan file into StudyPlan data. References that match no content file are
+// dropped from their task and reported as "<file>: <reference>".
+const loadStudyPlans = () => {
+  const unresolvedReferences = [];
+
+  const plans = STUDY_PLAN_FILES.flatMap((sourcePath) => {
+    const fullPath = path.join(LEARNING_BASE_PATH, sourcePath);
+    if (!fs.existsSync(fullPath)) return [];
+
+    const toTask = ({ id, text, estimatedMinutes, details, references }) => {
+      const contentPaths = references.flatMap((reference) => {
+        const resolved = resolveReference(reference);
+        if (!resolved) unresolvedReferences.push(`${sourcePath}: ${reference}`);
+        return resolved || [];
+      });
+
+      return { taskId: id, text, estimatedMinutes: estimatedMinutes || undefined, details, contentPaths: [...new Set(contentPaths)] };
+    };
+
+    return parseStudyPlanFile(fs.readFileSync(fullPath, "utf8"), sourcePath).map((plan) => ({
+      slug: plan.key ? `${getFileSlug(sourcePath)}-${plan.key}` : getFileSlug(sourcePath),
+      title: plan.title,
+      sourcePath,
+      totalWeeks: plan.totalWeeks,
+      weeks: plan.weeks.map((week) => ({
+        ...week,
+        days: week.days.map((day) => ({ ...day, tasks: day.tasks.map(toTask) })),
+        tasks: week.tasks.map(toTask),
+      })),
+    }));
+  });
+
+  return { plans, unresolvedReferences: [...new Set(unresolvedReferences)] };
+};
+
+// Create, update and retire StudyPlan documents to match the plan files. Plans are matched
+// by slug; ones that left their file are deactivated rather than deleted, so users' progress
+// is kept. Returns the slugs per outcome.
+const syncStudyPlans = async ({ dryRun = false } = {}) => {
+  const { plans, unresolvedReferences } = loadStudyPlans();
+  const existingBySlug = new Map((await StudyPlan.find()).map((plan) => [plan.slug, plan]));
+  const report = { created: [], updated: [], unchanged: [], retired: [], unresolvedReferences };
+
+  for (const data of plans) {
+    const plan = existingBySlug.get(data.slug);
+    existingBySlug.delete(data.slug);
+
+    if (!plan) {
+      report.created.push(data.slug);
+      if (!dryRun) await StudyPlan.create(data);
+      continue;
+    }
+
+    const desired = new StudyPlan(data).toObject();
+    const current = plan.toObject();
+    const changed = !plan.isActive || ["title", "sourcePath", "totalWeeks", "weeks"].some((field) => JSON.stringify(current[field]) !== JSON.stringify(desired[field]));
+
+    if (!changed) {
+      report.unchanged.push(data.slug);
+      continue;
+    }
+
+    report.updated.push(data.slug);
+    if (!dryRun) {
+      plan.set({ ...data, isActive: true });
+      await plan.save();
+    }
+  }
+
+  for (const plan of existingBySlug.values()) {
+    if (!plan.isActive) continue;
+
+    report.retired.push(plan.slug);
+    if (!dryRun) {
+      plan.isActive = false;
+      await plan.save();
+    }
+  }
+
+  return report;
+};
+
+// Due dates for a plan started on `startDate` (a "YYYY-MM-DD" day key): week n starts
+// 7 * (n - 1) days in, a day falls `offset` days into its week, and a week's own tasks
+// are due on its last day
+const getWeekStart = (startDate, week) => addDays(startDate, (week.number - 1) * 7);
+const getWeekEnd = (startDate, week) => addDays(startDate, (week.number - 1 + week.span) * 7 - 1);
+const getPlanEnd = (startDate, plan) => addDays(startDate, plan.totalWeeks * 7 - 1);
+
+const summarizeProgress = (plan, progress) => {
+  const tasks = plan.getTasks();
+  const completedMap = progress.getCompletedMap();
+  const completed = tasks.filter(({ task }) => completedMap.has(task.taskId)).length;
+
+  return {
+    startDate: progress.startDate,
+    endDate: getPlanEnd(progress.startDate, plan),
+    completed,
+    total: tasks.length,
+    percentage: tasks.length === 0 ? 0 : Math.round((completed / tasks.length) * 100),
+    completedAt: progress.completedAt || null,
+  };
+};
+
+// A plan with every week, day and task dated for the user's start date and each task's
+// checked state. `progress` may be null for a plan the user has not started.
+const buildPlanSchedule = (plan, progress, today) => {
+  const completedMap = progress ? progress.getCompletedMap() : new Map();
+
+  const toTaskView = (task, dueDate) => ({
+    taskId: task.taskId,
+    text: task.text,
+    estimatedMinutes: task.estimatedMinutes,
+    details: task.details,
+    contentPaths: task.contentPaths,
+    dueDate,
+    completed: completedMap.has(task.taskId),
+    completedAt: completedMap.get(task.taskId) || null,
+  });
+
+  const weeks = plan.weeks.map((week) => {
+    const startDate = progress ? getWeekStart(progress.startDate, week) : null;
+    const endDate = progress ? getWeekEnd(progress.startDate, week) : null;
+
+    return {
+      number: week.number,
+      span: week.span,
+      title: week.title,
+      startDate,
+      endDate,
+      days: week.days.map((day) => {
+        const date = startDate && addDays(startDate, day.offset);
+        return { number: day.number, offset: day.offset, title: day.title, hours: day.hours, date, tasks: day.tasks.map((task) => toTaskView(task, date)) };
+      }),
+      tasks: week.tasks.map((task) => toTaskView(task, endDate)),
+    };
+  });
+
+  return {
+    _id: plan._id,
+    slug: plan.slug,
+    title: plan.title,
+    sourcePath: plan.sourcePath,
+    totalWeeks: plan.totalWeeks,
+    isActive: plan.isActive,
+    started: Boolean(progress),
+    currentWeek: progress ? Math.min(Math.max(Math.floor(daysBetween(progress.startDate, today) / 7) + 1, 1), plan.totalWeeks) : null,
+    progress: progress ? summarizeProgress(plan, progress) : null,
+    weeks,
+  };
+};
+
+// What a started plan asks of the user on `today`: the tasks of today's day, the tasks of
+// the week(s) today falls in, and unchecked tasks whose due date has passed
+const getDueTasks = (plan, progress, today) => {
+  const schedule = buildPlanSchedule(plan, progress, today);
+  const due = [];
+  const overdue = [];
+
+  schedule.weeks.forEach((week) => {
+    const weekTasks = week.tasks.map((task) => ({ ...task, week: week.number, weekTitle: week.title, day: null }));
+    const dayTasks = week.days.flatMap((day) => day.tasks.map((task) => ({ ...task, week: week.number, weekTitle: week.title, day: day.title })));
+
+    dayTasks.forEach((task) => {
+      if (task.dueDate === today) due.push(task);
+      else if (task.dueDate < today && !task.completed) overdue.push(task);
+    });
+
+    weekTasks.forEach((task) => {
+      if (week.startDate <= today && today <= week.endDate) due.push(task);
+      else if (week.endDate < today && !task.completed) overdue.push(task);
+    });
+  });
+
+  return {
+    planId: plan._id,
+    slug: plan.slug,
+    title: plan.title,
+    currentWeek: schedule.currentWeek,
+    progress: schedule.progress,
+    due,
+    overdue,
+  };
+};
+
+// Today's tasks across every plan the user has started and not finished
+const getUserDueTasks = async (userId, today) => {
+  const progresses = await StudyPlanProgress.find({ userId, completedAt: { $exists: false } });
+  const plans = await StudyPlan.find({ _id: { $in: progresses.map((progress) => progress.planId) }, isActive: true });
+  const plansById = new Map(plans.map((plan) => [plan._id.toString(), plan]));
+
+  return progresses
+    .filter((progress) => plansById.has(progress.planId.toString()) && progress.startDate <= today)
+    .map((progress) => getDueTasks(plansById.get(progress.planId.toString()), progress, today))
+    .filter((plan) => plan.due.length > 0 || plan.overdue.length > 0);
+};
+
+// Check or uncheck one task, and mark the plan finished while every task is checked.
+// Returns false when the plan has no such task.
+const setTaskCompleted = (plan, progress, taskId, completed) => {
+  const tasks = plan.getTasks();
+  if (!tasks.some(({ task }) => task.taskId === taskId)) return false;
+
+  progress.setTaskCompleted(taskId, completed);
+
+  const completedMap = progress.getCompletedMap();
+  const allCompleted = tasks.every(({ task }) => completedMap.has(task.taskId));
+  if (allCompleted && !progress.completedAt) progress.completedAt = new Date();
+  else if (!allCompleted) progress.completedAt = undefined;
+
+  return true;
+};
+
+module.exports = {
+  STUDY_PLAN_FILES,
+  loadStudyPlans,
+  syncStudyPlans,
+  buildPlanSchedule,
+  getDueTasks,
+  getUserDueTasks,
+  setTaskCompleted,
+};
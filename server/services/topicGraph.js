@@ -0,0 +1,118 @@
+const { Topic, UserProgress } = require("../models/Topic");
+
+const DIFFICULTY_RANK = { Beginner: 1, Intermediate: 2, Advanced: 3 };
+
+// Active topics keyed by id, with prerequisites narrowed to other active topics
+const loadTopicGraph = async () => {
+  const topics = await Topic.find({ isActive: true }).select("title category difficulty estimatedHours prerequisites learningPath").lean();
+  const graph = new Map(topics.map((topic) => [topic._id.toString(), { ...topic, prerequisites: topic.prerequisites.map(String) }]));
+
+  graph.forEach((node) => {
+    node.prerequisites = [...new Set(node.prerequisites)].filter((id) => graph.has(id));
+  });
+
+  return graph;
+};
+
+// The cycle that giving `topicId` these prerequisites would close, as a list of topic ids
+// from the topic back to itself, or null when there is none
+const findPrerequisiteCycle = (graph, topicId, prerequisiteIds) => {
+  const id = String(topicId);
+  const getPrerequisites = (nodeId) => (nodeId === id ? prerequisiteIds.map(String) : graph.get(nodeId)?.prerequisites || []);
+  const visited = new Set();
+
+  const visit = (nodeId, trail) => {
+    if (nodeId === id) return trail;
+    if (visited.has(nodeId)) return null;
+    visited.add(nodeId);
+
+    for (const prerequisiteId of getPrerequisites(nodeId)) {
+      const cycle = visit(prerequisiteId, [...trail, prerequisiteId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const prerequisiteId of getPrerequisites(id)) {
+    const cycle = visit(prerequisiteId, [id, prerequisiteId]);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+// Default order among topics that are available at the same time: easier first, then by title
+const byDifficulty = (graph) => (a, b) => (DIFFICULTY_RANK[graph.get(a).difficulty] || 2) - (DIFFICULTY_RANK[graph.get(b).difficulty] || 2) || graph.get(a).title.localeCompare(graph.get(b).title);
+
+// Prerequisites before the topics that need them (Kahn's algorithm); `compare` orders topics
+// that are available at the same time. Topics caught in a cycle cannot be ordered and are
+// returned separately.
+const getLearningOrder = (graph, compare = byDifficulty(graph)) => {
+  const remaining = new Map([...graph].map(([id, node]) => [id, node.prerequisites.length]));
+  const dependents = new Map([...graph.keys()].map((id) => [id, []]));
+  graph.forEach((node, id) => node.prerequisites.forEach((prerequisiteId) => dependents.get(prerequisiteId).push(id)));
+
+  const available = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  const order = [];
+  const depth = new Map(available.map((id) => [id, 0]));
+
+  while (available.length > 0) {
+    available.sort(compare);
+    const id = available.shift();
+    order.push(id);
+
+    dependents.get(id).forEach((dependentId) => {
+      depth.set(dependentId, Math.max(depth.get(dependentId) || 0, depth.get(id) + 1));
+      remaining.set(dependentId, remaining.get(dependentId) - 1);
+      if (remaining.get(dependentId) === 0) available.push(dependentId);
+    });
+  }
+
+  const ordered = new Set(order);
+  const cyclic = [...graph.keys()].filter((id) => !ordered.has(id));
+  return { order, depth, cyclic };
+};
+
+// The graph from one user's point of view. Each topic is "completed", "unlocked" (every
+// prerequisite completed) or "locked". Ready to start: unlocked topics the user has not
+// begun, in learning order.
+const getUserTopicGraph = async (userId) => {
+  const graph = await loadTopicGraph();
+  const progresses = await UserProgress.find({ userId, topicId: { $in: [...graph.keys()] } })
+    .select("topicId status progress")
+    .lean();
+  const progressByTopic = new Map(progresses.map((progress) => [progress.topicId.toString(), progress]));
+  const isCompleted = (id) => progressByTopic.get(id)?.status === "completed";
+
+  const { order, depth, cyclic } = getLearningOrder(graph);
+
+  const nodes = [...order, ...cyclic].map((id) => {
+    const { prerequisites, ...topic } = graph.get(id);
+    const progress = progressByTopic.get(id);
+
+    return {
+      ...topic,
+      prerequisites,
+      depth: depth.get(id) ?? null,
+      status: isCompleted(id) ? "completed" : !cyclic.includes(id) && prerequisites.every(isCompleted) ? "unlocked" : "locked",
+      progressStatus: progress?.status || "not-started",
+      progress: progress?.progress || 0,
+      missingPrerequisites: prerequisites.filter((prerequisiteId) => !isCompleted(prerequisiteId)),
+    };
+  });
+
+  return {
+    nodes,
+    edges: nodes.flatMap((node) => node.prerequisites.map((prerequisiteId) => ({ from: prerequisiteId, to: node._id.toString() }))),
+    order,
+    cyclic,
+    readyToStart: nodes.filter((node) => node.status === "unlocked" && node.progressStatus === "not-started"),
+  };
+};
+
+module.exports = {
+  DIFFICULTY_RANK,
+  loadTopicGraph,
+  findPrerequisiteCycle,
+  getLearningOrder,
+  getUserTopicGraph,
+};
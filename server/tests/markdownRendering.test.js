@@ -0,0 +1,130 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { renderMarkdown, renderNoteMarkdown } = require("../services/markdown");
+
+// Rendering of learning content: each markdown feature the viewer relies on, then every file
+// in learning/ checked against its own source. Run with npm test.
+
+const LEARNING_BASE_PATH = path.resolve(__dirname, "../../learning");
+
+const findMarkdownFiles = (dirPath) =>
+  fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) return findMarkdownFiles(fullPath);
+    return entry.name.endsWith(".md") ? [fullPath] : [];
+  });
+
+// Split the source into lines outside fenced code blocks and a count of the blocks.
+// A fence closes only on the same character repeated at least as many times.
+const scanFences = (content) => {
+  const prose = [];
+  let fence = null;
+  let codeBlocks = 0;
+
+  for (const line of content.split("\n")) {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})(.*)$/);
+
+    if (!fence && fenceMatch) {
+      fence = fenceMatch[1];
+      codeBlocks += 1;
+    } else if (fence && fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !fenceMatch[2].trim()) {
+      fence = null;
+    } else if (!fence) {
+      prose.push(line);
+    }
+  }
+
+  return { prose, codeBlocks };
+};
+
+const count = (text, regex) => (text.match(regex) || []).length;
+
+const html = (content) => renderMarkdown(content).html;
+
+describe("renderMarkdown", () => {
+  test("renders tables with column alignment", () => {
+    assert.match(html("| Name | Score |\n| :--- | ----: |\n| Ada | 10 |\n"), /<table>[\s\S]*<th style="text-align:left">Name<\/th>[\s\S]*<td style="text-align:right">10<\/td>[\s\S]*<\/table>/);
+  });
+
+  test("renders nested lists inside their parent item", () => {
+    assert.match(html("- Fruit\n  - Apple\n  1. Pear\n- Bread\n"), /<li>Fruit\n<ul>\n<li>Apple<\/li>\n<\/ul>\n<ol>\n<li>Pear<\/li>\n<\/ol>\n<\/li>/);
+  });
+
+  test("renders task list items as checkboxes with stable ids", () => {
+    const { html: taskHtml, tasks } = renderMarkdown("- [ ] Read chapter\n- [x] Take notes\n- [ ] Read chapter\n");
+
+    assert.deepStrictEqual(
+      { checkboxes: count(taskHtml, /<input type="checkbox" data-task-id="[^"]+"( checked)? class="task-list-item-checkbox" \/>/g), tasks },
+      {
+        checkboxes: 3,
+        tasks: [
+          { id: "read-chapter", text: "Read chapter", checked: false },
+          { id: "take-notes", text: "Take notes", checked: true },
+          { id: "read-chapter-2", text: "Read chapter", checked: false },
+        ],
+      }
+    );
+  });
+
+  test("renders footnotes with links back and forth", () => {
+    assert.match(html("Claim.[^1]\n\n[^1]: Source.\n"), /<sup class="footnote-ref"><a href="#fn1" id="fnref1">\[1\]<\/a><\/sup>[\s\S]*<section class="footnotes">[\s\S]*<li id="fn1" class="footnote-item"><p>Source. <a href="#fnref1" class="footnote-backref">/);
+  });
+
+  test("gives headings unique anchors with a permalink", () => {
+    const { html: headingHtml, headings } = renderMarkdown("# Setup & Install\n\n## Usage\n\n## Usage\n");
+
+    assert.deepStrictEqual(
+      { headings, permalinks: count(headingHtml, /<a class="heading-anchor" href="#[^"]+" aria-hidden="true">#<\/a><\/h\d>/g) },
+      {
+        headings: [
+          { level: 1, text: "Setup & Install", id: "setup--install" },
+          { level: 2, text: "Usage", id: "usage" },
+          { level: 2, text: "Usage", id: "usage-1" },
+        ],
+        permalinks: 3,
+      }
+    );
+  });
+
+  test("strips scripts, event handlers and javascript: URLs from raw HTML", () => {
+    const unsafe = html('<script>alert(1)</script>\n\n<img src="x.png" onerror="alert(1)">\n\n<a href="javascript:alert(1)">link</a> [link](javascript:alert(1))\n');
+
+    assert.doesNotMatch(unsafe, /<script|\son\w+\s*=|(href|src)\s*=\s*"\s*javascript:/i);
+  });
+
+  test("escapes raw HTML in notes instead of rendering it", () => {
+    assert.strictEqual(renderNoteMarkdown("**Bold** <b onclick=\"alert(1)\">tag</b>"), "<p><strong>Bold</strong> &lt;b onclick=\"alert(1)\"&gt;tag&lt;/b&gt;</p>\n");
+  });
+});
+
+describe("learning/ files", () => {
+  const files = findMarkdownFiles(LEARNING_BASE_PATH).map((file) => {
+    const content = fs.readFileSync(file, "utf8");
+    return { file: path.relative(LEARNING_BASE_PATH, file), ...renderMarkdown(content), ...scanFences(content) };
+  });
+
+  // Each check lists the files that fail it, so one assertion reports all of them
+  const check = (name, passes) =>
+    test(name, () => {
+      assert.deepStrictEqual(
+        files.filter((rendered) => !passes(rendered)).map(({ file }) => file),
+        []
+      );
+    });
+
+  check("contain no script tags, event handlers or javascript: URLs", ({ html }) => !/<script|<[^>]+\son\w+\s*=|(href|src)\s*=\s*"\s*javascript:/i.test(html));
+
+  check("render every table", ({ html, prose }) => count(html, /<table>/g) >= prose.filter((line) => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)+\|?\s*$/.test(line)).length);
+
+  check("render every task list item as a checkbox", ({ html, prose }) => count(html, /class="task-list-item-checkbox"/g) >= prose.filter((line) => /^\s*[-*+]\s+\[[ xX]\]\s+/.test(line)).length);
+
+  check("render every code fence as one code block", ({ html, codeBlocks }) => count(html, /<pre class="code-block"[ >]/g) === codeBlocks);
+
+  check("leave markdown emphasis inside code blocks alone", ({ html }) => !/<pre class="code-block"[^>]*><code[^>]*>(?:(?!<\/code>)[\s\S])*<(em|strong)>/.test(html));
+
+  check("declare the line count of every code block", ({ html }) => count(html, /<pre class="code-block" (data-language="[^"]*" )?data-lines="\d+">/g) + count(html, /<code class="language-mermaid">/g) === count(html, /<pre class="code-block"[ >]/g));
+
+  check("give every heading a unique anchor", ({ headings }) => headings.every((heading) => heading.id) && new Set(headings.map((heading) => heading.id)).size === headings.length);
+});
@@ -0,0 +1,77 @@
+const yaml = require("js-yaml");
+
+// Optional YAML front matter at the top of a learning file:
+//
+//   ---
+//   title: Two Pointers
+//   difficulty: Beginner
+//   estimatedMinutes: 45
+//   tags: [arrays, interview]
+//   prerequisites: [dsa/01-easy/01-arrays-strings.md]
+//   order: 2
+//   ---
+//
+// Unknown keys are ignored and invalid values are dropped, so callers can fall back to
+// their usual heuristics field by field.
+
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const DIFFICULTIES = ["Beginner", "Intermediate", "Advanced"];
+
+const toStringList = (value) => {
+  const list = typeof value === "string" ? value.split(",") : Array.isArray(value) ? value : [];
+  return list.filter((item) => typeof item === "string" || typeof item === "number").map((item) => String(item).trim()).filter(Boolean);
+};
+
+const normalize = (raw) => {
+  const data = {};
+
+  if (typeof raw.title === "string" && raw.title.trim()) {
+    data.title = raw.title.trim();
+  }
+
+  const difficulty = DIFFICULTIES.find((level) => level.toLowerCase() === String(raw.difficulty || "").trim().toLowerCase());
+  if (difficulty) data.difficulty = difficulty;
+
+  const estimatedMinutes = Number(raw.estimatedMinutes);
+  if (raw.estimatedMinutes !== undefined && Number.isFinite(estimatedMinutes) && estimatedMinutes > 0) {
+    data.estimatedMinutes = Math.round(estimatedMinutes);
+  }
+
+  if (raw.tags !== undefined) data.tags = toStringList(raw.tags).map((tag) => tag.toLowerCase());
+  if (raw.prerequisites !== undefined) data.prerequisites = toStringList(raw.prerequisites);
+
+  const order = Number(raw.order);
+  if (raw.order !== undefined && raw.order !== null && Number.isFinite(order)) data.order = order;
+
+  return data;
+};
+
+// Split a file into its front matter and markdown body. lineOffset is the number of lines
+// the front matter takes up, so line numbers in the body can be mapped back to the file.
+// A leading "---" block that is not a YAML mapping is a thematic break, not front matter.
+const parseFrontMatter = (content) => {
+  const text = content || "";
+  const none = { data: {}, body: text, lineOffset: 0, hasFrontMatter: false };
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) return none;
+
+  let raw;
+  try {
+    raw = yaml.load(match[1], { schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    return none;
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return none;
+
+  return {
+    data: normalize(raw),
+    body: text.slice(match[0].length),
+    lineOffset: match[0].split("\n").length - (match[0].endsWith("\n") ? 1 : 0),
+    hasFrontMatter: true,
+  };
+};
+
+module.exports = {
+  DIFFICULTIES,
+  parseFrontMatter,
+};
@@ -0,0 +1,245 @@
+const { resolveTimezone, getDateKey, addDays, daysBetween, getStartOfDay, getZonedDateTime } = require("./timezone");
+
+// Reading and writing iCalendar (RFC 5545) files: the feed of sessions and goal deadlines
+// that calendar apps subscribe to, and the calendar blocks users import as planned sessions.
+// Only VEVENTs are read; times are DATE, UTC ("...Z"), TZID-qualified or floating local times.
+
+const PRODUCT_ID = "-//SDE2 Study Tracker//Study Calendar//EN";
+const DATE_VALUE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION_PATTERN = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+const LINE_PATTERN = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:"]*)(?:,(?:"[^"]*"|[^;:"]*))*)*):(.*)$/;
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Recurrence frequencies expandOccurrences repeats; events with other rules keep their first occurrence
+const RECURRENCE_FREQUENCIES = ["DAILY", "WEEKLY"];
+
+const escapeText = (text) => String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+};
+
+// 2026-10-20T18:00:00.000Z -> "20261020T180000Z"
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// "2026-10-20" -> "20261020"
+const formatDate = (dateKey) => dateKey.replace(/-/g, "");
+
+// { freq: "WEEKLY", interval: 2, count, until } -> "FREQ=WEEKLY;INTERVAL=2". `until` is a day key
+// for all-day events and a Date otherwise.
+const formatRecurrenceRule = ({ freq, interval = 1, count, until }) => {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (count) parts.push(`COUNT=${count}`);
+  else if (until) parts.push(`UNTIL=${typeof until === "string" ? formatDate(until) : formatDateTime(until)}`);
+  return parts.join(";");
+};
+
+// A VCALENDAR of events shaped { uid, stamp, start, end, allDay, summary, description, status,
+// categories, rrule }. All-day events take day keys for `start` and (exclusive) `end`; timed
+// events take Dates and are written in UTC.
+const buildCalendar = ({ name, events }) => {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODUCT_ID}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach((event) => {
+    lines.push("BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${formatDateTime(event.stamp || new Date())}`);
+    if (event.allDay) lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(event.end)}`);
+    else lines.push(`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end)}`);
+    if (event.rrule) lines.push(`RRULE:${formatRecurrenceRule(event.rrule)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(",")}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+const parseLine = (line) => {
+  const match = line.match(LINE_PATTERN);
+  if (!match) return null;
+
+  const params = {};
+  for (const [, key, value] of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^;]*)/g)) {
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, "");
+  }
+
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+};
+
+// The VEVENTs of an ICS file as { uid, summary, description, status, start, end, duration,
+// rrule, exdates }, where dates are { value, tzid } and `rrule` maps rule parts ("FREQ") to values.
+// Components nested in an event (VALARM) are ignored.
+const parseCalendar = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let event = null;
+  let nested = 0;
+
+  lines.forEach((line) => {
+    const property = parseLine(line);
+    if (!property) return;
+
+    if (property.name === "BEGIN") {
+      if (property.value.toUpperCase() === "VEVENT" && !event) event = { exdates: [] };
+      else if (event) nested += 1;
+      return;
+    }
+    if (property.name === "END") {
+      if (nested > 0) nested -= 1;
+      else if (event && property.value.toUpperCase() === "VEVENT") {
+        events.push(event);
+        event = null;
+      }
+      return;
+    }
+    if (!event || nested > 0) return;
+
+    const date = (value) => ({ value: value.trim(), tzid: property.params.TZID || null });
+
+    switch (property.name) {
+      case "UID":
+        event.uid = property.value.trim();
+        break;
+      case "SUMMARY":
+        event.summary = unescapeText(property.value).trim();
+        break;
+      case "DESCRIPTION":
+        event.description = unescapeText(property.value).trim();
+        break;
+      case "STATUS":
+        event.status = property.value.trim().toUpperCase();
+        break;
+      case "DTSTART":
+        event.start = date(property.value);
+        break;
+      case "DTEND":
+        event.end = date(property.value);
+        break;
+      case "DURATION":
+        event.duration = property.value.trim();
+        break;
+      case "RRULE":
+        event.rrule = Object.fromEntries(property.value.split(";").map((part) => part.split("=")).filter(([key, value]) => key && value).map(([key, value]) => [key.toUpperCase(), value.toUpperCase()]));
+        break;
+      case "EXDATE":
+        event.exdates.push(...property.value.split(",").map(date));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+// Minutes in an ICS duration ("PT1H30M"); null when it is not one
+const parseDuration = (value) => {
+  const match = value && value.match(DURATION_PATTERN);
+  if (!match) return null;
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map((part) => parseInt(part || "0", 10));
+  return weeks * 7 * 24 * 60 + days * 24 * 60 + hours * 60 + minutes + Math.round(seconds / 60);
+};
+
+// When a DTSTART/DTEND/EXDATE happens: { date, dateKey, time, allDay, timeZone }. Floating
+// times, and TZIDs the runtime does not know (Outlook's "Eastern Standard Time"), are read in
+// `defaultTimeZone`. Null for malformed values.
+const parseDateValue = (property, defaultTimeZone = "UTC") => {
+  const match = property?.value.match(DATE_VALUE_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const dateKey = `${year}-${month}-${day}`;
+  const timeZone = utc ? "UTC" : property.tzid && resolveTimezone(property.tzid) === property.tzid ? property.tzid : resolveTimezone(defaultTimeZone);
+
+  if (!hours) return { date: getStartOfDay(dateKey, timeZone), dateKey, time: "00:00", allDay: true, timeZone };
+
+  const time = `${hours}:${minutes}`;
+  const date = utc ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)) : getZonedDateTime(dateKey, time, timeZone);
+  return { date, dateKey, time, allDay: false, timeZone };
+};
+
+// Start times of an event's occurrences from `from` up to `until`, honouring INTERVAL, COUNT, UNTIL, BYDAY
+// (weekly rules) and EXDATE. Events repeating at other frequencies yield their first start only.
+// Occurrences before `from` are counted arithmetically rather than walked, so a rule that started
+// years ago costs no more than one that starts today.
+const expandOccurrences = (event, { from = new Date(0), until, timeZone = "UTC", limit = 500 }) => {
+  const start = parseDateValue(event.start, timeZone);
+  if (!start) return [];
+  if (!event.rrule || !RECURRENCE_FREQUENCIES.includes(event.rrule.FREQ)) return start.date >= from && start.date < until ? [start.date] : [];
+
+  const rule = event.rrule;
+  const interval = Math.max(parseInt(rule.INTERVAL || "1", 10) || 1, 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const ruleUntil = rule.UNTIL ? parseDateValue({ value: rule.UNTIL, tzid: event.start.tzid }, timeZone) : null;
+  const last = ruleUntil ? (ruleUntil.allDay ? new Date(getStartOfDay(addDays(ruleUntil.dateKey, 1), ruleUntil.timeZone).getTime() - 1) : ruleUntil.date) : null;
+  const excluded = new Set(event.exdates.map((exdate) => parseDateValue(exdate, timeZone)?.date.getTime()));
+
+  // Day offsets of the occurrences within a period (a day, or a week starting on Monday: WKST=MO)
+  const weekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  const firstMonday = addDays(start.dateKey, -((weekday(start.dateKey) + 6) % 7));
+  const byDay = rule.BYDAY ? rule.BYDAY.split(",").map((day) => ICS_WEEKDAYS.indexOf(day.slice(-2))).filter((day) => day !== -1) : [weekday(start.dateKey)];
+  const periodStart = rule.FREQ === "DAILY" ? start.dateKey : firstMonday;
+  const periodDays = rule.FREQ === "DAILY" ? 1 : 7;
+  const dayOffsets = rule.FREQ === "DAILY" ? [0] : [...new Set(byDay.map((day) => (day + 6) % 7))].sort((a, b) => a - b);
+  if (dayOffsets.length === 0) return [];
+
+  // Skip to the repeating period a day before `from` (the start's timezone may be behind), and
+  // count what the skipped periods produced: the first period only from DTSTART on
+  const firstInPeriod = dayOffsets.filter((offset) => addDays(periodStart, offset) >= start.dateKey).length;
+  const daysToFrom = daysBetween(periodStart, getDateKey(from, start.timeZone)) - 1;
+  let period = Math.max(Math.floor(daysToFrom / periodDays / interval), 0) * interval;
+  let produced = period === 0 ? 0 : firstInPeriod + (period / interval - 1) * dayOffsets.length;
+
+  const occurrences = [];
+  for (; produced < count && occurrences.length < limit; period += interval) {
+    const periodKey = addDays(periodStart, period * periodDays);
+    if (getZonedDateTime(periodKey, start.time, start.timeZone) >= until) break;
+
+    for (const offset of dayOffsets) {
+      const dateKey = addDays(periodKey, offset);
+      if (dateKey < start.dateKey) continue;
+
+      const date = getZonedDateTime(dateKey, start.time, start.timeZone);
+      if (date >= until || (last && date > last) || produced >= count || occurrences.length >= limit) return occurrences;
+
+      // COUNT includes the excluded dates
+      produced += 1;
+      if (date >= from && !excluded.has(date.getTime())) occurrences.push(date);
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  buildCalendar,
+  parseCalendar,
+  parseDuration,
+  parseDateValue,
+  expandOccurrences,
+};
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+
+// Learning content base path - works in both local and production
+const LEARNING_BASE_PATH = path.resolve(__dirname, "../../learning");
+
+// Absolute path of a file inside learning/, or null when the path escapes it
+const resolveContentPath = (contentPath) => {
+  if (!contentPath || contentPath.includes("\0")) return null;
+
+  const fullPath = path.resolve(LEARNING_BASE_PATH, contentPath);
+  if (!fullPath.startsWith(LEARNING_BASE_PATH + path.sep)) return null;
+
+  return fullPath;
+};
+
+// Topic key for the markdown files at the top of learning/ (they have no folder of their own)
+const ROOT_LEARNING_PATH = "root-guides";
+
+// Content paths are relative to learning/, e.g. "dsa/01-easy/01-arrays-strings.md" or
+// "README.md". Older URLs address root files as "root-guides/<file>"; map those back.
+const normalizeContentPath = (contentPath) => {
+  const normalized = (contentPath || "").replace(/\\/g, "/").replace(/^\/+/, "");
+  return normalized.startsWith(`${ROOT_LEARNING_PATH}/`) ? normalized.slice(ROOT_LEARNING_PATH.length + 1) : normalized;
+};
+
+// Learning path (first folder, or root-guides) a content path belongs to
+const getContentLearningPath = (contentPath) => {
+  const normalized = normalizeContentPath(contentPath);
+  return normalized.includes("/") ? normalized.split("/")[0] : ROOT_LEARNING_PATH;
+};
+
+// Path relative to learning/ for a topic resource. Resources imported before contentPath
+// existed point at "../learning/<path>" or "/api/content/file/<path>".
+const getResourceContentPath = (resource) => {
+  if (resource.contentPath) return normalizeContentPath(resource.contentPath);
+
+  const match = (resource.url || "").match(/^(?:\.\.\/learning|learning|\/api\/content\/file)\/(.+)$/);
+  return match ? normalizeContentPath(match[1]) : null;
+};
+
+// Markdown files of a learning path, sorted by content path. Folders are scanned
+// recursively (dsa/01-easy/..., diagrams-study/uml-behavioral/README.md); root-guides
+// lists only the files at the top of learning/. Returns null for unknown paths.
+const listLearningPathFiles = (learningPath) => {
+  const isRoot = learningPath === ROOT_LEARNING_PATH;
+  const basePath = isRoot ? LEARNING_BASE_PATH : resolveContentPath(learningPath);
+  if (!basePath || !fs.existsSync(basePath) || !fs.statSync(basePath).isDirectory()) return null;
+
+  const scan = (dirPath) =>
+    fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((entry) => {
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) return isRoot ? [] : scan(fullPath);
+      if (!entry.name.endsWith(".md")) return [];
+
+      const stats = fs.statSync(fullPath);
+      return [
+        {
+          contentPath: path.relative(LEARNING_BASE_PATH, fullPath).split(path.sep).join("/"),
+          filename: entry.name,
+          directory: path.relative(basePath, dirPath).split(path.sep).join("/"),
+          size: stats.size,
+          lastModified: stats.mtime,
+        },
+      ];
+    });
+
+  return scan(basePath).sort((a, b) => a.contentPath.localeCompare(b.contentPath));
+};
+
+// Readable title for a content file: "02-medium/03-trees.md" -> "Trees". A README is
+// titled after its folder.
+const getContentTitle = (contentPath) => {
+  const segments = normalizeContentPath(contentPath).split("/");
+  const filename = segments.pop();
+  const name = filename === "README.md" && segments.length > 0 ? segments.pop() : filename.replace(/\.md$/, "");
+  const title = name.replace(/^\d+-/, "").replace(/[-_]/g, " ");
+  return title.charAt(0).toUpperCase() + title.slice(1);
+};
+
+// Every cache made by createMarkdownCache, so the content watcher can drop changed files
+const markdownCaches = [];
+
+// Memoize a parse of markdown files in learning/. Entries are re-parsed only when the
+// file's mtime changes; unknown or non-markdown paths resolve to null.
+const createMarkdownCache = (parse) => {
+  const cache = new Map();
+  markdownCaches.push(cache);
+
+  return async (contentPath) => {
+    const fullPath = resolveContentPath(contentPath);
+    if (!fullPath || !contentPath.endsWith(".md")) return null;
+
+    const stats = await fs.promises.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isFile()) return null;
+
+    const cached = cache.get(contentPath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) return cached.value;
+
+    const value = parse(await fs.promises.readFile(fullPath, "utf8"));
+    cache.set(contentPath, { mtimeMs: stats.mtimeMs, value });
+    return value;
+  };
+};
+
+// Drop cached parses of a changed file, or of every file under a changed directory. The mtime
+// check alone misses edits within the filesystem's timestamp resolution.
+const invalidateMarkdownCaches = (contentPath) => {
+  markdownCaches.forEach((cache) => {
+    [...cache.keys()].filter((key) => key === contentPath || key.startsWith(`${contentPath}/`)).forEach((key) => cache.delete(key));
+  });
+};
+
+module.exports = {
+  LEARNING_BASE_PATH,
+  ROOT_LEARNING_PATH,
+  resolveContentPath,
+  normalizeContentPath,
+  getContentLearningPath,
+  getResourceContentPath,
+  listLearningPathFiles,
+  getContentTitle,
+  createMarkdownCache,
+  invalidateMarkdownCaches,
+};
@@ -0,0 +1,212 @@
+// Parser for the plain-text study plans at the top of learning/ (WEEKLY_STUDY_PLANS.txt,
+// LEARNING_PATHS.txt, START_HERE_STUDY_GUIDE.txt). The files share a loose layout:
+//
+//   === BACKEND DEVELOPER PATH (16 weeks) ===     starts a plan of its own
+//   === BACKEND WEEK 1: JAVA & SPRING BOOT ===    starts a week
+//   WEEK 3-4: Database Mastery                    starts a week spanning two weeks
+//   DAY 2: Collections (4 hours)                  starts a day of the current week
+//   STEP 1: CHOOSE YOUR PATH                      a day too, in a section with no week header
+//   WEEKEND PROJECT (8 hours):                    the weekend (day 6)
+//   □ Morning (2h): Java 17+ features             a task (so is "- Study: react/01-core-react-hooks.md")
+//     - User authentication (JWT)                 indented: a detail of the task above
+//
+// Other "=== ... ===" sections close the current week, and other lines ending in ":" close
+// the current day, so the tasks below them belong to the week. Tasks outside any week
+// (tips, tool lists) are not part of a plan.
+
+const SECTION_PATTERN = /^===\s*(.*?)\s*===$/;
+const PLAN_SECTION_PATTERN = /^(.*\bPATH)\s*\((\d+)\s*weeks?\)$/i;
+const WEEK_SECTION_PATTERN = /\bWEEK\s+(\d+)(?:\s*-\s*(\d+))?\s*:?\s*(.*)$/i;
+const WEEK_LINE_PATTERN = /^WEEK\s+(\d+)(?:\s*-\s*(\d+))?\s*:\s*(.+)$/i;
+const DAY_LINE_PATTERN = /^(?:DAY|STEP)\s+(\d+)\s*:\s*(.+?)$/i;
+const WEEKEND_LINE_PATTERN = /^WEEKEND\b(.*?):?$/i;
+const TASK_PATTERN = /^(?:□|-)\s+(.+)$/;
+const DETAIL_PATTERN = /^\s+[-•]\s+(.+)$/;
+const HOURS_PATTERN = /\((\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)\)/i;
+
+// Content references: "springBoot/01-spring-framework-fundamentals.md" or a folder, "databases/"
+const REFERENCE_PATTERN = /(?:^|[\s(])((?:[\w-]+\/)+(?:[\w.-]+\.md)?)(?=[\s),;:]|$)/g;
+
+const WEEKEND_OFFSET = 5;
+const SMALL_WORDS = ["a", "and", "for", "in", "of", "on", "the", "to", "with"];
+
+// "JAVA & SPRING BOOT FOUNDATION" -> "Java & Spring Boot Foundation"; mixed-case text and
+// words with digits or symbols (SDE2+, AI/ML) are kept as written
+const toTitle = (text) => {
+  const cleaned = text
+    .replace(/^[^\p{L}\p{N}]+/u, "")
+    .replace(/\s+-\s+UPDATED STATUS$/i, "")
+    .trim();
+  if (cleaned !== cleaned.toUpperCase()) return cleaned;
+
+  return cleaned
+    .split(/\s+/)
+    .map((word, index) =>
+      word
+        .split("-")
+        .map((part) => {
+          if (!/^\p{Lu}+$/u.test(part)) return part;
+          const lower = part.toLowerCase();
+          return index > 0 && SMALL_WORDS.includes(lower) ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+        })
+        .join("-")
+    )
+    .join(" ");
+};
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[/._]/g, " ")
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-");
+
+const parseHours = (text) => {
+  const match = text.match(HOURS_PATTERN);
+  return match ? parseFloat(match[1]) : null;
+};
+
+const extractReferences = (text) => [...text.matchAll(REFERENCE_PATTERN)].map((match) => match[1]);
+
+// Task ids are the week number plus the task text, e.g. "w1-morning-2h-java-17-features",
+// so checked tasks survive edits elsewhere in the file. Repeats get -2, -3, ...
+const assignTaskIds = (plan) => {
+  const seen = {};
+
+  plan.weeks.forEach((week) => {
+    [...week.days.flatMap((day) => day.tasks), ...week.tasks].forEach((task) => {
+      const base = `w${week.number}-${slugify(task.text).slice(0, 60).replace(/-$/, "") || "task"}`;
+      seen[base] = (seen[base] || 0) + 1;
+      task.id = seen[base] === 1 ? base : `${base}-${seen[base]}`;
+    });
+  });
+
+  return plan;
+};
+
+// Parse one study plan file. Returns the plans it holds, each as
+// { key, title, totalWeeks, weeks: [{ number, span, title, days: [{ number, offset, title, hours, tasks }], tasks }] }.
+// Weeks are numbered in file order (the files restart at "WEEK 1" per track) and `offset`
+// is the day's position within its week. Tasks carry an id, their text, estimated minutes,
+// details and raw content references. Plans without tasks are dropped.
+const parseStudyPlanFile = (text, fileTitle) => {
+  const lines = text.split(/\r?\n/);
+  const plans = [];
+  let plan = null;
+  let week = null;
+  let day = null;
+  let task = null;
+  let section = null;
+
+  const fallbackTitle = toTitle(lines.find((line) => line.trim()) || fileTitle) || fileTitle;
+
+  // Plans from a "... PATH" section are keyed by their title and end with the section
+  const openPlan = (title, totalWeeks = 0, key = "") => {
+    plan = { key, title, totalWeeks, weeks: [] };
+    plans.push(plan);
+  };
+
+  const openWeek = (title, span = 1) => {
+    if (!plan) openPlan(fallbackTitle);
+    const number = plan.weeks.reduce((next, previous) => next + previous.span, 1);
+    week = { number, span, title, days: [], tasks: [] };
+    plan.weeks.push(week);
+    day = null;
+    task = null;
+  };
+
+  const addTask = (taskText) => {
+    task = {
+      text: taskText,
+      estimatedMinutes: parseHours(taskText) ? Math.round(parseHours(taskText) * 60) : null,
+      details: [],
+      references: extractReferences(taskText),
+    };
+    (day ? day.tasks : week.tasks).push(task);
+  };
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const sectionMatch = line.match(SECTION_PATTERN);
+    if (sectionMatch) {
+      section = sectionMatch[1];
+      week = null;
+      day = null;
+      task = null;
+
+      const planMatch = section.match(PLAN_SECTION_PATTERN);
+      const weekMatch = section.match(WEEK_SECTION_PATTERN);
+      if (planMatch) {
+        openPlan(toTitle(planMatch[1]), parseInt(planMatch[2], 10), slugify(planMatch[1]));
+      } else if (weekMatch) {
+        if (plan && plan.key) plan = null;
+        openWeek(toTitle(section));
+      } else if (plan && plan.key) {
+        plan = null;
+      }
+      return;
+    }
+
+    const weekLine = line.match(WEEK_LINE_PATTERN);
+    if (weekLine) {
+      const from = parseInt(weekLine[1], 10);
+      const to = weekLine[2] ? parseInt(weekLine[2], 10) : from;
+      openWeek(toTitle(weekLine[3]), Math.max(to - from + 1, 1));
+      return;
+    }
+
+    const dayLine = line.match(DAY_LINE_PATTERN);
+    const weekendLine = !dayLine && line.match(WEEKEND_LINE_PATTERN);
+    if ((dayLine && section) || (weekendLine && week)) {
+      if (!week) openWeek(toTitle(section));
+
+      const title = dayLine ? dayLine[2] : line;
+      day = {
+        number: week.days.length + 1,
+        offset: dayLine ? Math.min(parseInt(dayLine[1], 10) - 1, 6) : WEEKEND_OFFSET,
+        title: toTitle(title.replace(HOURS_PATTERN, "").replace(/:$/, "").trim()),
+        hours: parseHours(title),
+        tasks: [],
+      };
+      week.days.push(day);
+      task = null;
+      return;
+    }
+
+    if (!week) return;
+
+    const detailMatch = rawLine.match(DETAIL_PATTERN);
+    if (detailMatch && task) {
+      task.details.push(detailMatch[1].trim());
+      task.references.push(...extractReferences(detailMatch[1]));
+      return;
+    }
+
+    const taskMatch = line.match(TASK_PATTERN);
+    if (taskMatch) {
+      addTask(taskMatch[1].trim());
+      return;
+    }
+
+    // Any other line is a label ("✅ WEEK 1 ASSESSMENT:", "📖 STUDY MATERIALS:"); what follows belongs to the week
+    day = null;
+    task = null;
+  });
+
+  return plans
+    .map((parsed) =>
+      assignTaskIds({
+        ...parsed,
+        totalWeeks: Math.max(parsed.totalWeeks, parsed.weeks.reduce((total, parsedWeek) => total + parsedWeek.span, 0)),
+      })
+    )
+    .filter((parsed) => parsed.weeks.some((parsedWeek) => parsedWeek.tasks.length > 0 || parsedWeek.days.some((parsedDay) => parsedDay.tasks.length > 0)));
+};
+
+module.exports = {
+  parseStudyPlanFile,
+};
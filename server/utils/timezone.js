@@ -0,0 +1,131 @@
+// Helpers for bucketing dates by calendar day in a user's IANA timezone.
+// Day keys are "YYYY-MM-DD" strings in the user's local calendar.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatterCache = new Map();
+
+// Return the timezone if the runtime recognises it, otherwise fall back to UTC
+const resolveTimezone = (timeZone) => {
+  if (!timeZone) return "UTC";
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return timeZone;
+  } catch (error) {
+    return "UTC";
+  }
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Wall-clock parts of an instant in the given timezone
+const getZonedParts = (date, timeZone = "UTC") => {
+  const parts = getFormatter(resolveTimezone(timeZone)).formatToParts(new Date(date));
+  const values = parts.reduce((acc, part) => {
+    if (part.type !== "literal") acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+
+  return {
+    year: values.year,
+    month: values.month,
+    day: values.day,
+    hour: values.hour,
+    minute: values.minute,
+    second: values.second,
+  };
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getTimezoneOffset = (date, timeZone = "UTC") => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// "YYYY-MM-DD" for the calendar day the instant falls on in the timezone
+const getDateKey = (date, timeZone = "UTC") => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+// Shift a day key by a number of calendar days
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Whole calendar days from one day key to another
+const daysBetween = (fromKey, toKey) => {
+  return Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / DAY_MS);
+};
+
+// The UTC instant at which a local calendar day starts in the timezone
+const getStartOfDay = (dateOrKey, timeZone = "UTC") => {
+  const dateKey = typeof dateOrKey === "string" ? dateOrKey : getDateKey(dateOrKey, timeZone);
+  const midnightUTC = new Date(`${dateKey}T00:00:00Z`).getTime();
+
+  // Apply the offset twice so days that start right after a DST change resolve correctly
+  let start = midnightUTC - getTimezoneOffset(midnightUTC, timeZone);
+  start = midnightUTC - getTimezoneOffset(start, timeZone);
+
+  return new Date(start);
+};
+
+// The UTC instant of a wall-clock time ("HH:MM") on a local calendar day in the timezone
+const getZonedDateTime = (dateKey, time, timeZone = "UTC") => {
+  const [hours, minutes] = time.split(":").map((part) => parseInt(part, 10));
+  const localAsUTC = new Date(`${dateKey}T00:00:00Z`).getTime() + (hours * 60 + minutes) * 60 * 1000;
+
+  // Same double offset as getStartOfDay, for times next to a DST change
+  let instant = localAsUTC - getTimezoneOffset(localAsUTC, timeZone);
+  instant = localAsUTC - getTimezoneOffset(instant, timeZone);
+
+  return new Date(instant);
+};
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Weekday name ("Monday") of a day key
+const getWeekday = (dateKey) => WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+
+// Start (inclusive) and end (exclusive) of the local day containing the instant
+const getDayBounds = (date = new Date(), timeZone = "UTC") => {
+  const dateKey = getDateKey(date, timeZone);
+  return {
+    start: getStartOfDay(dateKey, timeZone),
+    end: getStartOfDay(addDays(dateKey, 1), timeZone),
+  };
+};
+
+module.exports = {
+  resolveTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  getDateKey,
+  addDays,
+  daysBetween,
+  getStartOfDay,
+  getZonedDateTime,
+  getWeekday,
+  getDayBounds,
+};